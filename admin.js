@@ -0,0 +1,778 @@
+/**
+ * JukaMedical — Content Editor (admin.html)
+ *
+ * Form-based editing of the JSON data files, kept out of the public site.
+ * Builds on script.js: DataService loads the files, DataValidator checks
+ * every edit against SCHEMAS, and the real section templates render the
+ * live preview. Nothing is saved on the server — edited files are
+ * downloaded and replace the ones in data/.
+ */
+
+// =============================================================================
+// ADMIN_CONFIG — files the editor can open
+// =============================================================================
+const ADMIN_CONFIG = {
+  files: [
+    { name: 'services', label: 'Services & prices', url: CONFIG.data.services, schema: 'services' },
+    { name: 'team', label: 'Team', url: CONFIG.data.team, schema: 'team' },
+    { name: 'trainings', label: 'Trainings', url: CONFIG.data.trainings, schema: 'trainings' },
+  ],
+
+  selectors: {
+    tabs: '[data-admin-tabs]',
+    panels: '[data-admin-panels]',
+    langSwitch: '[data-lang-switch]',
+  },
+
+  // Field shown as a record's heading, per schema
+  titleFields: {
+    services: 'category',
+    serviceItem: 'name',
+    team: 'name',
+    trainings: 'title',
+    trainingSession: 'startDate',
+  },
+
+  // Name of one record in a list, for the "Add …" buttons
+  recordLabels: {
+    services: 'category',
+    serviceItem: 'item',
+    team: 'team member',
+    trainings: 'training',
+    trainingSession: 'session',
+  },
+};
+
+
+// =============================================================================
+// SchemaForm — form controls generated from SCHEMAS field types
+// =============================================================================
+class SchemaForm {
+  /**
+   * How each field type is edited. `kind` tells read() how to turn the
+   * control's value back into JSON.
+   */
+  static CONTROLS = {
+    id: { kind: 'number' },
+    string: { kind: 'text' },
+    text: { kind: 'text', multiline: true },
+    strings: { kind: 'lines', multiline: true, hint: 'One per line' },
+    url: { kind: 'text', hint: 'http(s) or relative path, e.g. images/team/name.jpg' },
+    ids: { kind: 'list', hint: 'Comma-separated ids' },
+    links: { kind: 'links', multiline: true, hint: 'One per line: platform URL' },
+    price: { kind: 'number', hint: 'e.g. 120, 80-100, 230/300, +10 (add-on) or < 50' },
+    duration: { kind: 'number', hint: 'Minutes, or e.g. 45 min, 1 h 30 min' },
+    boolean: { kind: 'checkbox' },
+    currency: { kind: 'text', hint: '3-letter code, e.g. PLN' },
+    date: { kind: 'text', inputType: 'date' },
+    dates: { kind: 'lines', multiline: true, hint: 'One date per line, e.g. 2026-12-24' },
+    time: { kind: 'text', inputType: 'time' },
+    weekdays: { kind: 'list', hint: 'Comma-separated, e.g. Monday, Tuesday' },
+    oneOf: { kind: 'text' },
+    count: { kind: 'number', inputType: 'number' },
+  };
+
+  /**
+   * Label for a field name: "spotsAvailable" → "Spots available".
+   * @param {string} field
+   * @returns {string}
+   */
+  static label(field) {
+    const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * One field of a record. Localized fields get a control per locale.
+   * @param {string} field — field name
+   * @param {Object} spec — field spec from SCHEMAS
+   * @param {any} value — raw JSON value
+   * @param {string} path — dotted path of the value, e.g. "2.items.0.name"
+   * @returns {SafeHtml}
+   */
+  static field(field, spec, value, path) {
+    const control = SchemaForm.CONTROLS[spec.type];
+    const label = `${SchemaForm.label(field)}${spec.required ? ' *' : ''}`;
+    const hintHtml = control.hint ? html`<p class="admin__hint">${control.hint}</p>` : '';
+
+    if (!spec.localized) {
+      return html`
+        <div class="admin__field${control.kind === 'checkbox' ? ' admin__field--checkbox' : ''}">
+          ${SchemaForm.control(spec, value, path, label)}
+          ${hintHtml}
+        </div>
+      `;
+    }
+
+    // A plain value in a localized field is shown as the default language
+    const { locales, defaultLocale } = CONFIG.i18n;
+    const isLocaleMap = typeof value === 'object' && value !== null && !Array.isArray(value);
+    const controlsHtml = locales.map((locale) => {
+      const localeValue = isLocaleMap ? value[locale] : (locale === defaultLocale ? value : null);
+      return SchemaForm.control(spec, localeValue, `${path}.${locale}`, `${label} (${locale.toUpperCase()})`);
+    });
+
+    return html`
+      <div class="admin__field admin__field--localized">
+        ${controlsHtml}
+        ${hintHtml}
+      </div>
+    `;
+  }
+
+  /** A labelled input, textarea, select or checkbox bound to a path. */
+  static control(spec, value, path, label) {
+    const control = SchemaForm.CONTROLS[spec.type];
+    const id = `field-${path.replace(/\./g, '-')}`;
+    const attrs = html`id="${id}" data-path="${path}" data-kind="${control.kind}"`;
+    const labelHtml = html`<label class="admin__label" for="${id}">${label}</label>`;
+
+    if (control.kind === 'checkbox') {
+      let checked = false;
+      try { checked = !isEmptyValue(value) && FIELD_TYPES.boolean(value); } catch (error) { /* invalid stays unchecked */ }
+      return html`<input class="admin__checkbox" type="checkbox" ${attrs}${checked ? ' checked' : ''}>${labelHtml}`;
+    }
+
+    if (spec.type === 'oneOf') {
+      const optionsHtml = ['', ...spec.values].map((option) => html`
+        <option value="${option}"${option === value ? ' selected' : ''}>${option || '—'}</option>
+      `);
+      return html`${labelHtml}<select class="admin__input" ${attrs}>${optionsHtml}</select>`;
+    }
+
+    const text = SchemaForm.display(value, control.kind);
+    if (control.multiline) {
+      return html`${labelHtml}<textarea class="admin__input" rows="${control.kind === 'text' ? 4 : 3}" ${attrs}>${text}</textarea>`;
+    }
+    return html`${labelHtml}<input class="admin__input" type="${control.inputType || 'text'}" value="${text}" ${attrs}>`;
+  }
+
+  /** Raw JSON value as control text. "n/a" and other empty markers show as blank. */
+  static display(value, kind) {
+    if (isEmptyValue(value)) return '';
+    if (kind === 'lines') return Array.isArray(value) ? value.join('\n') : String(value);
+    if (kind === 'list') return Array.isArray(value) ? value.join(', ') : String(value);
+    if (kind === 'links') {
+      return typeof value === 'object'
+        ? Object.entries(value).map(([platform, url]) => `${platform} ${url}`).join('\n')
+        : String(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Read a control back into a JSON value.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {any}
+   */
+  static read(input) {
+    const lines = () => input.value.split('\n').map((line) => line.trim()).filter(Boolean);
+
+    switch (input.dataset.kind) {
+      case 'checkbox':
+        return input.checked;
+      case 'number':
+        return SchemaForm.toNumber(input.value);
+      case 'lines':
+        return lines();
+      case 'list':
+        return input.value.split(',').map((item) => item.trim()).filter(Boolean).map(SchemaForm.toNumber);
+      case 'links':
+        return Object.fromEntries(lines().map((line) => {
+          const [platform, ...url] = line.split(/\s+/);
+          return [platform, url.join(' ')];
+        }));
+      default:
+        return input.value;
+    }
+  }
+
+  /** "120" → 120; anything that is not a plain number stays text. */
+  static toNumber(value) {
+    if (typeof value !== 'string') return value;
+    const text = value.trim();
+    return /^\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+  }
+
+  /**
+   * Turn edited records into tidy JSON: trim texts, store numbers as numbers
+   * and leave out empty values ("", "n/a", empty lists). Fields the schema
+   * does not know about are kept as they are.
+   * @param {Array} records
+   * @param {string} schemaName — key of SCHEMAS
+   * @returns {Array}
+   */
+  static clean(records, schemaName) {
+    const schema = SCHEMAS[schemaName];
+    return records.map((record) => {
+      const clean = {};
+      Object.entries(record).forEach(([field, value]) => {
+        const cleaned = schema[field] ? SchemaForm.cleanValue(value, schema[field]) : value;
+        if (cleaned !== undefined) clean[field] = cleaned;
+      });
+      return clean;
+    });
+  }
+
+  /** Clean one field value; undefined means "leave the field out". */
+  static cleanValue(value, spec) {
+    if (spec.type === 'records') return Array.isArray(value) ? SchemaForm.clean(value, spec.schema) : [];
+    if (isEmptyValue(value)) return undefined;
+
+    if (spec.localized && typeof value === 'object' && !Array.isArray(value)) {
+      const entries = Object.entries(value)
+        .map(([locale, text]) => [locale, SchemaForm.cleanValue(text, { ...spec, localized: false })])
+        .filter(([, text]) => text !== undefined);
+      return entries.length ? Object.fromEntries(entries) : undefined;
+    }
+
+    switch (spec.type) {
+      case 'id':
+      case 'price':
+      case 'count':
+        return SchemaForm.toNumber(value);
+      case 'ids':
+        return Array.isArray(value) && value.length ? value.map(SchemaForm.toNumber) : undefined;
+      case 'strings': {
+        if (!Array.isArray(value)) return value;
+        const list = value.filter((item) => !isEmptyValue(item)).map((item) => String(item).trim());
+        return list.length ? list : undefined;
+      }
+      case 'links': {
+        if (typeof value !== 'object' || Array.isArray(value)) return value;
+        const entries = Object.entries(value).filter(([, url]) => !isEmptyValue(url));
+        return entries.length ? Object.fromEntries(entries) : undefined;
+      }
+      case 'boolean':
+        try { return FIELD_TYPES.boolean(value); } catch (error) { return value; }
+      default:
+        return typeof value === 'string' ? value.trim() : value;
+    }
+  }
+}
+
+
+// =============================================================================
+// ContentEditor — edits one JSON file: records, validation, preview, export
+// =============================================================================
+class ContentEditor {
+  /**
+   * @param {DataService} dataService — loads the file and validates edits
+   * @param {{name: string, label: string, url: string, schema: string}} file — entry of ADMIN_CONFIG.files
+   * @param {HTMLElement} panel — element the editor renders into
+   */
+  constructor(dataService, file, panel) {
+    this.dataService = dataService;
+    this.file = file;
+    this.panel = panel;
+    this.records = null;
+    this.isDirty = false;
+    this.openRecords = new WeakSet(); // expanded records survive re-renders and moves
+
+    this.handleInput = this.handleInput.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleToggle = this.handleToggle.bind(this);
+  }
+
+  /** File name offered for download, e.g. "services.json". */
+  get filename() {
+    return this.file.url.split('/').pop();
+  }
+
+  /** Load the file and render the form. */
+  async init() {
+    this.panel.innerHTML = html`<p class="section__loading">Loading ${this.filename}…</p>`;
+
+    let data;
+    try {
+      data = await this.dataService.fetch(this.file.url);
+    } catch (error) {
+      renderSectionError(this.panel, `${this.filename} could not be loaded.`, error, () => this.init());
+      return;
+    }
+    if (!Array.isArray(data)) {
+      this.panel.innerHTML = html`<p class="section__error">${this.filename} is not a list of records.</p>`;
+      return;
+    }
+
+    // Edit a copy — DataService keeps the fetched JSON in its cache
+    this.records = structuredClone(data);
+    this.render();
+
+    this.panel.addEventListener('input', this.handleInput);
+    this.panel.addEventListener('change', this.handleInput);
+    this.panel.addEventListener('click', this.handleClick);
+    this.panel.addEventListener('toggle', this.handleToggle, true); // toggle does not bubble
+  }
+
+  /** Render the whole editor, then validate and preview. */
+  render() {
+    if (!this.records) return;
+
+    this.panel.innerHTML = html`
+      <div class="admin__toolbar">
+        <p class="admin__status" data-admin-status role="status"></p>
+        <button type="button" class="btn btn--primary btn--small" data-admin-action="download">
+          Download ${this.filename}
+        </button>
+      </div>
+      <div class="admin__layout">
+        <form class="admin__form" novalidate>
+          ${this.listTemplate(this.records, this.file.schema, '')}
+        </form>
+        <aside class="admin__side">
+          <section class="admin__problems" aria-label="Problems">
+            <h2 class="admin__side-title">Problems</h2>
+            <ul class="admin__problem-list" data-admin-problems></ul>
+          </section>
+          <section class="admin__preview" aria-label="Preview">
+            <h2 class="admin__side-title">Preview</h2>
+            <div class="${this.file.name}" data-admin-preview="${this.file.name}" inert></div>
+          </section>
+        </aside>
+      </div>
+    `;
+
+    this.preview = this.createPreview();
+    this.update();
+  }
+
+  /**
+   * A reorderable list of records with an "Add" button.
+   * @param {Array} records
+   * @param {string} schemaName — key of SCHEMAS
+   * @param {string} listPath — dotted path of the list ('' for the file itself)
+   */
+  listTemplate(records, schemaName, listPath) {
+    const recordsHtml = records
+      .map((record, index) => this.recordTemplate(record, schemaName, listPath, index, records.length));
+
+    return html`
+      <div class="admin__list">
+        ${recordsHtml}
+        <button type="button" class="btn btn--outline btn--small" data-admin-action="add" data-list="${listPath}" data-schema="${schemaName}">
+          Add ${ADMIN_CONFIG.recordLabels[schemaName]}
+        </button>
+      </div>
+    `;
+  }
+
+  /** One collapsible record: its fields, nested lists and move/remove buttons. */
+  recordTemplate(record, schemaName, listPath, index, count) {
+    const path = listPath ? `${listPath}.${index}` : String(index);
+    const schema = SCHEMAS[schemaName];
+    const actionAttrs = html`data-list="${listPath}" data-index="${index}" data-schema="${schemaName}"`;
+
+    const fieldsHtml = Object.entries(schema).map(([field, spec]) => {
+      if (spec.type !== 'records') return SchemaForm.field(field, spec, record[field], `${path}.${field}`);
+      return html`
+        <fieldset class="admin__nested">
+          <legend class="admin__nested-title">${SchemaForm.label(field)}</legend>
+          ${this.listTemplate(Array.isArray(record[field]) ? record[field] : [], spec.schema, `${path}.${field}`)}
+        </fieldset>
+      `;
+    });
+
+    return html`
+      <details class="admin__record" data-record="${path}"${this.openRecords.has(record) ? ' open' : ''}>
+        <summary class="admin__record-summary">
+          <span class="admin__record-title">${this.recordTitle(record, schemaName)}</span>
+          <span class="admin__record-id">#${record.id ?? '?'}</span>
+        </summary>
+        <div class="admin__record-body">
+          <div class="admin__record-actions">
+            <button type="button" class="admin__action" data-admin-action="up" ${actionAttrs}${index === 0 ? ' disabled' : ''}>Move up</button>
+            <button type="button" class="admin__action" data-admin-action="down" ${actionAttrs}${index === count - 1 ? ' disabled' : ''}>Move down</button>
+            <button type="button" class="admin__action admin__action--danger" data-admin-action="remove" ${actionAttrs}>Remove</button>
+          </div>
+          ${fieldsHtml}
+        </div>
+      </details>
+    `;
+  }
+
+  /** Heading of a record in the default language, e.g. "Podology". */
+  recordTitle(record, schemaName) {
+    const value = record[ADMIN_CONFIG.titleFields[schemaName]];
+    const text = i18n.text(value, CONFIG.i18n.defaultLocale);
+    return isEmptyValue(text) ? 'Untitled' : String(text);
+  }
+
+  /** Re-validate, then refresh the problem list and the preview. */
+  update() {
+    const { records, warnings } = this.dataService.validator.validate(this.records, this.file.schema);
+    this.renderProblems(warnings);
+    this.renderPreview(records);
+  }
+
+  /**
+   * List validation warnings and flag the controls they point to.
+   * @param {Array<{path: string, field: string, message: string}>} warnings
+   */
+  renderProblems(warnings) {
+    this.panel.querySelectorAll('[aria-invalid]').forEach((input) => input.removeAttribute('aria-invalid'));
+
+    const problems = warnings.map((warning) => {
+      const recordPath = ContentEditor.toPath(warning.path);
+      const path = warning.field ? [recordPath, warning.field].filter(Boolean).join('.') : recordPath;
+      this.panel.querySelectorAll('[data-path]').forEach((input) => {
+        if (warning.field && (input.dataset.path === path || input.dataset.path.startsWith(`${path}.`))) {
+          input.setAttribute('aria-invalid', 'true');
+        }
+      });
+      return { ...warning, path };
+    });
+
+    this.panel.querySelector('[data-admin-problems]').innerHTML = problems.length
+      ? html`${problems.map((problem) => html`
+        <li>
+          <button type="button" class="admin__problem" data-admin-action="focus" data-target="${problem.path}">
+            <span class="admin__problem-where">${this.describePath(problem.path)}</span>
+            ${problem.message}
+          </button>
+        </li>
+      `)}`
+      : html`<li class="admin__problem admin__problem--none">No problems found.</li>`;
+
+    this.panel.querySelector('[data-admin-status]').textContent = problems.length
+      ? `${problems.length} problem(s) to fix before publishing.`
+      : 'Ready to download.';
+  }
+
+  /**
+   * Convert a validator path to a form path: "services[2].items[0]" → "2.items.0".
+   * @param {string} path
+   * @returns {string}
+   */
+  static toPath(path) {
+    return path.replace(/^\w+/, '').replace(/\[(\d+)\]/g, '.$1').replace(/^\./, '');
+  }
+
+  /** Human-readable location, e.g. "Podology › Basic pedicure › price". */
+  describePath(path) {
+    if (!path) return this.filename;
+
+    const parts = [];
+    let records = this.records;
+    let schemaName = this.file.schema;
+    const keys = path.split('.');
+
+    for (let i = 0; i < keys.length; i += 1) {
+      const record = records && records[keys[i]];
+      if (!record) break;
+      parts.push(this.recordTitle(record, schemaName));
+
+      const field = keys[i + 1];
+      if (!field) break;
+      const spec = SCHEMAS[schemaName][field];
+      if (!spec || spec.type !== 'records') {
+        parts.push(SchemaForm.label(field));
+        break;
+      }
+      records = record[field];
+      schemaName = spec.schema;
+      i += 1;
+    }
+    return parts.join(' › ');
+  }
+
+  /** Section instance whose real render() draws the preview. */
+  createPreview() {
+    const selector = `[data-admin-preview="${this.file.name}"]`;
+    const sections = {
+      services: () => new ServicesSection(this.dataService, this.file.url, selector),
+      team: () => new TeamSection(this.dataService, this.file.url, selector),
+      trainings: () => new TrainingsSection(this.dataService, this.file.url, selector, null),
+    };
+    return sections[this.file.name]();
+  }
+
+  /**
+   * Render validated records with the public site's templates.
+   * @param {Array} records — normalized records, as the site would see them
+   */
+  renderPreview(records) {
+    const section = this.preview;
+    section.container.innerHTML = '';
+
+    if (this.file.name === 'trainings') {
+      section.trainings = records.map((training) => TrainingsSection.withSessionEnds(training));
+    } else {
+      section.data = records;
+    }
+    if (section.activeIndex >= records.length) section.activeIndex = 0;
+
+    section.render();
+  }
+
+  /** Store an edited control's value and refresh validation and preview. */
+  handleInput(event) {
+    const input = event.target.closest('[data-path]');
+    if (!input) return;
+
+    const { path } = input.dataset;
+    ContentEditor.setPath(this.records, path, SchemaForm.read(input));
+    this.isDirty = true;
+
+    // Show the category being edited in the services preview
+    if (this.file.name === 'services') this.preview.activeIndex = Number(path.split('.')[0]);
+
+    this.updateTitle(path);
+    this.update();
+  }
+
+  /** Keep a record's heading in sync when its title field changes. */
+  updateTitle(path) {
+    const recordPath = path.replace(/\.[a-zA-Z]+(\.[a-z]{2})?$/, '');
+    const details = this.panel.querySelector(`[data-record="${recordPath}"]`);
+    if (!details) return;
+
+    const { record, schemaName } = this.locate(recordPath);
+    details.querySelector('.admin__record-title').textContent = this.recordTitle(record, schemaName);
+    details.querySelector('.admin__record-id').textContent = `#${record.id ?? '?'}`;
+  }
+
+  /** Find the record at a path and the schema it follows. */
+  locate(recordPath) {
+    const keys = recordPath.split('.');
+    let schemaName = this.file.schema;
+    let record = this.records[keys[0]];
+
+    for (let i = 1; i < keys.length; i += 2) {
+      schemaName = SCHEMAS[schemaName][keys[i]].schema;
+      record = record[keys[i]][keys[i + 1]];
+    }
+    return { record, schemaName };
+  }
+
+  /** Remember which records are expanded. */
+  handleToggle(event) {
+    const details = event.target.closest && event.target.closest('[data-record]');
+    if (!details || details !== event.target) return;
+
+    const { record } = this.locate(details.dataset.record);
+    if (details.open) this.openRecords.add(record);
+    else this.openRecords.delete(record);
+  }
+
+  /** Add, move, remove, focus a problem or download. */
+  handleClick(event) {
+    const button = event.target.closest('[data-admin-action]');
+    if (!button) return;
+
+    const { adminAction: action } = button.dataset;
+    if (action === 'download') return this.download();
+    if (action === 'focus') return this.focusPath(button.dataset.target);
+
+    const listPath = button.dataset.list;
+    const list = listPath ? ContentEditor.getPath(this.records, listPath) : this.records;
+    const index = Number(button.dataset.index);
+
+    if (action === 'add') this.add(list, button.dataset.schema, listPath);
+    if (action === 'remove') this.remove(list, index, button.dataset.schema, listPath);
+    if (action === 'up' || action === 'down') this.move(list, index, action === 'up' ? -1 : 1, listPath);
+  }
+
+  /** Append an empty record with the next free id. */
+  add(list, schemaName, listPath) {
+    const record = Object.fromEntries(Object.entries(SCHEMAS[schemaName])
+      .map(([field, spec]) => [field, spec.type === 'records' ? [] : null]));
+    record.id = this.nextId(schemaName);
+
+    list.push(record);
+    this.openRecords.add(record);
+    this.changed();
+
+    const path = listPath ? `${listPath}.${list.length - 1}` : String(list.length - 1);
+    this.focusPath(`${path}.id`);
+  }
+
+  /** Remove a record after confirmation. */
+  remove(list, index, schemaName, listPath) {
+    if (!window.confirm(`Remove "${this.recordTitle(list[index], schemaName)}"?`)) return;
+
+    list.splice(index, 1);
+    this.changed();
+    this.panel.querySelector(`[data-admin-action="add"][data-list="${listPath}"]`).focus();
+  }
+
+  /** Swap a record with its neighbour; keeps focus on the same button. */
+  move(list, index, delta, listPath) {
+    const target = index + delta;
+    if (target < 0 || target >= list.length) return;
+
+    [list[index], list[target]] = [list[target], list[index]];
+    this.changed();
+
+    const action = delta < 0 ? 'up' : 'down';
+    const button = this.panel.querySelector(`[data-admin-action="${action}"][data-list="${listPath}"][data-index="${target}"]`);
+    (button.disabled ? button.parentElement.querySelector('[data-admin-action]:not([disabled])') : button).focus();
+  }
+
+  /** Re-render after a structural change. */
+  changed() {
+    this.isDirty = true;
+    this.render();
+  }
+
+  /** Highest numeric id among records of a schema, plus one. */
+  nextId(schemaName) {
+    const ids = [];
+    const collect = (records, name) => records.forEach((record) => {
+      if (name === schemaName) ids.push(Number(record.id));
+      Object.entries(SCHEMAS[name]).forEach(([field, spec]) => {
+        if (spec.type === 'records' && Array.isArray(record[field])) collect(record[field], spec.schema);
+      });
+    });
+    collect(this.records, this.file.schema);
+    return Math.max(0, ...ids.filter(Number.isFinite)) + 1;
+  }
+
+  /** Expand the record holding a path and focus its first control. */
+  focusPath(path) {
+    const input = this.panel.querySelector(`[data-path="${path}"], [data-path^="${path}."]`)
+      || this.panel.querySelector(`[data-record="${path}"] > summary`);
+    if (!input) return;
+
+    let details = input.closest('details');
+    while (details) {
+      details.open = true;
+      details = details.parentElement.closest('details');
+    }
+    input.focus();
+  }
+
+  /** Download the cleaned file; asks first while problems remain. */
+  download() {
+    const { warnings } = this.dataService.validator.validate(this.records, this.file.schema);
+    if (warnings.length && !window.confirm(`${this.filename} still has ${warnings.length} problem(s). Download anyway?`)) return;
+
+    const json = `${JSON.stringify(SchemaForm.clean(this.records, this.file.schema), null, 2)}\n`;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = this.filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    this.isDirty = false;
+  }
+
+  /**
+   * Read a value by dotted path.
+   * @param {Object|Array} root
+   * @param {string} path
+   */
+  static getPath(root, path) {
+    return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), root);
+  }
+
+  /**
+   * Write a value by dotted path. A plain value in a localized field
+   * becomes the default language's entry once a translation is added.
+   * @param {Object|Array} root
+   * @param {string} path
+   * @param {any} value
+   */
+  static setPath(root, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key, i) => {
+      const isLocaleKey = CONFIG.i18n.locales.includes(keys[i + 1] ?? last);
+      if (isLocaleKey && (typeof node[key] !== 'object' || node[key] === null || Array.isArray(node[key]))) {
+        node[key] = isEmptyValue(node[key]) ? {} : { [CONFIG.i18n.defaultLocale]: node[key] };
+      }
+      return node[key];
+    }, root);
+    parent[last] = value;
+  }
+
+  /** Clean up. */
+  destroy() {
+    this.panel.removeEventListener('input', this.handleInput);
+    this.panel.removeEventListener('change', this.handleInput);
+    this.panel.removeEventListener('click', this.handleClick);
+    this.panel.removeEventListener('toggle', this.handleToggle, true);
+  }
+}
+
+
+// =============================================================================
+// AdminApp — file tabs, preview language and the editors
+// =============================================================================
+class AdminApp {
+  constructor() {
+    this.dataService = new DataService(undefined, CONFIG.fetch);
+    this.editors = [];
+    this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+  }
+
+  /** Initialize the editors. */
+  async init() {
+    // Preview templates need the message catalogs
+    await i18n.init(this.dataService);
+
+    const languageSwitcher = new LanguageSwitcher(ADMIN_CONFIG.selectors.langSwitch, i18n);
+    languageSwitcher.init();
+
+    const tabs = document.querySelector(ADMIN_CONFIG.selectors.tabs);
+    const panels = document.querySelector(ADMIN_CONFIG.selectors.panels);
+
+    tabs.innerHTML = html`${ADMIN_CONFIG.files.map((file, i) => html`
+      <button type="button" class="admin__tab${i === 0 ? ' admin__tab--active' : ''}" aria-pressed="${String(i === 0)}" data-admin-tab="${file.name}">
+        ${file.label}
+      </button>
+    `)}`;
+    panels.innerHTML = html`${ADMIN_CONFIG.files.map((file, i) => html`
+      <section class="admin__panel" data-admin-panel="${file.name}" aria-label="${file.label}"${i === 0 ? '' : ' hidden'}></section>
+    `)}`;
+
+    tabs.addEventListener('click', (event) => {
+      const tab = event.target.closest('[data-admin-tab]');
+      if (tab) this.showFile(tab.dataset.adminTab);
+    });
+
+    this.editors = ADMIN_CONFIG.files.map((file) => new ContentEditor(
+      this.dataService,
+      file,
+      panels.querySelector(`[data-admin-panel="${file.name}"]`)
+    ));
+
+    const results = await Promise.allSettled(this.editors.map((editor) => editor.init()));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`[AdminApp] ${ADMIN_CONFIG.files[i].label} editor failed to load:`, result.reason);
+      }
+    });
+
+    // Preview in the chosen language
+    i18n.subscribe(() => this.editors.forEach((editor) => editor.records && editor.update()));
+    window.addEventListener('beforeunload', this.handleBeforeUnload);
+  }
+
+  /** Show one file's editor. */
+  showFile(name) {
+    document.querySelectorAll('[data-admin-tab]').forEach((tab) => {
+      const isActive = tab.dataset.adminTab === name;
+      tab.classList.toggle('admin__tab--active', isActive);
+      tab.setAttribute('aria-pressed', String(isActive));
+    });
+    document.querySelectorAll('[data-admin-panel]').forEach((panel) => {
+      panel.hidden = panel.dataset.adminPanel !== name;
+    });
+  }
+
+  /** Warn before leaving with edits that were not downloaded. */
+  handleBeforeUnload(event) {
+    if (!this.editors.some((editor) => editor.isDirty)) return;
+    event.preventDefault();
+    event.returnValue = '';
+  }
+}
+
+
+// =============================================================================
+// Bootstrap — start the editor when DOM is ready
+// =============================================================================
+document.addEventListener('DOMContentLoaded', () => {
+  const app = new AdminApp();
+  app.init();
+});
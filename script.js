@@ -6,15 +6,38 @@
  * Data is loaded from local JSON files via DataService.
  */
 
+// <html class="no-js"> shows the fade-ins at once. This script runs at the end
+// of <body>, before the page is first painted, so they are hidden from the
+// start instead of flashing up while the App waits for its first data.
+document.documentElement.classList.remove('no-js');
+
 // =============================================================================
 // CONFIG — all configurable values in one place
 // =============================================================================
 const CONFIG = {
+  // Business details used in structured data (keep in sync with the contact section)
+  business: {
+    name: 'JukaMedical',
+    url: 'https://jukamedical.com',
+    telephone: '+48221234567',
+    email: 'hello@jukamedical.com',
+    address: {
+      streetAddress: 'ul. Marszałkowska 84/12',
+      addressLocality: 'Warsaw',
+      postalCode: '00-514',
+      addressCountry: 'PL',
+    },
+    timeZone: 'Europe/Warsaw', // opening hours, "open now" and booking slots use the clinic's clock
+  },
+
   // Data file paths
   data: {
     team: 'data/team.json',
     services: 'data/services.json',
     trainings: 'data/trainings.json',
+    hours: 'data/hours.json',
+    rates: 'data/rates.json',
+    images: 'data/images.json', // sizes, variants and placeholders written by scripts/images.js
   },
 
   // DOM selectors (data-attributes preferred)
@@ -23,9 +46,26 @@ const CONFIG = {
     nav: '[data-nav]',
     navToggle: '[data-nav-toggle]',
     scrollLinks: '[data-scroll-link]',
-    teamContainer: '[data-team-container]',
-    servicesContainer: '[data-services-container]',
-    trainingsContainer: '[data-trainings-container]',
+    // Section containers are found by their data-section name (see SECTIONS);
+    // these are for code that needs one of them directly
+    teamContainer: '[data-section="team"]',
+    servicesContainer: '[data-section="services"]',
+    basketContainer: '[data-section="basket"]',
+    trainingsContainer: '[data-section="trainings"]',
+    trainingsCalendar: '[data-trainings-calendar]',
+    trainingsViewToggle: '[data-trainings-view]',
+    bookingContainer: '[data-section="booking"]',
+    langSwitch: '[data-lang-switch]',
+    currencySwitch: '[data-currency-switch]',
+    themeSwitch: '[data-theme-switch]',
+    themeColor: 'meta[name="theme-color"]',
+    dialog: '[data-dialog]',
+    offlineNotice: '[data-offline-notice]',
+    searchContainer: '[data-section="search"]',
+    hoursTable: '[data-section="hours"]',
+    hoursStatus: '[data-hours-status]',
+    closureNotice: '[data-closure-notice]',
+    contactForm: '[data-section="contact"]',
   },
 
   // CSS class names
@@ -41,6 +81,102 @@ const CONFIG = {
   scrollOffset: 80,       // px offset for smooth scroll (header clearance)
   stickyThreshold: 10,    // px before header gets "scrolled" style
   observerThreshold: 0.1, // IntersectionObserver visibility threshold
+  sectionRootMargin: '300px 0px', // sections load once they are this close to the viewport
+
+  // Languages — UI texts live in one catalog per locale
+  i18n: {
+    locales: ['en', 'pl'],
+    defaultLocale: 'en',
+    catalogUrl: 'locales/{locale}.json',
+    storageKey: 'jukamedical:locale',
+    // Intl locale per language; British English matches the clinic's date style
+    intlLocales: { en: 'en-GB', pl: 'pl-PL' },
+  },
+
+  // Prices in the visitor's chosen currency — indicative only, the listed currency is what is charged
+  currency: {
+    base: 'EUR',                            // data/rates.json gives units of each currency per 1 EUR
+    storageKey: 'jukamedical:currency',     // localStorage key holding the chosen currency
+  },
+
+  // Colour theme — light, dark, or the system's (prefers-color-scheme) until one is chosen
+  theme: {
+    modes: ['system', 'light', 'dark'],
+    storageKey: 'jukamedical:theme',        // localStorage key holding a chosen light or dark theme
+  },
+
+  // Responsive photos: the `sizes` of each <picture>, i.e. how wide the image
+  // is shown, so the browser picks the smallest variant in the srcset that fits
+  images: {
+    sizes: {
+      team: '(min-width: 1024px) 300px, (min-width: 640px) 50vw, 100vw',
+      trainings: '(min-width: 1200px) 600px, (min-width: 768px) 50vw, 100vw',
+      portrait: '96px',                     // team member in the profile dialog
+      detail: '(min-width: 640px) 640px, 100vw',
+    },
+  },
+
+  // Opening hours and closures (data/hours.json)
+  hours: {
+    noticeDays: 21,          // show a closure this many days before it starts
+    refreshInterval: 60000,  // ms between updates of the "Open now" status
+  },
+
+  // Loading data files
+  fetch: {
+    timeout: 8000,   // ms before a request is given up
+    retries: 2,      // extra attempts after network errors, timeouts and 5xx responses
+    retryDelay: 500, // ms before the first retry, doubled for each further one
+  },
+
+  // Offline support: the service worker caches the app shell,
+  // DataService keeps the data files (stale-while-revalidate)
+  offline: {
+    serviceWorker: 'sw.js',
+    cacheName: 'jukamedical-data',
+  },
+
+  // Search and filters (state is kept in the URL query)
+  search: {
+    durations: [30, 60, 90, 120],                    // "up to" options in minutes
+    levels: ['beginner', 'intermediate', 'advanced'], // training levels to filter by
+  },
+
+  // Online booking
+  booking: {
+    mode: 'local',                          // 'local' (saved in localStorage) or 'remote' (POST to endpoint)
+    endpoint: '/api/bookings',              // used when mode is 'remote'
+    storageKey: 'jukamedical:bookings',     // used when mode is 'local'
+    daysAhead: 14,                          // how many days of slots to offer
+    slotMinutes: 60,                        // slot length when a service has no duration
+  },
+
+  // Services tab bar (WAI-ARIA tabs pattern)
+  servicesTabs: {
+    activation: 'automatic',                // 'automatic' (arrow keys show the panel) or 'manual' (Enter/Space does)
+  },
+
+  // Treatment basket (services combined into one price estimate)
+  basket: {
+    storageKey: 'jukamedical:basket',       // localStorage key holding the chosen service ids
+  },
+
+  // Training enrollments and inquiries
+  enrollment: {
+    mode: 'local',                          // 'local' (saved in localStorage) or 'remote' (POST to endpoint)
+    endpoint: '/api/enrollments',           // used when mode is 'remote'
+    storageKey: 'jukamedical:enrollments',  // used when mode is 'local'
+  },
+
+  // Contact form inquiries
+  contact: {
+    mode: 'local',                          // 'local' (saved in localStorage) or 'remote' (POST to endpoint)
+    endpoint: '/api/inquiries',             // used when mode is 'remote'
+    storageKey: 'jukamedical:inquiries',    // used when mode is 'local'
+    minFillSeconds: 3,                      // sent sooner after the form appeared: treated as a bot
+    messageMinLength: 10,
+    messageMaxLength: 2000,
+  },
 };
 
 
@@ -79,224 +215,2298 @@ function safeUrl(url) {
   return '';
 }
 
+/**
+ * Markup that html`` inserts as it is: what html`` itself returns, or
+ * html.raw() and html.url(). Used wherever a string is (innerHTML, join, String()).
+ */
+class SafeHtml {
+  /** @param {string} markup */
+  constructor(markup) {
+    this.markup = markup;
+  }
 
-// =============================================================================
-// DataService — fetches and caches JSON data
-// =============================================================================
-class DataService {
-  constructor() {
-    this.cache = new Map();
+  toString() {
+    return this.markup;
   }
+}
 
-  /**
-   * Fetch JSON from a URL. Returns cached data if available.
-   * @param {string} url — path to JSON file
-   * @returns {Promise<any>} parsed JSON data
-   */
-  async fetch(url) {
-    if (this.cache.has(url)) {
-      return this.cache.get(url);
-    }
+/**
+ * Tagged template for HTML. Every interpolated value is escaped unless it is
+ * SafeHtml (a nested html`` template, html.raw() or html.url()). Arrays are
+ * joined, and null, undefined and false render nothing, so lists and optional
+ * parts go straight into the template:
+ *
+ *   html`<a href="${html.url(member.photo)}">${member.name}</a>${open ? html`<b>${label}</b>` : ''}`
+ *
+ * @param {TemplateStringsArray} strings
+ * @param {...*} values
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += htmlValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(markup);
+}
 
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch ${url}: ${response.status}`);
-      }
-      const data = await response.json();
-      this.cache.set(url, data);
-      return data;
-    } catch (error) {
-      console.error(`[DataService] Error loading ${url}:`, error);
-      return null;
-    }
-  }
+/**
+ * One interpolated value as markup.
+ * @param {*} value
+ * @returns {string}
+ */
+function htmlValue(value) {
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(htmlValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
 }
 
+/**
+ * Insert markup unescaped. Only for HTML written in this file, such as the
+ * SVG icons — never for data.
+ * @param {string} markup
+ * @returns {SafeHtml}
+ */
+html.raw = (markup) => new SafeHtml(String(markup));
 
-// =============================================================================
-// ComponentRenderer — renders arrays of data into HTML
-// =============================================================================
-class ComponentRenderer {
-  /**
-   * @param {HTMLElement} container — DOM element to render into
-   * @param {Function} templateFn — function that receives a data item and returns HTML string
-   */
-  constructor(container, templateFn) {
-    this.container = container;
-    this.templateFn = templateFn;
+/**
+ * A URL for an href or src attribute: checked with safeUrl() (an unsafe one
+ * becomes "") and escaped.
+ * @param {string} url
+ * @returns {SafeHtml}
+ */
+html.url = (url) => new SafeHtml(escapeHtml(safeUrl(url)));
+
+/**
+ * Run `callback` once the browser is idle, or after `timeout` ms at the latest
+ * (straight after the current task where requestIdleCallback is missing).
+ * @param {Function} callback
+ * @param {number} [timeout]
+ * @returns {Function} cancel
+ */
+function whenIdle(callback, timeout = 2000) {
+  if (typeof window.requestIdleCallback === 'function') {
+    const id = window.requestIdleCallback(callback, { timeout });
+    return () => window.cancelIdleCallback(id);
   }
+  const id = setTimeout(callback, 0);
+  return () => clearTimeout(id);
+}
 
-  /**
-   * Render an array of items into the container.
-   * @param {Array} items — data to render
-   */
-  render(items) {
-    if (!this.container || !items) return;
+/**
+ * Convert a "HH:MM" time to minutes since midnight.
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
 
-    const html = items.map((item, index) => this.templateFn(item, index)).join('');
-    this.container.innerHTML = html;
-  }
+/**
+ * Convert minutes since midnight to a "HH:MM" time.
+ * @param {number} minutes
+ * @returns {string}
+ */
+function fromMinutes(minutes) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
 }
 
+/**
+ * Format a local date as an ISO "YYYY-MM-DD" key.
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
 
-// =============================================================================
-// StickyHeader — adds a class to the header when scrolled past threshold
-// =============================================================================
-class StickyHeader {
-  /**
-   * @param {string} headerSelector — selector for the header element
-   * @param {string} scrolledClass — class to add when scrolled
-   * @param {number} threshold — scroll distance in px before activating
-   */
-  constructor(headerSelector, scrolledClass, threshold) {
-    this.header = document.querySelector(headerSelector);
-    this.scrolledClass = scrolledClass;
-    this.threshold = threshold;
-    this.handleScroll = this.handleScroll.bind(this);
-  }
+/**
+ * Parse an ISO "YYYY-MM-DD" key as a local date (new Date(key) would use UTC).
+ * @param {string} key
+ * @returns {Date}
+ */
+function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
 
-  /** Start listening for scroll events. */
-  init() {
-    if (!this.header) return;
-    window.addEventListener('scroll', this.handleScroll, { passive: true });
-    this.handleScroll(); // check initial state
-  }
+/**
+ * Working hours on a date from weekly rules (shaped like `regular` in hours.json),
+ * none on a day off.
+ * @param {Array<{dayOfWeek: string[], opens: string, closes: string}>} rules
+ * @param {Date} date
+ * @param {string[]} [daysOff] — ISO date keys
+ * @returns {Array<{opens: string, closes: string}>} earliest first
+ */
+function hoursOn(rules, date, daysOff = []) {
+  if (daysOff.includes(toDateKey(date))) return [];
+  return rules
+    .filter((rule) => rule.dayOfWeek.includes(WEEKDAYS[date.getDay()]))
+    .map(({ opens, closes }) => ({ opens, closes }))
+    .sort((a, b) => toMinutes(a.opens) - toMinutes(b.opens));
+}
 
-  /** Toggle the scrolled class based on scroll position. */
-  handleScroll() {
-    const isScrolled = window.scrollY > this.threshold;
-    this.header.classList.toggle(this.scrolledClass, isScrolled);
+/**
+ * The working hours going on now, or the next ones within `days` days.
+ * @param {Array} rules — weekly rules, see hoursOn()
+ * @param {Date} now
+ * @param {string[]} [daysOff] — ISO date keys
+ * @param {number} [days]
+ * @returns {?{date: Date, opens: string, closes: string, isNow: boolean}}
+ */
+function nextHours(rules, now, daysOff = [], days = 60) {
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  for (let offset = 0; offset < days; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const hours = hoursOn(rules, date, daysOff).find(({ closes }) => offset > 0 || toMinutes(closes) > nowMinutes);
+    if (hours) return { date, ...hours, isNow: offset === 0 && toMinutes(hours.opens) <= nowMinutes };
   }
+  return null;
+}
 
-  /** Stop listening. */
-  destroy() {
-    window.removeEventListener('scroll', this.handleScroll);
-  }
+/**
+ * ISO date keys of every day the closures cover, start to end date inclusive.
+ * @param {Array<{startDate: string, endDate: ?string}>} closures — from hours.json
+ * @returns {string[]}
+ */
+function closureDays(closures) {
+  return closures.flatMap(({ startDate, endDate }) => {
+    const days = [];
+    const end = parseDateKey((endDate || startDate).slice(0, 10));
+    for (let date = parseDateKey(startDate.slice(0, 10)); date <= end; date.setDate(date.getDate() + 1)) {
+      days.push(toDateKey(date));
+    }
+    return days;
+  });
+}
+
+/**
+ * The wall-clock time in a time zone, as a local Date: only its date and time
+ * fields are meaningful. Lets the clinic's hours be checked against the
+ * clinic's clock wherever the visitor is.
+ * @param {string} timeZone — IANA name, e.g. "Europe/Warsaw"
+ * @param {Date} [date]
+ * @returns {Date}
+ */
+function timeIn(timeZone, date = new Date()) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  });
+  const parts = Object.fromEntries(format.formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
 }
 
 
 // =============================================================================
-// MobileNav — toggles mobile navigation menu
+// Data schemas — declared shape of each JSON file
 // =============================================================================
-class MobileNav {
-  /**
-   * @param {string} toggleSelector — selector for the hamburger button
-   * @param {string} navSelector — selector for the nav element
-   * @param {string} navOpenClass — class for open state on nav
-   * @param {string} burgerActiveClass — class for active state on burger
-   */
-  constructor(toggleSelector, navSelector, navOpenClass, burgerActiveClass) {
-    this.toggle = document.querySelector(toggleSelector);
-    this.nav = document.querySelector(navSelector);
-    this.navOpenClass = navOpenClass;
-    this.burgerActiveClass = burgerActiveClass;
-    this.isOpen = false;
 
-    this.handleToggle = this.handleToggle.bind(this);
-    this.handleNavClick = this.handleNavClick.bind(this);
-  }
+/**
+ * Each schema maps a field name to its type (a key of FIELD_TYPES).
+ * Records missing a required field are dropped; other invalid fields are
+ * reported and set to null, so one typo never breaks a whole section.
+ * `localized: true` fields may be translated per locale (see I18n#text).
+ */
+const SCHEMAS = {
+  team: {
+    id: { type: 'id', required: true },
+    name: { type: 'string', required: true },
+    role: { type: 'string', required: true, localized: true },
+    bio: { type: 'text', localized: true },
+    photo: { type: 'url' },
+    specialties: { type: 'strings', localized: true },
+    experience: { type: 'text', localized: true },
+    socials: { type: 'links' },
+    serviceCategories: { type: 'ids' },
+    certifications: { type: 'strings', localized: true },
+    schedule: { type: 'records', schema: 'availability' }, // weekly working hours; none: not shown
+    daysOff: { type: 'dates' },
+  },
 
-  /** Start listening for toggle clicks. */
-  init() {
-    if (!this.toggle || !this.nav) return;
-    this.toggle.addEventListener('click', this.handleToggle);
-    this.nav.addEventListener('click', this.handleNavClick);
-  }
+  services: {
+    id: { type: 'id', required: true },
+    category: { type: 'string', required: true, localized: true },
+    description: { type: 'text', localized: true },
+    items: { type: 'records', schema: 'serviceItem', required: true },
+  },
 
-  /** Toggle the menu open/closed. */
-  handleToggle() {
-    this.isOpen = !this.isOpen;
-    this.nav.classList.toggle(this.navOpenClass, this.isOpen);
-    this.toggle.classList.toggle(this.burgerActiveClass, this.isOpen);
-    this.toggle.setAttribute('aria-expanded', String(this.isOpen));
-    document.body.style.overflow = this.isOpen ? 'hidden' : '';
-  }
+  serviceItem: {
+    id: { type: 'id', required: true },
+    name: { type: 'string', required: true, localized: true },
+    description: { type: 'text', localized: true },
+    duration: { type: 'duration' },
+    price: { type: 'price', required: true },
+    currency: { type: 'currency', required: true },
+    isPopular: { type: 'boolean' },
+  },
 
-  /** Close the menu when a nav link is clicked. */
-  handleNavClick(event) {
-    if (event.target.closest('a') && this.isOpen) {
-      this.close();
-    }
-  }
+  trainings: {
+    id: { type: 'id', required: true },
+    title: { type: 'string', required: true, localized: true },
+    description: { type: 'text', localized: true },
+    duration: { type: 'text', localized: true },
+    level: { type: 'string', required: true },
+    price: { type: 'price', required: true },
+    currency: { type: 'currency', required: true },
+    includes: { type: 'strings', localized: true },
+    syllabus: { type: 'strings', localized: true },
+    prerequisites: { type: 'strings', localized: true },
+    instructorId: { type: 'id' },
+    sessions: { type: 'records', schema: 'trainingSession' },
+    image: { type: 'url' },
+  },
 
-  /** Close the menu programmatically. */
-  close() {
-    this.isOpen = false;
-    this.nav.classList.remove(this.navOpenClass);
-    this.toggle.classList.remove(this.burgerActiveClass);
-    this.toggle.setAttribute('aria-expanded', 'false');
-    document.body.style.overflow = '';
-  }
+  trainingSession: {
+    id: { type: 'id', required: true },
+    startDate: { type: 'date', required: true },
+    endDate: { type: 'date' },
+    spotsAvailable: { type: 'count' },
+    status: { type: 'oneOf', values: ['open', 'full', 'cancelled'] },
+  },
 
-  /** Clean up event listeners. */
-  destroy() {
-    if (this.toggle) this.toggle.removeEventListener('click', this.handleToggle);
-    if (this.nav) this.nav.removeEventListener('click', this.handleNavClick);
-  }
-}
+  availability: {
+    id: { type: 'id', required: true },
+    dayOfWeek: { type: 'weekdays', required: true },
+    opens: { type: 'time', required: true },
+    closes: { type: 'time', required: true },
+  },
 
+  // hours.json holds one object, not a list (see DataService#loadOne)
+  hours: {
+    regular: { type: 'records', schema: 'availability', required: true }, // weekly opening hours
+    closures: { type: 'records', schema: 'closure' },                     // public holidays and one-off closures
+  },
 
-// =============================================================================
-// SmoothScroll — smooth scrolling for anchor links
-// =============================================================================
-class SmoothScroll {
-  /**
-   * @param {string} linkSelector — selector for all scroll-trigger links
-   * @param {number} offset — px offset from top (e.g., header height)
-   */
-  constructor(linkSelector, offset) {
-    this.linkSelector = linkSelector;
-    this.offset = offset;
-    this.handleClick = this.handleClick.bind(this);
-  }
+  closure: {
+    id: { type: 'id', required: true },
+    startDate: { type: 'date', required: true },
+    endDate: { type: 'date' }, // none: a single day
+    name: { type: 'string', required: true, localized: true },
+    type: { type: 'oneOf', values: ['holiday', 'closure'] },
+  },
 
-  /** Attach click listeners to all matching links. */
-  init() {
-    document.addEventListener('click', this.handleClick);
-  }
+  // images.json, written by scripts/images.js. The id is the image's path
+  // as given in team.json or trainings.json
+  images: {
+    id: { type: 'url', required: true },
+    width: { type: 'count', required: true },
+    height: { type: 'count', required: true },
+    placeholder: { type: 'imageData' }, // tiny blurred copy shown while the image loads
+    variants: { type: 'records', schema: 'imageVariant', required: true },
+  },
 
-  /** Handle click on a scroll link. */
-  handleClick(event) {
-    const link = event.target.closest(this.linkSelector);
-    if (!link) return;
+  // The id is the generated file's path
+  imageVariant: {
+    id: { type: 'url', required: true },
+    format: { type: 'oneOf', values: ['avif', 'webp'], required: true },
+    width: { type: 'count', required: true },
+  },
 
-    const href = link.getAttribute('href');
-    if (!href || !href.startsWith('#')) return;
+  // The id is the currency code
+  rates: {
+    id: { type: 'currency', required: true },
+    rate: { type: 'rate', required: true },
+  },
+};
 
-    const target = document.querySelector(href);
-    if (!target) return;
+/** Day names indexed like Date#getDay(). */
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-    event.preventDefault();
-    const top = target.getBoundingClientRect().top + window.scrollY - this.offset;
-    window.scrollTo({ top, behavior: 'smooth' });
-  }
+/** Values that mean "not filled in" — treated as empty without a warning. */
+const EMPTY_VALUES = ['', 'n/a', 'na', '-', '—'];
 
-  /** Clean up. */
-  destroy() {
-    document.removeEventListener('click', this.handleClick);
-  }
+/** Values that look like leftover test content — treated as empty with a warning. */
+const PLACEHOLDER_VALUES = ['test', 'todo', 'tbd', 'lorem ipsum', 'xxx'];
+
+/**
+ * Check whether a raw JSON value should be treated as empty.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined) return true;
+  return typeof value === 'string' && EMPTY_VALUES.includes(value.trim().toLowerCase());
 }
 
+/**
+ * Field normalizers. Each receives a non-empty raw value (and the field spec)
+ * and returns the typed value, or throws an Error explaining what is wrong.
+ */
+const FIELD_TYPES = {
+  id(value) {
+    if (typeof value === 'number' && Number.isInteger(value)) return value;
+    if (typeof value === 'string' && value.trim()) return value.trim();
+    throw new Error('expected a number or text identifier');
+  },
 
-// =============================================================================
-// ScrollAnimator — fade-in elements as they enter viewport
-// =============================================================================
-class ScrollAnimator {
-  /**
-   * @param {string} fadeClass — class marking elements to animate
-   * @param {string} visibleClass — class added when visible
-   * @param {number} threshold — IntersectionObserver threshold
-   */
-  constructor(fadeClass, visibleClass, threshold) {
-    this.fadeClass = fadeClass;
-    this.visibleClass = visibleClass;
-    this.threshold = threshold;
-    this.observer = null;
-  }
+  string(value) {
+    if (typeof value !== 'string') throw new Error('expected text');
+    return value.trim();
+  },
 
-  /** Create observer and observe all matching elements. */
-  init() {
+  text(value) {
+    const text = FIELD_TYPES.string(value);
+    if (PLACEHOLDER_VALUES.includes(text.toLowerCase())) {
+      throw new Error('looks like placeholder text');
+    }
+    return text;
+  },
+
+  strings(value) {
+    if (!Array.isArray(value)) throw new Error('expected a list of texts');
+    return value.filter((s) => !isEmptyValue(s)).map(FIELD_TYPES.string);
+  },
+
+  url(value) {
+    const url = safeUrl(value);
+    if (!url) throw new Error('expected an http(s) or relative URL');
+    return url;
+  },
+
+  ids(value) {
+    if (!Array.isArray(value)) throw new Error('expected a list of identifiers');
+    return value.map(FIELD_TYPES.id);
+  },
+
+  links(value) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('expected an object of platform → URL');
+    }
+    const links = {};
+    Object.entries(value).forEach(([platform, url]) => {
+      if (safeUrl(url)) links[platform] = safeUrl(url);
+    });
+    return links;
+  },
+
+  /**
+   * Accepts 120, "120", "80-100", "230/300", "+10" (add-on) and "< 50".
+   * Returns { min, max, isAddon, isUpTo }.
+   */
+  price(value) {
+    if (typeof value === 'number' && value >= 0) {
+      return { min: value, max: value, isAddon: false, isUpTo: false };
+    }
+    const match = typeof value === 'string'
+      && value.replace(/\s+/g, '').match(/^(\+|<)?(\d+(?:[.,]\d+)?)(?:[-–/](\d+(?:[.,]\d+)?))?$/);
+    if (!match) throw new Error('expected a price like 120, "80-100", "230/300" or "+10"');
+
+    const [, prefix, first, second] = match;
+    const min = Number(first.replace(',', '.'));
+    const max = second ? Number(second.replace(',', '.')) : min;
+    if (max < min) throw new Error('price range is reversed');
+
+    const isUpTo = prefix === '<';
+    return { min: isUpTo ? 0 : min, max, isAddon: prefix === '+', isUpTo };
+  },
+
+  /** Accepts minutes as a number or text like "45 min", "1h", "1 h 30 min". */
+  duration(value) {
+    if (typeof value === 'number' && value > 0) return Math.round(value);
+    const match = typeof value === 'string'
+      && value.trim().toLowerCase().match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*(?:min)?)?$/);
+    if (!match || (!match[1] && !match[2])) throw new Error('expected a duration like "45 min" or "1 h 30 min"');
+    return Number(match[1] || 0) * 60 + Number(match[2] || 0);
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'tak', '1'].includes(text)) return true;
+    if (['false', 'no', 'nie', '0'].includes(text)) return false;
+    throw new Error('expected true or false');
+  },
+
+  currency(value) {
+    const code = FIELD_TYPES.string(value).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) throw new Error('expected a 3-letter currency code like "PLN"');
+    return code;
+  },
+
+  /** Exchange rate: units of a currency per unit of the base currency. */
+  rate(value) {
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate <= 0) throw new Error('expected a positive number like 4.25');
+    return rate;
+  },
+
+  /** ISO date "YYYY-MM-DD" — kept as a string, only validated. */
+  date(value) {
+    const text = FIELD_TYPES.string(value);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(text) || Number.isNaN(new Date(text).getTime())) {
+      throw new Error('expected an ISO date like "2026-04-15"');
+    }
+    return text;
+  },
+
+  /** List of ISO dates, e.g. days off. */
+  dates(value) {
+    if (!Array.isArray(value)) throw new Error('expected a list of ISO dates like "2026-12-24"');
+    return value.filter((date) => !isEmptyValue(date)).map(FIELD_TYPES.date);
+  },
+
+  /** Time of day "HH:MM" — kept as a string, only validated. */
+  time(value) {
+    const text = FIELD_TYPES.string(value);
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(text)) throw new Error('expected a time like "09:00"');
+    return text;
+  },
+
+  /** Day name or list of day names, as used by schema.org ("Monday"). */
+  weekdays(value) {
+    const days = Array.isArray(value) ? value : [value];
+    days.forEach((day) => {
+      if (!WEEKDAYS.includes(day)) throw new Error(`unknown day "${day}", expected e.g. "Monday"`);
+    });
+    return days;
+  },
+
+  /** One of a fixed list of values, given as `values` in the field spec. */
+  oneOf(value, spec) {
+    const text = FIELD_TYPES.string(value).toLowerCase();
+    if (!spec.values.includes(text)) throw new Error(`expected one of: ${spec.values.join(', ')}`);
+    return text;
+  },
+
+  count(value) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) throw new Error('expected a whole number of 0 or more');
+    return count;
+  },
+
+  // Only base64 images: safeUrl() rejects data: URLs, so these go into src as they are
+  imageData(value) {
+    const data = FIELD_TYPES.string(value);
+    if (!/^data:image\/(avif|webp|png|jpeg);base64,[A-Za-z0-9+/]+=*$/.test(data)) {
+      throw new Error('expected a base64 data:image URL');
+    }
+    return data;
+  },
+};
+
+/** Value used when an optional field is empty or invalid. */
+const FIELD_DEFAULTS = {
+  boolean: false,
+  strings: [],
+  dates: [],
+  ids: [],
+  records: [],
+  links: {},
+};
+
+
+// =============================================================================
+// DataValidator — checks JSON against SCHEMAS and normalizes values
+// =============================================================================
+class DataValidator {
+  /**
+   * @param {Object} schemas — schema definitions keyed by name (see SCHEMAS)
+   */
+  constructor(schemas) {
+    this.schemas = schemas;
+  }
+
+  /**
+   * Validate a dataset (array of records) against a named schema.
+   * @param {any} data — parsed JSON
+   * @param {string} schemaName — key of SCHEMAS
+   * @returns {{records: Array, warnings: Array<{path: string, field: string, value: any, message: string}>}}
+   */
+  validate(data, schemaName) {
+    const warnings = [];
+    const records = this.validateList(data, schemaName, schemaName, warnings);
+    return { records, warnings };
+  }
+
+  /**
+   * Validate a file holding a single object (e.g. hours.json) against a named schema.
+   * @param {any} data — parsed JSON
+   * @param {string} schemaName — key of SCHEMAS
+   * @returns {{record: ?Object, warnings: Array}} record is null when the file does not fit the schema
+   */
+  validateOne(data, schemaName) {
+    const warnings = [];
+    const record = this.validateRecord(data, schemaName, schemaName, warnings);
+    return { record, warnings };
+  }
+
+  /** Validate an array of records, dropping invalid ones and duplicate ids. */
+  validateList(list, schemaName, path, warnings) {
+    if (!Array.isArray(list)) {
+      warnings.push({ path, field: '', value: list, message: 'expected a list of records' });
+      return [];
+    }
+
+    const seenIds = new Set();
+    return list
+      .map((raw, i) => this.validateRecord(raw, schemaName, `${path}[${i}]`, warnings))
+      .filter((record, i) => {
+        if (!record) return false;
+        if (seenIds.has(record.id)) {
+          warnings.push({ path: `${path}[${i}]`, field: 'id', value: record.id, message: 'duplicate id, record skipped' });
+          return false;
+        }
+        seenIds.add(record.id);
+        return true;
+      });
+  }
+
+  /**
+   * Validate a single record. Returns the normalized record,
+   * or null when a required field is missing or invalid.
+   */
+  validateRecord(raw, schemaName, path, warnings) {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+      warnings.push({ path, field: '', value: raw, message: 'expected an object, record skipped' });
+      return null;
+    }
+
+    const schema = this.schemas[schemaName];
+    const record = {};
+    let isValid = true;
+
+    Object.entries(schema).forEach(([field, spec]) => {
+      const warn = (message) => warnings.push({ path, field, value: raw[field], message });
+      let value = null;
+
+      if (isEmptyValue(raw[field])) {
+        if (spec.required) warn('required field is missing');
+      } else {
+        try {
+          value = spec.type === 'records'
+            ? this.validateList(raw[field], spec.schema, `${path}.${field}`, warnings)
+            : this.normalizeValue(raw[field], spec);
+        } catch (error) {
+          warn(error.message);
+          value = null;
+        }
+      }
+
+      if (value === null && spec.required) isValid = false;
+      record[field] = value === null && spec.type in FIELD_DEFAULTS ? FIELD_DEFAULTS[spec.type] : value;
+    });
+
+    if (!isValid) {
+      warnings.push({ path, field: '', value: raw.id, message: 'record skipped' });
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Normalize one field value. Localized fields may also hold an object
+   * of locale → value, e.g. { "pl": "Masaż", "en": "Massage" }.
+   */
+  normalizeValue(value, spec) {
+    const isLocaleMap = spec.localized && typeof value === 'object' && !Array.isArray(value);
+    if (!isLocaleMap) return FIELD_TYPES[spec.type](value, spec);
+
+    const entries = Object.entries(value).filter(([, text]) => !isEmptyValue(text));
+    if (!entries.length) throw new Error('no translation filled in');
+    return Object.fromEntries(entries.map(([locale, text]) => [locale, FIELD_TYPES[spec.type](text, spec)]));
+  }
+}
+
+
+// =============================================================================
+// Data errors — typed failures raised by DataService
+// =============================================================================
+
+/** Base class: a data file could not be loaded. */
+class DataLoadError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} url — the file that failed
+   * @param {{cause?: Error}} [options]
+   */
+  constructor(message, url, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+    this.url = url;
+  }
+}
+
+/** The server could not be reached (offline, DNS, blocked request). */
+class NetworkError extends DataLoadError {
+  constructor(url, cause) {
+    super(`Could not reach the server for ${url}`, url, { cause });
+  }
+}
+
+/** No complete response within the configured timeout. */
+class TimeoutError extends NetworkError {
+  constructor(url, timeout) {
+    super(url);
+    this.message = `${url} did not respond within ${timeout} ms`;
+    this.timeout = timeout;
+  }
+}
+
+/** The server answered with an error status. */
+class HttpError extends DataLoadError {
+  constructor(url, status) {
+    super(`${url} responded with HTTP ${status}`, url);
+    this.status = status;
+  }
+}
+
+/** The response was not valid JSON. */
+class ParseError extends DataLoadError {
+  constructor(url, cause) {
+    super(`${url} is not valid JSON`, url, { cause });
+  }
+}
+
+/** The file loaded, but is not shaped like its schema (only for single-object files). */
+class SchemaError extends DataLoadError {
+  constructor(url, schemaName) {
+    super(`${url} does not match the ${schemaName} schema`, url);
+    this.schemaName = schemaName;
+  }
+}
+
+/**
+ * Show a section's error state with a Retry button. The hint tells a lost
+ * connection apart from a problem on the server.
+ * @param {HTMLElement} container
+ * @param {string} message — the section's own "could not be loaded" text
+ * @param {Error} error
+ * @param {Function} retry — re-runs the section's init
+ */
+function renderSectionError(container, message, error, retry) {
+  const hint = error instanceof NetworkError ? i18n.t('errors.network') : i18n.t('errors.server');
+  container.innerHTML = html`
+    <div class="section__error" role="alert">
+      <p>${message}</p>
+      <p class="section__error-hint">${hint}</p>
+      <button type="button" class="btn btn--outline btn--small section__retry" data-section-retry>${i18n.t('errors.retry')}</button>
+    </div>
+  `;
+  container.querySelector('[data-section-retry]').addEventListener('click', retry, { once: true });
+}
+
+
+// =============================================================================
+// DataService — fetches and caches JSON data
+// =============================================================================
+class DataService {
+  /**
+   * @param {DataValidator} [validator] — used by load() to check data against a schema
+   * @param {{timeout?: number, retries?: number, retryDelay?: number, cacheName?: string}} [options]
+   *   — overrides of the request limits in CONFIG.fetch; cacheName keeps data files in Cache Storage,
+   *   so they are shown at once on the next visit and refreshed in the background
+   */
+  constructor(validator = new DataValidator(SCHEMAS), options = {}) {
+    this.cache = new Map();
+    this.validator = validator;
+    this.warnings = new Map();
+    this.options = { ...CONFIG.fetch, ...options };
+    this.cacheName = options.cacheName && typeof caches !== 'undefined' ? options.cacheName : null;
+    this.pending = new Map(); // url → request in flight
+    this.stale = new Map(); // url → when the cached copy was saved, while the network is unreachable
+    this.listeners = new Set();
+  }
+
+  /**
+   * Fetch JSON and validate it against a named schema.
+   * Invalid records are left out and reported via reportWarnings().
+   * @param {string} url — path to JSON file
+   * @param {string} schemaName — key of SCHEMAS
+   * @returns {Promise<Array>} normalized records
+   * @throws {DataLoadError} when the file cannot be loaded
+   */
+  async load(url, schemaName) {
+    const data = await this.fetch(url, true);
+    const { records, warnings } = this.validator.validate(data, schemaName);
+    if (!this.warnings.has(url)) this.reportWarnings(url, warnings); // report each file once
+    this.warnings.set(url, warnings);
+    return records;
+  }
+
+  /**
+   * Fetch a JSON file holding one object (e.g. hours.json) and validate it
+   * against a named schema. Problems are reported like load() does.
+   * @param {string} url — path to JSON file
+   * @param {string} schemaName — key of SCHEMAS
+   * @returns {Promise<Object>} the normalized record
+   * @throws {DataLoadError} when the file cannot be loaded or does not fit the schema
+   */
+  async loadOne(url, schemaName) {
+    const data = await this.fetch(url, true);
+    const { record, warnings } = this.validator.validateOne(data, schemaName);
+    if (!this.warnings.has(url)) this.reportWarnings(url, warnings);
+    this.warnings.set(url, warnings);
+    if (!record) throw new SchemaError(url, schemaName);
+    return record;
+  }
+
+  /**
+   * Log data problems as a table so whoever edits the JSON can find them.
+   * @param {string} url
+   * @param {Array} warnings
+   */
+  reportWarnings(url, warnings) {
+    if (!warnings.length) return;
+    console.groupCollapsed(`[DataService] ${warnings.length} problem(s) in ${url}`);
+    console.table(warnings);
+    console.groupEnd();
+  }
+
+  /**
+   * Fetch JSON from a URL. Returns cached data if available.
+   * Persisted files are served stale-while-revalidate: the saved copy
+   * comes back at once and subscribers hear when fresher data arrives.
+   * @param {string} url — path to JSON file
+   * @param {boolean} [persist] — keep the file in the persistent cache
+   * @returns {Promise<any>} parsed JSON data
+   * @throws {DataLoadError} when the file cannot be loaded
+   */
+  async fetch(url, persist = false) {
+    if (this.cache.has(url)) {
+      return this.cache.get(url);
+    }
+
+    // Sections loading the same file at once share one request (and its retries)
+    if (!this.pending.has(url)) {
+      this.pending.set(url, this.fetchFirst(url, persist).finally(() => this.pending.delete(url)));
+    }
+    return this.pending.get(url);
+  }
+
+  /** First load of a file in this page view: saved copy, else the network. */
+  async fetchFirst(url, persist) {
+    const saved = persist ? await this.readSaved(url) : null;
+    if (saved) {
+      this.cache.set(url, saved.data);
+      this.revalidate(url, saved.savedAt);
+      return saved.data;
+    }
+
+    try {
+      const data = await this.fetchFresh(url, persist);
+      this.cache.set(url, data);
+      return data;
+    } catch (error) {
+      console.error(`[DataService] Error loading ${url}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch JSON from the network, saving it when persisted. Network errors,
+   * timeouts and 5xx responses are retried with exponential backoff.
+   * @param {string} url
+   * @param {boolean} persist
+   * @returns {Promise<any>}
+   * @throws {DataLoadError}
+   */
+  async fetchFresh(url, persist) {
+    const { retries, retryDelay } = this.options;
+
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        const data = await this.request(url);
+        if (persist) await this.save(url, data);
+        return data;
+      } catch (error) {
+        if (attempt >= retries || !DataService.isRetryable(error)) throw error;
+        await new Promise((resolve) => setTimeout(resolve, retryDelay * 2 ** attempt));
+      }
+    }
+  }
+
+  /**
+   * One request, aborted after the configured timeout.
+   * Failures are turned into NetworkError, TimeoutError, HttpError or ParseError.
+   * @param {string} url
+   * @returns {Promise<any>}
+   */
+  async request(url) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.options.timeout);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) throw new HttpError(url, response.status);
+
+      // Read as text first, so a broken body is told apart from bad JSON
+      const text = await response.text();
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new ParseError(url, error);
+      }
+    } catch (error) {
+      if (error instanceof DataLoadError) throw error;
+      if (timedOut) throw new TimeoutError(url, this.options.timeout);
+      throw new NetworkError(url, error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Whether trying again may help: the connection, not the file, was the problem.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isRetryable(error) {
+    return error instanceof NetworkError || (error instanceof HttpError && error.status >= 500);
+  }
+
+  /**
+   * Read a saved copy from the persistent cache.
+   * @param {string} url
+   * @returns {Promise<{data: any, savedAt: Date}|null>}
+   */
+  async readSaved(url) {
+    if (!this.cacheName) return null;
+    try {
+      const cache = await caches.open(this.cacheName);
+      const response = await cache.match(url);
+      if (!response) return null;
+      return { data: await response.json(), savedAt: new Date(response.headers.get('X-Saved-At')) };
+    } catch (error) {
+      return null; // storage unavailable (e.g. private mode) — use the network
+    }
+  }
+
+  /** Save a copy to the persistent cache, stamped with the time it was saved. */
+  async save(url, data) {
+    if (!this.cacheName) return;
+    try {
+      const cache = await caches.open(this.cacheName);
+      await cache.put(url, new Response(JSON.stringify(data), {
+        headers: { 'Content-Type': 'application/json', 'X-Saved-At': new Date().toISOString() },
+      }));
+    } catch (error) {
+      console.warn(`[DataService] Could not save ${url} for offline use:`, error);
+    }
+  }
+
+  /**
+   * Refresh a file that was served from the persistent cache.
+   * Subscribers hear whether it changed, or that only the saved copy is available.
+   * @param {string} url
+   * @param {Date} savedAt — when the copy being shown was saved
+   */
+  async revalidate(url, savedAt) {
+    try {
+      const data = await this.fetchFresh(url, true);
+      const changed = JSON.stringify(data) !== JSON.stringify(this.cache.get(url));
+      this.cache.set(url, data);
+      this.stale.delete(url);
+      this.notify({ url, changed });
+    } catch (error) {
+      this.stale.set(url, savedAt);
+      this.notify({ url, changed: false });
+    }
+  }
+
+  /** Try the network again for every file still shown from the cache. */
+  refreshStale() {
+    return Promise.all([...this.stale].map(([url, savedAt]) => this.revalidate(url, savedAt)));
+  }
+
+  /**
+   * Call a function when a persisted file was revalidated.
+   * @param {Function} listener — receives { url, changed }
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /** Tell subscribers about a revalidated file. */
+  notify(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+}
+
+
+// =============================================================================
+// Submission adapters — where form submissions are sent
+// =============================================================================
+
+/**
+ * Sends submissions as JSON to an HTTP endpoint.
+ * Every adapter has the same interface: submit(payload) and list().
+ */
+class HttpAdapter {
+  /**
+   * @param {string} endpoint — URL accepting POST requests with a JSON body
+   */
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * POST a payload. Resolves with the server response, rejects on failure.
+   * @param {Object} payload
+   * @returns {Promise<Object>}
+   */
+  async submit(payload) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to submit to ${this.endpoint}: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /** Earlier submissions are only known to the server. */
+  async list() {
+    return [];
+  }
+}
+
+/**
+ * Stand-in for a backend: keeps submissions in localStorage,
+ * so forms can be demoed and tested without a server.
+ */
+class LocalStorageAdapter {
+  /**
+   * @param {string} storageKey — localStorage key holding the submissions array
+   */
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Save a payload and resolve with it, plus a generated id.
+   * @param {Object} payload
+   * @returns {Promise<Object>}
+   */
+  async submit(payload) {
+    const record = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, ...payload };
+    const records = await this.list();
+    records.push(record);
+    localStorage.setItem(this.storageKey, JSON.stringify(records));
+    return record;
+  }
+
+  /**
+   * Read all saved submissions.
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+/**
+ * Create the adapter selected in config.
+ * @param {{mode: string, endpoint: string, storageKey: string}} options
+ * @returns {HttpAdapter|LocalStorageAdapter}
+ */
+function createAdapter({ mode, endpoint, storageKey }) {
+  return mode === 'remote' ? new HttpAdapter(endpoint) : new LocalStorageAdapter(storageKey);
+}
+
+
+// =============================================================================
+// I18n — message catalogs, localized data and Intl formatting
+// =============================================================================
+class I18n {
+  /**
+   * @param {{locales: string[], defaultLocale: string, catalogUrl: string, storageKey: string, intlLocales: Object<string, string>}} options
+   */
+  constructor(options) {
+    this.options = options;
+    this.locale = options.defaultLocale;
+    this.messages = {};
+    this.fallbackMessages = {};
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load the saved or browser locale (and the default one as fallback).
+   * @param {DataService} dataService — used to fetch the catalogs
+   */
+  async init(dataService) {
+    this.dataService = dataService;
+    this.fallbackMessages = await dataService.fetch(this.catalogUrl(this.options.defaultLocale)).catch(() => ({}));
+    await this.setLocale(this.detectLocale());
+  }
+
+  /** Saved choice first, then the browser languages, then the default. */
+  detectLocale() {
+    const saved = localStorage.getItem(this.options.storageKey);
+    if (this.options.locales.includes(saved)) return saved;
+
+    const preferred = (navigator.languages || [navigator.language])
+      .map((lang) => String(lang).slice(0, 2).toLowerCase())
+      .find((lang) => this.options.locales.includes(lang));
+    return preferred || this.options.defaultLocale;
+  }
+
+  /** Locale tag passed to Intl formatters. */
+  get intlLocale() {
+    return this.options.intlLocales[this.locale] || this.locale;
+  }
+
+  /** URL of a locale's catalog. */
+  catalogUrl(locale) {
+    return this.options.catalogUrl.replace('{locale}', locale);
+  }
+
+  /**
+   * Switch language: load its catalog, translate static markup and
+   * notify subscribers so they can re-render.
+   * @param {string} locale
+   */
+  async setLocale(locale) {
+    if (!this.options.locales.includes(locale)) return;
+
+    const messages = locale === this.options.defaultLocale
+      ? this.fallbackMessages
+      : await this.dataService.fetch(this.catalogUrl(locale)).catch(() => null);
+
+    this.locale = messages ? locale : this.options.defaultLocale;
+    this.messages = messages || this.fallbackMessages;
+    localStorage.setItem(this.options.storageKey, this.locale);
+    document.documentElement.lang = this.locale;
+
+    this.translatePage();
+    this.listeners.forEach((listener) => listener(this.locale));
+  }
+
+  /**
+   * Call a function whenever the locale changes.
+   * @param {Function} listener
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /** Check whether a message key exists. */
+  has(key) {
+    return I18n.lookup(this.messages, key) !== undefined
+      || I18n.lookup(this.fallbackMessages, key) !== undefined;
+  }
+
+  /**
+   * Translate a message key. `{name}` placeholders are filled from params;
+   * messages with one/few/many/other forms are picked by params.count.
+   * Returns the key itself when no catalog has it.
+   * @param {string} key — dotted path, e.g. "team.loading"
+   * @param {Object} [params]
+   * @returns {string}
+   */
+  t(key, params = {}) {
+    let message = I18n.lookup(this.messages, key);
+    if (message === undefined) message = I18n.lookup(this.fallbackMessages, key);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      const form = new Intl.PluralRules(this.intlLocale).select(params.count ?? 0);
+      message = message[form] ?? message.other;
+    }
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+
+  /** Resolve a dotted key in a nested catalog object. */
+  static lookup(messages, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+  }
+
+  /**
+   * Pick the current language from a localized data field.
+   * Plain values are shared by all languages.
+   * @param {string|Array|Object} value — value or { locale: value } map
+   * @param {string} [locale]
+   * @returns {any}
+   */
+  text(value, locale = this.locale) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+    return value[locale] ?? value[this.options.defaultLocale] ?? Object.values(value)[0];
+  }
+
+  /** Format an amount of money, e.g. "850 €" or "€850" depending on locale. */
+  formatCurrency(amount, currency) {
+    if (!currency) return new Intl.NumberFormat(this.intlLocale).format(amount);
+    return new Intl.NumberFormat(this.intlLocale, {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    }).format(amount);
+  }
+
+  /**
+   * Format a normalized price range (see FIELD_TYPES.price),
+   * e.g. "230–300 zł", "+10 zł", "up to 50 zł".
+   * @param {{min: number, max: number, isAddon: boolean, isUpTo: boolean}} price
+   * @param {string} currency
+   * @returns {string}
+   */
+  formatPrice(price, currency) {
+    if (!price) return '';
+    if (price.isUpTo) return this.t('price.upTo', { amount: this.formatCurrency(price.max, currency) });
+    if (price.isAddon) return `+${this.formatCurrency(price.max, currency)}`;
+    if (price.min === price.max) return this.formatCurrency(price.max, currency);
+    return `${new Intl.NumberFormat(this.intlLocale).format(price.min)}–${this.formatCurrency(price.max, currency)}`;
+  }
+
+  /** Format a duration in minutes, e.g. "45 min", "1 h 30 min". */
+  formatDuration(minutes) {
+    if (!minutes) return '';
+    const unit = (value, name) => new Intl.NumberFormat(this.intlLocale, { style: 'unit', unit: name, unitDisplay: 'short' }).format(value);
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return [hours && unit(hours, 'hour'), rest && unit(rest, 'minute')].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Format a Date or ISO "YYYY-MM-DD" key.
+   * @param {Date|string} date
+   * @param {Intl.DateTimeFormatOptions} [options]
+   */
+  formatDate(date, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+    const value = typeof date === 'string' ? parseDateKey(date) : date;
+    return new Intl.DateTimeFormat(this.intlLocale, options).format(value);
+  }
+
+  /** Localized name of a schema.org day ("Monday"), e.g. "Mon" or "pon.". */
+  formatWeekday(day, style = 'short') {
+    const date = new Date(2023, 0, 1 + WEEKDAYS.indexOf(day)); // 1 Jan 2023 was a Sunday
+    return new Intl.DateTimeFormat(this.intlLocale, { weekday: style }).format(date);
+  }
+
+  /** Format ISO start/end keys as e.g. "15 Apr 2026" or "15–17 Apr 2026". */
+  formatDateRange(startKey, endKey) {
+    const format = new Intl.DateTimeFormat(this.intlLocale, { day: 'numeric', month: 'short', year: 'numeric' });
+    const start = parseDateKey(startKey);
+    if (!endKey || endKey === startKey) return format.format(start);
+    return format.formatRange(start, parseDateKey(endKey));
+  }
+
+  /**
+   * Translate static markup: data-i18n sets the text,
+   * data-i18n-attr="aria-label:key" sets an attribute.
+   * @param {ParentNode} [root]
+   */
+  translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+      const [attr, key] = el.dataset.i18nAttr.split(':');
+      el.setAttribute(attr, this.t(key));
+    });
+  }
+}
+
+/** Shared instance used by all templates. */
+const i18n = new I18n(CONFIG.i18n);
+
+
+// =============================================================================
+// LanguageSwitcher — header buttons for changing the language
+// =============================================================================
+class LanguageSwitcher {
+  /**
+   * @param {string} containerSelector — selector for the switcher container
+   * @param {I18n} i18nInstance — the I18n to switch
+   */
+  constructor(containerSelector, i18nInstance) {
+    this.container = document.querySelector(containerSelector);
+    this.i18n = i18nInstance;
+    this.handleClick = this.handleClick.bind(this);
+    this.render = this.render.bind(this);
+  }
+
+  /** Render the buttons and keep them in sync with the active locale. */
+  init() {
+    if (!this.container) return;
+    this.container.addEventListener('click', this.handleClick);
+    this.unsubscribe = this.i18n.subscribe(this.render);
+    this.render();
+  }
+
+  /** One button per locale; the active one is pressed. */
+  render() {
+    this.container.innerHTML = html`${this.i18n.options.locales.map((locale) => html`
+      <button
+        type="button"
+        class="lang-switch__btn${locale === this.i18n.locale ? ' lang-switch__btn--active' : ''}"
+        lang="${locale}"
+        aria-pressed="${String(locale === this.i18n.locale)}"
+        aria-label="${this.i18n.t(`languages.${locale}`)}"
+        data-locale="${locale}"
+      >${locale.toUpperCase()}</button>
+    `)}`;
+  }
+
+  /** Switch to the clicked locale. */
+  handleClick(event) {
+    const button = event.target.closest('[data-locale]');
+    if (button) this.i18n.setLocale(button.dataset.locale);
+  }
+
+  /** Clean up. */
+  destroy() {
+    if (this.container) this.container.removeEventListener('click', this.handleClick);
+    if (this.unsubscribe) this.unsubscribe();
+  }
+}
+
+
+// =============================================================================
+// CurrencyConverter — prices in the visitor's chosen currency
+// =============================================================================
+class CurrencyConverter {
+  /**
+   * @param {{base: string, storageKey: string}} options — see CONFIG.currency
+   */
+  constructor(options) {
+    this.options = options;
+    this.rates = new Map();
+    this.currency = null; // null: prices as listed in the data files
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load the exchange rates and the saved choice. Without rates every
+   * price is shown as listed.
+   * @param {DataService} dataService
+   * @param {string} ratesUrl — path to rates.json
+   */
+  async init(dataService, ratesUrl) {
+    try {
+      const records = await dataService.load(ratesUrl, 'rates');
+      this.rates = new Map([[this.options.base, 1], ...records.map((record) => [record.id, record.rate])]);
+    } catch (error) {
+      this.rates = new Map();
+    }
+
+    const saved = localStorage.getItem(this.options.storageKey);
+    this.currency = this.rates.has(saved) ? saved : null;
+  }
+
+  /** Currency codes prices can be shown in. */
+  get currencies() {
+    return [...this.rates.keys()];
+  }
+
+  /**
+   * Show prices in a currency, or as listed when the code has no rate.
+   * @param {?string} currency
+   */
+  setCurrency(currency) {
+    this.currency = this.rates.has(currency) ? currency : null;
+    if (this.currency) localStorage.setItem(this.options.storageKey, this.currency);
+    else localStorage.removeItem(this.options.storageKey);
+    this.listeners.forEach((listener) => listener(this.currency));
+  }
+
+  /**
+   * Call a function whenever the currency changes.
+   * @param {Function} listener
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * A normalized price (see FIELD_TYPES.price) in the chosen currency,
+   * rounded to whole units. Prices without a rate for their currency stay as listed.
+   * @param {{min: number, max: number, isAddon: boolean, isUpTo: boolean}} price
+   * @param {string} currency — the listed currency
+   * @returns {{price: Object, currency: string, isConverted: boolean}}
+   */
+  convertPrice(price, currency) {
+    const converted = currency === this.currency ? null : this.priceIn(price, currency, this.currency);
+    if (!converted) return { price, currency, isConverted: false };
+    return { price: converted, currency: this.currency, isConverted: true };
+  }
+
+  /**
+   * A normalized price in a given currency, rounded to whole units.
+   * @param {Object} price
+   * @param {string} from — the listed currency
+   * @param {?string} to
+   * @returns {?Object} null when either currency has no rate
+   */
+  priceIn(price, from, to) {
+    const fromRate = this.rates.get(from);
+    const toRate = this.rates.get(to);
+    if (!price || !fromRate || !toRate) return null;
+
+    const convert = (amount) => Math.round((amount / fromRate) * toRate);
+    return { ...price, min: convert(price.min), max: convert(price.max) };
+  }
+
+  /**
+   * Format a price in the chosen currency; converted prices are marked
+   * as approximate, e.g. "≈ €35".
+   * @param {Object} price
+   * @param {string} currency — the listed currency
+   * @returns {string}
+   */
+  format(price, currency) {
+    const shown = this.convertPrice(price, currency);
+    const text = i18n.formatPrice(shown.price, shown.currency);
+    return shown.isConverted ? i18n.t('price.approx', { amount: text }) : text;
+  }
+
+  /**
+   * Price markup for templates. A converted price keeps the listed one
+   * as a tooltip and for screen readers.
+   * @param {Object} price
+   * @param {string} currency — the listed currency
+   * @returns {SafeHtml}
+   */
+  html(price, currency) {
+    const listed = i18n.formatPrice(price, currency);
+    if (!this.convertPrice(price, currency).isConverted) return html`${listed}`;
+
+    const note = i18n.t('price.listed', { amount: listed });
+    return html`<span class="price price--converted" title="${note}">${this.format(price, currency)}</span><span class="sr-only"> (${note})</span>`;
+  }
+}
+
+/** Shared instance used by all templates. */
+const currencyConverter = new CurrencyConverter(CONFIG.currency);
+
+
+// =============================================================================
+// CurrencySwitcher — header select for the currency prices are shown in
+// =============================================================================
+class CurrencySwitcher {
+  /**
+   * @param {string} containerSelector — selector for the switcher container
+   * @param {CurrencyConverter} converter
+   */
+  constructor(containerSelector, converter) {
+    this.container = document.querySelector(containerSelector);
+    this.converter = converter;
+    this.handleChange = this.handleChange.bind(this);
+    this.render = this.render.bind(this);
+  }
+
+  /**
+   * Render the select (hidden when no rates loaded). Only its labels change
+   * later, with the language; re-rendering on change would lose focus.
+   */
+  init() {
+    if (!this.container) return;
+    this.container.addEventListener('change', this.handleChange);
+    this.unsubscribe = i18n.subscribe(this.render);
+    this.render();
+  }
+
+  /** "As listed" plus one option per currency with a rate. */
+  render() {
+    if (!this.container) return;
+    const currencies = this.converter.currencies;
+    this.container.hidden = !currencies.length;
+
+    const option = (value, label) => html`
+      <option value="${value}"${value === (this.converter.currency || '') ? ' selected' : ''}>${label}</option>
+    `;
+    this.container.innerHTML = html`
+      <select class="currency-switch__select" aria-label="${i18n.t('currency.label')}" data-currency-select>
+        ${option('', i18n.t('currency.listed'))}
+        ${currencies.map((currency) => option(currency, currency))}
+      </select>
+    `;
+  }
+
+  /** Show prices in the selected currency. */
+  handleChange(event) {
+    if (event.target.matches('[data-currency-select]')) this.converter.setCurrency(event.target.value || null);
+  }
+
+  /** Clean up. */
+  destroy() {
+    if (this.container) this.container.removeEventListener('change', this.handleChange);
+    if (this.unsubscribe) this.unsubscribe();
+  }
+}
+
+
+// =============================================================================
+// Theme — light, dark or the system's colors, and the motion preference
+// =============================================================================
+/**
+ * The colors themselves live in styles.css: a dark set of custom properties
+ * applies with data-theme="dark" on <html>, or through prefers-color-scheme
+ * when no theme is chosen. Scripts that need a color read it with token().
+ */
+class Theme {
+  /**
+   * @param {{modes: string[], storageKey: string}} options — see CONFIG.theme
+   */
+  constructor(options) {
+    this.options = options;
+    this.mode = 'system';
+    this.systemScheme = null; // MediaQueryList for prefers-color-scheme: dark
+    this.listeners = new Set();
+    this.handleSystemChange = this.handleSystemChange.bind(this);
+  }
+
+  /** Apply the saved theme and follow the system's while none is chosen. */
+  init() {
+    const saved = localStorage.getItem(this.options.storageKey);
+    this.mode = this.options.modes.includes(saved) ? saved : 'system';
+
+    if (typeof window.matchMedia === 'function') {
+      this.systemScheme = window.matchMedia('(prefers-color-scheme: dark)');
+      this.systemScheme.addEventListener('change', this.handleSystemChange);
+    }
+    this.apply();
+  }
+
+  /** The theme in effect: "light" or "dark". */
+  get scheme() {
+    if (this.mode !== 'system') return this.mode;
+    return this.systemScheme && this.systemScheme.matches ? 'dark' : 'light';
+  }
+
+  /**
+   * Choose a theme; "system" (or an unknown mode) follows the system's again.
+   * @param {string} mode
+   */
+  setMode(mode) {
+    this.mode = this.options.modes.includes(mode) ? mode : 'system';
+    if (this.mode === 'system') localStorage.removeItem(this.options.storageKey);
+    else localStorage.setItem(this.options.storageKey, this.mode);
+    this.apply();
+    this.listeners.forEach((listener) => listener(this.scheme));
+  }
+
+  /**
+   * Call a function whenever the theme in effect may have changed.
+   * @param {Function} listener — receives "light" or "dark"
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * A design token of the current theme, e.g. token('color-bg') → "#fafaf9".
+   * @param {string} name — custom property name without the leading "--"
+   * @returns {string} its value, or "" when styles.css does not define it
+   */
+  token(name) {
+    return window.getComputedStyle(document.documentElement).getPropertyValue(`--${name}`).trim();
+  }
+
+  /** Set data-theme and give the browser UI (theme-color) the page background. */
+  apply() {
+    const root = document.documentElement;
+    if (this.mode === 'system') delete root.dataset.theme;
+    else root.dataset.theme = this.mode;
+
+    const meta = document.querySelector(CONFIG.selectors.themeColor);
+    const background = this.token('color-bg');
+    if (meta && background) meta.setAttribute('content', background);
+  }
+
+  /** The system's scheme changed: follow it unless a theme is chosen. */
+  handleSystemChange() {
+    if (this.mode !== 'system') return;
+    this.apply();
+    this.listeners.forEach((listener) => listener(this.scheme));
+  }
+
+  /**
+   * Whether the visitor asked for less motion (prefers-reduced-motion).
+   * Checked on each use, so a change applies to the next animation.
+   * @returns {boolean}
+   */
+  static prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /** Clean up. */
+  destroy() {
+    if (this.systemScheme) this.systemScheme.removeEventListener('change', this.handleSystemChange);
+  }
+}
+
+/** Shared instance: the page's theme. */
+const theme = new Theme(CONFIG.theme);
+
+
+// =============================================================================
+// ThemeSwitcher — system / light / dark select in the header
+// =============================================================================
+class ThemeSwitcher {
+  /**
+   * @param {string} containerSelector — selector for the switcher container
+   * @param {Theme} theme
+   */
+  constructor(containerSelector, theme) {
+    this.container = document.querySelector(containerSelector);
+    this.theme = theme;
+    this.handleChange = this.handleChange.bind(this);
+    this.render = this.render.bind(this);
+  }
+
+  /** Render the select; only its labels change later, with the language. */
+  init() {
+    if (!this.container) return;
+    this.container.addEventListener('change', this.handleChange);
+    this.unsubscribe = i18n.subscribe(this.render);
+    this.render();
+  }
+
+  /** One option per mode, the current one selected. */
+  render() {
+    if (!this.container) return;
+    this.container.innerHTML = html`
+      <select class="theme-switch__select" aria-label="${i18n.t('theme.label')}" data-theme-select>
+        ${this.theme.options.modes.map((mode) => html`
+          <option value="${mode}"${mode === this.theme.mode ? ' selected' : ''}>${i18n.t(`theme.${mode}`)}</option>
+        `)}
+      </select>
+    `;
+  }
+
+  /** Apply the selected theme. */
+  handleChange(event) {
+    if (event.target.matches('[data-theme-select]')) this.theme.setMode(event.target.value);
+  }
+
+  /** Clean up. */
+  destroy() {
+    if (this.container) this.container.removeEventListener('change', this.handleChange);
+    if (this.unsubscribe) this.unsubscribe();
+  }
+}
+
+
+// =============================================================================
+// OfflineNotice — tells visitors when data comes from the offline cache
+// =============================================================================
+class OfflineNotice {
+  /**
+   * @param {string} containerSelector — selector for the notice element
+   * @param {DataService} dataService — reports which files are stale
+   */
+  constructor(containerSelector, dataService) {
+    this.container = document.querySelector(containerSelector);
+    this.dataService = dataService;
+    this.render = this.render.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+  }
+
+  /** Follow the data service, the language and the connection. */
+  init() {
+    if (!this.container) return;
+    this.unsubscribeData = this.dataService.subscribe(this.render);
+    this.unsubscribeLocale = i18n.subscribe(this.render);
+    this.container.addEventListener('click', this.handleClick);
+    window.addEventListener('online', this.handleOnline);
+    this.render();
+  }
+
+  /** Show when the oldest cached copy on screen was saved; hide once all data is fresh. */
+  render() {
+    const savedDates = [...this.dataService.stale.values()];
+    this.container.hidden = !savedDates.length;
+    if (!savedDates.length) return;
+
+    const oldest = new Date(Math.min(...savedDates));
+    const date = i18n.formatDate(oldest, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+    this.container.innerHTML = html`
+      <p class="offline-notice__text">${i18n.t('offline.notice', { date })}</p>
+      <button type="button" class="offline-notice__retry" data-offline-retry>${i18n.t('offline.retry')}</button>
+    `;
+  }
+
+  /** Try again on request. */
+  handleClick(event) {
+    if (event.target.closest('[data-offline-retry]')) this.dataService.refreshStale();
+  }
+
+  /** The connection is back: fetch fresh data. */
+  handleOnline() {
+    this.dataService.refreshStale();
+  }
+
+  /** Clean up. */
+  destroy() {
+    if (!this.container) return;
+    this.unsubscribeData();
+    this.unsubscribeLocale();
+    this.container.removeEventListener('click', this.handleClick);
+    window.removeEventListener('online', this.handleOnline);
+  }
+}
+
+
+// =============================================================================
+// ComponentRenderer — renders arrays of data into HTML
+// =============================================================================
+class ComponentRenderer {
+  /**
+   * @param {HTMLElement} container — DOM element to render into
+   * @param {Function} templateFn — function that receives a data item and returns its html`` markup
+   * @param {Function} [keyFn] — identifies an item across renders (its `id` by default)
+   */
+  constructor(container, templateFn, keyFn = (item) => item.id) {
+    this.container = container;
+    this.templateFn = templateFn;
+    this.keyFn = keyFn;
+    this.nodes = new Map(); // key → { markup, element } of the last render
+  }
+
+  /**
+   * Build the HTML for an array of items without touching the DOM.
+   * @param {Array} items — data to render
+   * @returns {SafeHtml}
+   */
+  markup(items) {
+    return html`${items.map((item, index) => this.templateFn(item, index))}`;
+  }
+
+  /**
+   * Render an array of items into the container, reconciled by key. An item
+   * whose markup has not changed keeps its element — and with it image load
+   * state, focus and listeners; a changed item is replaced, a new one
+   * inserted, and the elements are moved into the items' order. Anything
+   * else in the container (removed items, a loading message) is removed.
+   * Each item's template must have a single root element.
+   * @param {Array} items — data to render
+   * @returns {HTMLElement[]} the elements new to the container, for listeners that need attaching
+   */
+  render(items) {
+    if (!this.container || !items) return [];
+
+    const entries = items.map((item, index) => ({
+      key: String(this.keyFn(item, index)),
+      markup: String(this.templateFn(item, index)),
+    }));
+
+    if (ComponentRenderer.adopt(this.container, entries.map((entry) => entry.markup).join(''))) {
+      const elements = [...this.container.children];
+      this.nodes = new Map(entries.map(({ key, markup }, i) => [key, { markup, element: elements[i] }]));
+      return elements;
+    }
+
+    const previous = this.nodes;
+    const added = [];
+    this.nodes = new Map();
+    entries.forEach(({ key, markup }, index) => {
+      const id = this.nodes.has(key) ? `${key}#${index}` : key; // a duplicate key gets its own element
+      let node = previous.get(id);
+      if (!node || node.markup !== markup || node.element.parentNode !== this.container) {
+        node = { markup, element: ComponentRenderer.parse(markup) };
+        added.push(node.element);
+      }
+      this.nodes.set(id, node);
+    });
+
+    // Children before index i are already in place, so each step only inserts or moves one
+    [...this.nodes.values()].forEach(({ element }, i) => {
+      const current = this.container.children[i];
+      if (current !== element) this.container.insertBefore(element, current || null);
+    });
+    const kept = new Set([...this.nodes.values()].map((node) => node.element));
+    [...this.container.childNodes].forEach((node) => {
+      if (!kept.has(node)) node.remove();
+    });
+    return added;
+  }
+
+  /**
+   * The element of one item's markup.
+   * @param {string} markup
+   * @returns {HTMLElement}
+   */
+  static parse(markup) {
+    const template = document.createElement('template');
+    template.innerHTML = markup;
+    return template.content.firstElementChild;
+  }
+
+  /**
+   * Put HTML into a container. Markup written by scripts/prerender.js carries
+   * a data-prerendered hash of its HTML; when the hash matches, the existing
+   * nodes are kept as they are instead of being rebuilt.
+   * @param {HTMLElement} container
+   * @param {string|SafeHtml} markup
+   * @returns {boolean} true when the pre-rendered markup was adopted
+   */
+  static write(container, markup) {
+    if (ComponentRenderer.adopt(container, markup)) return true;
+    container.innerHTML = markup;
+    return false;
+  }
+
+  /**
+   * Whether the container's pre-rendered markup (see write()) is `markup`.
+   * Checked once: the data-prerendered hash is removed either way. An empty
+   * hash marks markup that depends on the day it was built (the training
+   * cards): it is shown until the first render and never adopted.
+   * @param {HTMLElement} container
+   * @param {string|SafeHtml} markup
+   * @returns {boolean}
+   */
+  static adopt(container, markup) {
+    const prerendered = container.dataset.prerendered;
+    delete container.dataset.prerendered;
+    return Boolean(prerendered) && prerendered === ComponentRenderer.hash(markup);
+  }
+
+  /**
+   * Show a loading message, unless the container already holds pre-rendered
+   * markup (with a hash or without) — that stays visible until the data has loaded.
+   * @param {HTMLElement} container
+   * @param {string} message
+   */
+  static loading(container, message) {
+    if (container.dataset.prerendered !== undefined) return;
+    container.innerHTML = html`<p class="section__loading">${message}</p>`;
+  }
+
+  /**
+   * Short FNV-1a hash of some markup (base 36), shared with the pre-render script.
+   * @param {string|SafeHtml} markup
+   * @returns {string}
+   */
+  static hash(markup) {
+    const text = String(markup);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+  }
+}
+
+
+// =============================================================================
+// Responsive images — <picture> markup from data/images.json and blur-up
+// =============================================================================
+
+/** Formats offered in a <picture>, best compression first. */
+const IMAGE_FORMATS = ['avif', 'webp'];
+
+/**
+ * Load the image manifest written by scripts/images.js. Without one (not
+ * built yet, or not reachable) the photos are plain <img> elements.
+ * @param {DataService} dataService
+ * @param {?string} url — path to images.json
+ * @returns {Promise<Map<string, Object>>} manifest entries by image path
+ */
+async function loadImageManifest(dataService, url) {
+  const images = url ? await dataService.load(url, 'images').catch(() => []) : [];
+  return new Map(images.map((image) => [image.id, image]));
+}
+
+/**
+ * Markup for a photo from team.json or trainings.json. With a manifest entry
+ * it is a <picture> with AVIF and WebP srcsets and the image's width and
+ * height, so its space is kept while it loads, over a blurred placeholder it
+ * fades in from (see revealImages). Otherwise a plain <img>.
+ * @param {string} src — the path given in the data file
+ * @param {?Object} image — its entry in images.json
+ * @param {Object} options
+ * @param {string} options.alt
+ * @param {string} options.className — class of the <img>
+ * @param {string} [options.sizes] — one of CONFIG.images.sizes
+ * @param {boolean} [options.lazy] — load only once it nears the viewport
+ * @param {Object<string, string>} [options.attributes] — further attributes of the <img>
+ * @returns {SafeHtml}
+ */
+function pictureTemplate(src, image, { alt, className, sizes = '100vw', lazy = true, attributes = {} }) {
+  const extra = Object.entries(attributes).map(([name, value]) => html` ${name}="${value}"`);
+
+  if (!image) {
+    return html`<img src="${html.url(src)}" alt="${alt}" class="${className}"${lazy && html` loading="lazy"`}${extra}>`;
+  }
+
+  const sources = IMAGE_FORMATS
+    .map((format) => image.variants.filter((variant) => variant.format === format).sort((a, b) => a.width - b.width))
+    .filter((variants) => variants.length)
+    .map((variants) => html`<source type="image/${variants[0].format}" srcset="${variants.map((variant) => `${variant.id} ${variant.width}w`).join(', ')}" sizes="${sizes}">`);
+
+  return html`
+    <span class="blur-up" data-blur-up>
+      ${image.placeholder && html`<img src="${image.placeholder}" alt="" class="blur-up__placeholder" aria-hidden="true">`}
+      <picture class="blur-up__picture">
+        ${sources}
+        <img src="${html.url(src)}" width="${image.width}" height="${image.height}" alt="${alt}" class="${className} blur-up__image"${lazy && html` loading="lazy"`} decoding="async"${extra}>
+      </picture>
+    </span>
+  `;
+}
+
+/**
+ * Fade the <picture> images under `root` in over their placeholders once
+ * they have loaded (at once for those already loaded, e.g. from the cache).
+ * @param {Element} root
+ */
+function revealImages(root) {
+  root.querySelectorAll('[data-blur-up]').forEach((wrapper) => {
+    const img = wrapper.querySelector('.blur-up__image');
+    const reveal = () => wrapper.classList.add('blur-up--loaded');
+    if (img.complete && img.naturalWidth > 0) reveal();
+    else img.addEventListener('load', reveal, { once: true });
+  });
+}
+
+
+// =============================================================================
+// StickyHeader — adds a class to the header when scrolled past threshold
+// =============================================================================
+class StickyHeader {
+  /**
+   * @param {string} headerSelector — selector for the header element
+   * @param {string} scrolledClass — class to add when scrolled
+   * @param {number} threshold — scroll distance in px before activating
+   */
+  constructor(headerSelector, scrolledClass, threshold) {
+    this.header = document.querySelector(headerSelector);
+    this.scrolledClass = scrolledClass;
+    this.threshold = threshold;
+    this.handleScroll = this.handleScroll.bind(this);
+  }
+
+  /** Start listening for scroll events. */
+  init() {
+    if (!this.header) return;
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    this.handleScroll(); // check initial state
+  }
+
+  /** Toggle the scrolled class based on scroll position. */
+  handleScroll() {
+    const isScrolled = window.scrollY > this.threshold;
+    this.header.classList.toggle(this.scrolledClass, isScrolled);
+  }
+
+  /** Stop listening. */
+  destroy() {
+    window.removeEventListener('scroll', this.handleScroll);
+  }
+}
+
+
+// =============================================================================
+// MobileNav — toggles mobile navigation menu
+// =============================================================================
+class MobileNav {
+  /**
+   * @param {string} toggleSelector — selector for the hamburger button
+   * @param {string} navSelector — selector for the nav element
+   * @param {string} navOpenClass — class for open state on nav
+   * @param {string} burgerActiveClass — class for active state on burger
+   */
+  constructor(toggleSelector, navSelector, navOpenClass, burgerActiveClass) {
+    this.toggle = document.querySelector(toggleSelector);
+    this.nav = document.querySelector(navSelector);
+    this.navOpenClass = navOpenClass;
+    this.burgerActiveClass = burgerActiveClass;
+    this.isOpen = false;
+
+    this.handleToggle = this.handleToggle.bind(this);
+    this.handleNavClick = this.handleNavClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /** Start listening for toggle clicks. */
+  init() {
+    if (!this.toggle || !this.nav) return;
+    this.toggle.addEventListener('click', this.handleToggle);
+    this.nav.addEventListener('click', this.handleNavClick);
+  }
+
+  /** Toggle the menu open/closed. */
+  handleToggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  /** Open the menu and keep keyboard focus inside it until it closes. */
+  open() {
+    this.isOpen = true;
+    this.nav.classList.add(this.navOpenClass);
+    this.toggle.classList.add(this.burgerActiveClass);
+    this.toggle.setAttribute('aria-expanded', 'true');
+    document.body.style.overflow = 'hidden';
+    document.addEventListener('keydown', this.handleKeydown);
+  }
+
+  /** Close the menu when a nav link is clicked. */
+  handleNavClick(event) {
+    if (event.target.closest('a') && this.isOpen) {
+      this.close();
+    }
+  }
+
+  /** Close the menu programmatically. */
+  close() {
+    this.isOpen = false;
+    this.nav.classList.remove(this.navOpenClass);
+    this.toggle.classList.remove(this.burgerActiveClass);
+    this.toggle.setAttribute('aria-expanded', 'false');
+    document.body.style.overflow = '';
+    document.removeEventListener('keydown', this.handleKeydown);
+  }
+
+  /** The menu links plus the toggle, which stays reachable to close the menu. */
+  focusableElements() {
+    return [...this.nav.querySelectorAll(Dialog.FOCUSABLE), this.toggle];
+  }
+
+  /** Escape closes and returns focus to the toggle; Tab and Shift+Tab wrap around. */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.close();
+      this.toggle.focus();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const focusable = this.focusableElements();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (event.shiftKey && active === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    } else if (!focusable.includes(active)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /** Clean up event listeners. */
+  destroy() {
+    if (this.toggle) this.toggle.removeEventListener('click', this.handleToggle);
+    if (this.nav) this.nav.removeEventListener('click', this.handleNavClick);
+    document.removeEventListener('keydown', this.handleKeydown);
+  }
+}
+
+
+// =============================================================================
+// SmoothScroll — smooth scrolling for anchor links
+// =============================================================================
+class SmoothScroll {
+  /**
+   * @param {string} linkSelector — selector for all scroll-trigger links
+   * @param {number} offset — px offset from top (e.g., header height)
+   * @param {Router} [router] — when given, `#` links are routed instead of scrolled directly
+   */
+  constructor(linkSelector, offset, router = null) {
+    this.linkSelector = linkSelector;
+    this.offset = offset;
+    this.router = router;
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /** Attach click listeners to all matching links. */
+  init() {
+    document.addEventListener('click', this.handleClick);
+  }
+
+  /** Handle click on a scroll link. */
+  handleClick(event) {
+    const link = event.target.closest(this.linkSelector);
+    if (!link) return;
+
+    const href = link.getAttribute('href');
+    if (!href || !href.startsWith('#')) return;
+
+    if (this.router) {
+      event.preventDefault();
+      this.router.navigate(href);
+      return;
+    }
+
+    const target = document.querySelector(href);
+    if (!target) return;
+
+    event.preventDefault();
+    SmoothScroll.scrollToElement(target, this.offset);
+  }
+
+  /**
+   * Scroll an element to the top of the viewport, below the fixed header
+   * (without the smooth animation when the visitor prefers reduced motion).
+   * @param {Element} target
+   * @param {number} offset — px offset from top
+   * @param {ScrollBehavior} [behavior]
+   */
+  static scrollToElement(target, offset, behavior = 'smooth') {
+    const top = target.getBoundingClientRect().top + window.scrollY - offset;
+    window.scrollTo({ top, behavior: Theme.prefersReducedMotion() ? 'auto' : behavior });
+  }
+
+  /** Clean up. */
+  destroy() {
+    document.removeEventListener('click', this.handleClick);
+  }
+}
+
+
+// =============================================================================
+// Router — hash routes such as #services/2 or #trainings/1, with back/forward
+// =============================================================================
+class Router {
+  /**
+   * @param {number} offset — px offset from top when scrolling to a route's target
+   */
+  constructor(offset) {
+    this.offset = offset;
+    this.routes = new Map();
+    this.handlePopState = this.handlePopState.bind(this);
+  }
+
+  /**
+   * Add a route. The handler gets the path segments after the name and
+   * returns the element to scroll to (or null to fall back to an element
+   * with the route's name as id).
+   * @param {string} name — first path segment, e.g. 'services'
+   * @param {(...params: string[]) => ?Element} handler
+   * @returns {Router}
+   */
+  register(name, handler) {
+    this.routes.set(name, handler);
+    return this;
+  }
+
+  /** Restore the state in the current URL and follow back/forward navigation. */
+  init() {
+    window.addEventListener('popstate', this.handlePopState);
+    this.resolve(window.location.hash, 'auto');
+  }
+
+  /**
+   * Split a hash into route name and params: "#trainings/2" → { name: 'trainings', params: ['2'] }.
+   * @param {string} hash
+   */
+  static parse(hash) {
+    let path = hash.replace(/^#/, '');
+    try {
+      path = decodeURIComponent(path);
+    } catch (error) {
+      console.warn(`[Router] Malformed escape in ${hash}, used as it is:`, error);
+    }
+    const [name, ...params] = path.split('/');
+    return { name, params };
+  }
+
+  /** Go to a hash: add a history entry, then apply it. */
+  navigate(hash) {
+    this.push(hash);
+    this.resolve(hash);
+  }
+
+  /** Record state that is already on screen (e.g. a clicked tab) without scrolling. */
+  push(hash) {
+    if (hash === window.location.hash) return;
+    window.history.pushState(window.history.state, '', hash);
+  }
+
+  /**
+   * Apply a hash: run its route handler and scroll to (and focus) the result.
+   * @param {string} hash
+   * @param {ScrollBehavior} [behavior]
+   */
+  resolve(hash, behavior = 'smooth') {
+    const { name, params } = Router.parse(hash);
+    if (!name) return;
+
+    const handler = this.routes.get(name);
+    const target = (handler && handler(...params)) || document.getElementById(name);
+    if (!target) return;
+
+    SmoothScroll.scrollToElement(target, this.offset, behavior);
+    if (target.hasAttribute('tabindex')) target.focus({ preventScroll: true });
+  }
+
+  /** Back/forward: apply the hash of the history entry. */
+  handlePopState() {
+    this.resolve(window.location.hash);
+  }
+
+  /** Clean up. */
+  destroy() {
+    window.removeEventListener('popstate', this.handlePopState);
+  }
+}
+
+
+// =============================================================================
+// Dialog — accessible modal: focus trap, Escape to close, focus restored
+// =============================================================================
+class Dialog {
+  /** Elements that can receive keyboard focus. */
+  static FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  /**
+   * @param {string} containerSelector — selector for the dialog root (hidden by default)
+   */
+  constructor(containerSelector) {
+    this.container = document.querySelector(containerSelector);
+    this.panel = this.container && this.container.querySelector('[role="dialog"]');
+    this.content = this.container && this.container.querySelector('[data-dialog-content]');
+    this.renderContent = null;
+    this.afterRender = null;
+    this.opener = null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /** Start listening for close buttons and links inside the dialog. */
+  init() {
+    if (!this.container) return;
+    this.container.addEventListener('click', this.handleClick);
+  }
+
+  /** Whether the dialog is showing. */
+  get isOpen() {
+    return Boolean(this.container) && !this.container.hidden;
+  }
+
+  /**
+   * Show content built by `render`. The HTML must contain an element with
+   * id="dialog-title", which labels the dialog.
+   * @param {() => string} render — returns the content HTML (called again on refresh)
+   * @param {(content: Element) => void} [afterRender] — e.g. to attach image fallbacks
+   */
+  open(render, afterRender = null) {
+    if (!this.container) return;
+
+    if (!this.isOpen) this.opener = document.activeElement;
+    this.renderContent = render;
+    this.afterRender = afterRender;
+    this.refresh();
+
+    this.container.hidden = false;
+    document.body.style.overflow = 'hidden';
+    document.addEventListener('keydown', this.handleKeydown);
+    this.panel.focus();
+  }
+
+  /** Re-render the open dialog, e.g. after a language change. */
+  refresh() {
+    if (!this.renderContent) return;
+    this.content.innerHTML = this.renderContent();
+    if (this.afterRender) this.afterRender(this.content);
+  }
+
+  /** Hide the dialog and return focus to the element that opened it. */
+  close() {
+    if (!this.isOpen) return;
+
+    this.container.hidden = true;
+    this.content.innerHTML = '';
+    this.renderContent = null;
+    this.afterRender = null;
+    document.body.style.overflow = '';
+    document.removeEventListener('keydown', this.handleKeydown);
+
+    if (this.opener && this.opener.isConnected) this.opener.focus();
+    this.opener = null;
+  }
+
+  /** Focusable elements inside the dialog, in tab order. */
+  focusableElements() {
+    return [...this.panel.querySelectorAll(Dialog.FOCUSABLE)].filter((el) => !el.closest('[hidden]'));
+  }
+
+  /** Escape closes; Tab and Shift+Tab wrap around inside the dialog. */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.close();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const focusable = this.focusableElements();
+    if (!focusable.length) {
+      event.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (event.shiftKey && (active === first || active === this.panel)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    } else if (!this.panel.contains(active)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /** Close buttons, the backdrop and in-page links close the dialog. */
+  handleClick(event) {
+    const link = event.target.closest('a[href^="#"]');
+    if (event.target.closest('[data-dialog-close]') || link) {
+      // Links are followed by SmoothScroll/Router after the dialog is gone
+      this.close();
+    }
+  }
+
+  /** Clean up. */
+  destroy() {
+    if (!this.container) return;
+    this.container.removeEventListener('click', this.handleClick);
+    document.removeEventListener('keydown', this.handleKeydown);
+  }
+}
+
+
+// =============================================================================
+// ScrollAnimator — fade-in elements as they enter viewport
+// =============================================================================
+class ScrollAnimator {
+  /**
+   * @param {string} fadeClass — class marking elements to animate
+   * @param {string} visibleClass — class added when visible
+   * @param {number} threshold — IntersectionObserver threshold
+   */
+  constructor(fadeClass, visibleClass, threshold) {
+    this.fadeClass = fadeClass;
+    this.visibleClass = visibleClass;
+    this.threshold = threshold;
+    this.observer = null;
+  }
+
+  /** Create observer and observe all matching elements. */
+  init() {
     this.observer = new IntersectionObserver(
       (entries) => {
         entries.forEach((entry) => {
@@ -309,414 +2519,3389 @@ class ScrollAnimator {
       { threshold: this.threshold }
     );
 
-    this.observeAll();
+    this.refresh();
+  }
+
+  /**
+   * Observe the fade-in elements in `root` that have not been shown yet
+   * (App calls this for each section as it renders).
+   * @param {ParentNode} [root]
+   */
+  refresh(root = document) {
+    if (!this.observer) return;
+    const hidden = root.querySelectorAll(`.${this.fadeClass}:not(.${this.visibleClass})`);
+    // With reduced motion they are shown in place (styles.css drops the transition too)
+    if (Theme.prefersReducedMotion()) hidden.forEach((el) => el.classList.add(this.visibleClass));
+    else hidden.forEach((el) => this.observer.observe(el));
+  }
+
+  /** Clean up. */
+  destroy() {
+    if (this.observer) this.observer.disconnect();
+  }
+}
+
+
+// =============================================================================
+// EventBus — app-wide events such as "section:rendered" and "section:error"
+// =============================================================================
+class EventBus {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to one type of event.
+   * @param {string} type — e.g. "section:rendered"
+   * @param {Function} listener — receives the event's detail
+   * @returns {Function} unsubscribe
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type).delete(listener);
+  }
+
+  /**
+   * Tell the subscribers of `type`. One that throws is logged and the rest still run.
+   * @param {string} type
+   * @param {Object} [detail]
+   */
+  emit(type, detail = {}) {
+    (this.listeners.get(type) || []).forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`[EventBus] A "${type}" listener failed:`, error);
+      }
+    });
+  }
+}
+
+/** Shared bus the sections announce their lifecycle on. */
+const events = new EventBus();
+
+
+// =============================================================================
+// Section — init/refresh/destroy lifecycle shared by the data-driven sections
+// =============================================================================
+/**
+ * Base class of the sections listed in SECTIONS. A subclass implements
+ * load() and render(), and overrides attach() for its listeners, loading()
+ * for a loading message and failed(error) for what a failed load shows.
+ * Every render is announced on `events` as "section:rendered" and every
+ * failed load as "section:error", with { name, section, container } (plus
+ * the `error`).
+ */
+class Section {
+  /**
+   * @param {?string} containerSelector — selector for the element the section renders into
+   */
+  constructor(containerSelector) {
+    this.container = containerSelector ? document.querySelector(containerSelector) : null;
+    this.name = this.constructor.name; // App uses the registry name
+    this.isAttached = false;
+    this.isLoaded = false;
+    this.cleanups = [];
+  }
+
+  /** Attach listeners, show loading, load the data and render (again from a Retry button). */
+  async init() {
+    if (!this.container) return;
+
+    if (!this.isAttached) {
+      this.attach();
+      this.isAttached = true;
+    }
+    this.loading();
+
+    try {
+      await this.load();
+    } catch (error) {
+      this.failed(error);
+      this.emit('section:error', { error });
+      return;
+    }
+
+    this.isLoaded = true;
+    this.update();
+  }
+
+  /**
+   * Render again, e.g. after a language change. With `reload` the data is
+   * loaded first (fresher data arrived); if that fails, what is shown stays.
+   * @param {{reload?: boolean}} [options]
+   */
+  async refresh({ reload = false } = {}) {
+    if (!this.container) return;
+
+    if (reload) {
+      try {
+        await this.load();
+        this.isLoaded = true;
+      } catch (error) {
+        this.emit('section:error', { error });
+        return;
+      }
+    }
+    if (this.isLoaded) this.update();
+  }
+
+  /** Render and announce it. */
+  update() {
+    this.render();
+    this.emit('section:rendered');
+  }
+
+  /** Add the section's listeners (once; see listen() and onDestroy()). */
+  attach() {}
+
+  /** Show that the data is loading. */
+  loading() {}
+
+  /**
+   * Show that the data could not be loaded (subclasses receive the Error).
+   */
+  failed() {}
+
+  /**
+   * Add a DOM listener that destroy() removes again.
+   * @param {EventTarget} target
+   * @param {string} type
+   * @param {Function} handler
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.onDestroy(() => target.removeEventListener(type, handler));
+  }
+
+  /**
+   * Run `cleanup` on destroy(), e.g. an unsubscribe function or clearInterval.
+   * @param {Function} cleanup
+   */
+  onDestroy(cleanup) {
+    this.cleanups.push(cleanup);
+  }
+
+  /**
+   * Announce a lifecycle event on the shared bus.
+   * @param {string} type
+   * @param {Object} [detail]
+   */
+  emit(type, detail = {}) {
+    events.emit(type, { name: this.name, section: this, container: this.container, ...detail });
+  }
+
+  /** Remove the listeners, subscriptions and timers added in attach(). */
+  destroy() {
+    this.cleanups.splice(0).forEach((cleanup) => cleanup());
+    this.isAttached = false;
+  }
+}
+
+
+// =============================================================================
+// TeamSection — renders team member cards
+// =============================================================================
+class TeamSection extends Section {
+  /**
+   * @param {DataService} dataService — shared data service instance
+   * @param {string} dataUrl — path to team.json
+   * @param {string} containerSelector — selector for the team container
+   * @param {Object} [options]
+   * @param {Dialog} [options.dialog] — shows a member's full profile
+   * @param {string} [options.servicesUrl] — path to services.json, for the services a member performs
+   * @param {BookingWizard} [options.bookingWizard] — receives the member from the "Book with" link
+   * @param {string} [options.imagesUrl] — path to images.json, for responsive photos
+   */
+  constructor(dataService, dataUrl, containerSelector, options = {}) {
+    super(containerSelector);
+    this.dataService = dataService;
+    this.dataUrl = dataUrl;
+    this.dialog = options.dialog || null;
+    this.servicesUrl = options.servicesUrl || null;
+    this.bookingWizard = options.bookingWizard || null;
+    this.imagesUrl = options.imagesUrl || null;
+    this.data = null;
+    this.images = new Map();
+    this.renderer = new ComponentRenderer(this.container, this.template.bind(this));
+
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /** Profiles and "Book with" links open from the cards. */
+  attach() {
+    this.listen(this.container, 'click', this.handleClick);
+  }
+
+  loading() {
+    ComponentRenderer.loading(this.container, i18n.t('team.loading'));
+  }
+
+  failed(error) {
+    renderSectionError(this.container, i18n.t('team.error'), error, () => this.init());
+  }
+
+  /** Fetch the members and the image manifest (again when fresher data arrives). */
+  async load() {
+    [this.data, this.images] = await Promise.all([
+      this.dataService.load(this.dataUrl, 'team'),
+      loadImageManifest(this.dataService, this.imagesUrl),
+    ]);
+  }
+
+  /** Render the loaded members (again after a language change). */
+  render() {
+    if (!this.container || !this.data) return;
+    this.renderer.render(this.data).forEach((card) => this.attachImages(card));
+    this.updateAvailability();
+  }
+
+  /** HTML for the loaded members (also used by scripts/prerender.js). */
+  markup() {
+    return this.renderer.markup(this.data);
+  }
+
+  /** Generate HTML for a single team member. */
+  template(member) {
+    const initials = member.name.split(' ').map(n => n[0]).join('');
+
+    const role = i18n.text(member.role);
+
+    const specialtiesHtml = i18n.text(member.specialties)
+      .map(s => html`<span class="team__specialty">${s}</span>`);
+
+    const socialsHtml = Object.entries(member.socials || {})
+      .filter(([, url]) => safeUrl(url))
+      .map(([platform, url]) => html`<a href="${html.url(url)}" class="team__social-link" aria-label="${i18n.t('team.socialLabel', { name: member.name, platform })}" target="_blank" rel="noopener noreferrer">${TeamSection.socialIcon(platform)}</a>`);
+
+    return html`
+      <article class="team__card fade-in" id="team-${member.id}" tabindex="-1">
+        <div class="team__photo-wrapper">
+          ${pictureTemplate(member.photo, this.images.get(member.photo), {
+            alt: i18n.t('team.photoAlt', { name: member.name, role }),
+            className: 'team__photo',
+            sizes: CONFIG.images.sizes.team,
+            attributes: { 'data-initials': initials },
+          })}
+        </div>
+        <div class="team__body">
+          <h3 class="team__name">
+            <a href="#team/${member.id}" class="team__name-link" data-scroll-link>${member.name}</a>
+          </h3>
+          <p class="team__role">${role}</p>
+          ${member.schedule.length ? html`<p class="team__availability" data-team-availability="${member.id}" hidden></p>` : ''}
+          <p class="team__bio">${i18n.text(member.bio) || ''}</p>
+          ${this.dialog ? html`<button type="button" class="team__more" data-team-detail="${member.id}">${i18n.t('team.more')}</button>` : ''}
+          ${this.bookingTemplate(member)}
+          <div class="team__specialties">${specialtiesHtml}</div>
+          <div class="team__footer">
+            <span class="team__experience">${i18n.text(member.experience) || ''}</span>
+            <div class="team__socials">${socialsHtml}</div>
+          </div>
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * When the member works next: "Available now, until 17:00",
+   * "Available today from 10:00" or "Next available Wed 21 Oct from 09:00".
+   * Members without working hours in team.json get no status.
+   * @param {Object} member
+   * @param {Date} [now] — clinic time
+   * @returns {?{modifier: string, text: string}} null without working hours
+   */
+  availabilityStatus(member, now = timeIn(CONFIG.business.timeZone)) {
+    if (!member.schedule.length) return null;
+
+    const next = nextHours(member.schedule, now, member.daysOff);
+    let modifier = 'away';
+    let text = i18n.t('team.availability.away');
+    if (next && next.isNow) {
+      modifier = 'now';
+      text = i18n.t('team.availability.now', { time: next.closes });
+    } else if (next && toDateKey(next.date) === toDateKey(now)) {
+      modifier = 'today';
+      text = i18n.t('team.availability.today', { time: next.opens });
+    } else if (next) {
+      modifier = 'later';
+      text = i18n.t('team.availability.next', {
+        date: i18n.formatDate(next.date, { weekday: 'short', day: 'numeric', month: 'short' }),
+        time: next.opens,
+      });
+    }
+    return { modifier, text };
+  }
+
+  /**
+   * Fill the cards' availability slots. The card markup leaves them empty,
+   * so it does not depend on the time of the visit and the pre-rendered
+   * cards (scripts/prerender.js) are kept as they are.
+   * @param {Element} [root]
+   * @param {Date} [now] — clinic time
+   */
+  updateAvailability(root = this.container, now = timeIn(CONFIG.business.timeZone)) {
+    root.querySelectorAll('[data-team-availability]').forEach((slot) => {
+      const member = this.data.find((m) => String(m.id) === slot.dataset.teamAvailability);
+      const status = member ? this.availabilityStatus(member, now) : null;
+      slot.hidden = !status;
+      if (!status) return;
+      slot.className = `team__availability team__availability--${status.modifier}`;
+      slot.textContent = status.text;
+    });
+  }
+
+  /** "Book with Marta" link, for members who perform at least one service. */
+  bookingTemplate(member) {
+    if (!this.bookingWizard || !member.serviceCategories.length) return '';
+    const firstName = member.name.split(' ')[0];
+    return html`
+      <a href="#booking" class="team__book" data-scroll-link data-team-book="${member.id}"
+        aria-label="${i18n.t('team.bookLabel', { name: member.name })}">${i18n.t('team.book', { name: firstName })}</a>
+    `;
+  }
+
+  /** Open a member's profile from the card button, or start a booking with them. */
+  async handleClick(event) {
+    const bookLink = event.target.closest('[data-team-book]');
+    if (bookLink && this.bookingWizard) {
+      this.bookingWizard.preselect({ memberId: bookLink.dataset.teamBook });
+      return;
+    }
+
+    const button = event.target.closest('[data-team-detail]');
+    if (!button || !this.dialog) return;
+
+    const member = this.data.find((m) => String(m.id) === button.dataset.teamDetail);
+    const services = this.servicesUrl
+      ? await this.dataService.load(this.servicesUrl, 'services').catch(() => [])
+      : [];
+    this.dialog.open(() => this.detailTemplate(member, services), (content) => this.attachImages(content));
+  }
+
+  /**
+   * Full profile: bio, certifications, working hours and the services the member performs.
+   * @param {Object} member
+   * @param {Array} services — categories from services.json
+   */
+  detailTemplate(member, services) {
+    const role = i18n.text(member.role);
+    const initials = member.name.split(' ').map(n => n[0]).join('');
+    const certifications = i18n.text(member.certifications);
+    const items = services
+      .filter((category) => member.serviceCategories.includes(category.id))
+      .flatMap((category) => category.items.map((item) => ({ ...item, categoryId: category.id })));
+
+    const certificationsHtml = certifications.length ? html`
+      <section class="detail__section">
+        <h3 class="detail__heading">${i18n.t('team.certifications')}</h3>
+        <ul class="detail__list">
+          ${certifications.map((item) => html`<li>${item}</li>`)}
+        </ul>
+      </section>
+    ` : '';
+
+    const hoursHtml = member.schedule.length ? html`
+      <section class="detail__section">
+        <h3 class="detail__heading">${i18n.t('team.hours')}</h3>
+        ${TeamSection.hoursTemplate(member)}
+      </section>
+    ` : '';
+
+    const servicesHtml = items.length ? html`
+      <section class="detail__section">
+        <h3 class="detail__heading">${i18n.t('team.services')}</h3>
+        <ul class="detail__list">
+          ${items.map((item) => html`
+            <li><a href="#services/${item.categoryId}/${item.id}" class="detail__link" data-scroll-link>${i18n.text(item.name)}</a></li>
+          `)}
+        </ul>
+      </section>
+    ` : '';
+
+    return html`
+      <article class="detail">
+        <header class="detail__header">
+          <div class="detail__media detail__media--portrait">
+            ${pictureTemplate(member.photo, this.images.get(member.photo), {
+              alt: i18n.t('team.photoAlt', { name: member.name, role }),
+              className: 'team__photo',
+              sizes: CONFIG.images.sizes.portrait,
+              lazy: false,
+              attributes: { 'data-initials': initials },
+            })}
+          </div>
+          <div>
+            <h2 class="detail__title" id="dialog-title">${member.name}</h2>
+            <p class="detail__subtitle">${[role, i18n.text(member.experience)].filter(Boolean).join(' · ')}</p>
+          </div>
+        </header>
+        ${member.bio ? html`<p class="detail__text">${i18n.text(member.bio)}</p>` : ''}
+        ${certificationsHtml}
+        ${hoursHtml}
+        ${servicesHtml}
+      </article>
+    `;
+  }
+
+  /**
+   * Weekly working hours ("Mon, Wed 09:00–17:00") and upcoming days off.
+   * @param {Object} member
+   * @param {Date} [now] — clinic time
+   * @returns {SafeHtml}
+   */
+  static hoursTemplate(member, now = timeIn(CONFIG.business.timeZone)) {
+    const rowsHtml = member.schedule.map((rule) => html`
+      <div class="detail__hours-row">
+        <dt>${rule.dayOfWeek.map((day) => i18n.formatWeekday(day)).join(', ')}</dt>
+        <dd>${rule.opens}–${rule.closes}</dd>
+      </div>
+    `);
+
+    const daysOff = member.daysOff.filter((key) => key >= toDateKey(now)).sort();
+    const daysOffHtml = daysOff.length ? html`
+      <p class="detail__text">${i18n.t('team.daysOff', {
+        dates: daysOff.map((key) => i18n.formatDate(key, { day: 'numeric', month: 'short' })).join(', '),
+      })}</p>
+    ` : '';
+
+    return html`<dl class="detail__hours">${rowsHtml}</dl>${daysOffHtml}`;
+  }
+
+  /**
+   * Route handler for #team/<id>: highlight the member's card.
+   * @returns {?Element} the card, or the grid when the member is unknown
+   */
+  focusMember(id) {
+    if (!this.container || !this.data) return null;
+    this.container.querySelectorAll('.team__card--focused')
+      .forEach((card) => card.classList.remove('team__card--focused'));
+
+    const card = document.getElementById(`team-${id}`);
+    if (!card) return this.container;
+    card.classList.add('team__card--focused');
+    return card;
+  }
+
+  /** Return an inline SVG icon for a social platform. */
+  static socialIcon(platform) {
+    const icons = {
+      instagram: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" aria-hidden="true"><rect x="2" y="2" width="20" height="20" rx="5" stroke="currentColor" stroke-width="2"/><circle cx="12" cy="12" r="5" stroke="currentColor" stroke-width="2"/><circle cx="17.5" cy="6.5" r="1.5" fill="currentColor"/></svg>',
+      linkedin: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" aria-hidden="true"><path d="M16 8a6 6 0 016 6v7h-4v-7a2 2 0 00-4 0v7h-4v-7a6 6 0 016-6z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><rect x="2" y="9" width="4" height="12" stroke="currentColor" stroke-width="2"/><circle cx="4" cy="4" r="2" stroke="currentColor" stroke-width="2"/></svg>',
+      facebook: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" aria-hidden="true"><path d="M18 2h-3a5 5 0 00-5 5v3H7v4h3v8h4v-8h3l1-4h-4V7a1 1 0 011-1h3V2z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+    };
+    return html.raw(icons[platform] || '');
+  }
+
+  /** Fade the photos in as they load and handle the ones that fail. */
+  attachImages(root = this.container) {
+    this.attachImageFallbacks(root);
+    revealImages(root);
+  }
+
+  /** Replace broken images (with their <picture>, if any) with an initials placeholder. */
+  attachImageFallbacks(root = this.container) {
+    const images = root.querySelectorAll('.team__photo');
+    images.forEach((img) => {
+      const applyFallback = () => {
+        const initials = img.getAttribute('data-initials') || '?';
+        const placeholder = document.createElement('div');
+        placeholder.className = 'team__photo-placeholder';
+        placeholder.textContent = initials;
+        placeholder.setAttribute('aria-hidden', 'true');
+        (img.closest('[data-blur-up]') || img).replaceWith(placeholder);
+      };
+
+      img.addEventListener('error', applyFallback);
+
+      // Handle race condition: image may have already failed before the listener was attached
+      if (img.complete && img.naturalWidth === 0) {
+        applyFallback();
+      }
+    });
+  }
+}
+
+
+// =============================================================================
+// ServicesSection — renders service categories as a wrapping tab grid
+// =============================================================================
+class ServicesSection extends Section {
+  /**
+   * @param {DataService} dataService — shared data service instance
+   * @param {string} dataUrl — path to services.json
+   * @param {string} containerSelector — selector for the services container
+   * @param {Object} [options]
+   * @param {Router} [options.router] — records the chosen category in the URL
+   * @param {'automatic'|'manual'} [options.activation] — see CONFIG.servicesTabs
+   * @param {TreatmentBasket} [options.basket] — adds an Add/Remove button to every item
+   */
+  constructor(dataService, dataUrl, containerSelector, options = {}) {
+    super(containerSelector);
+    this.dataService = dataService;
+    this.dataUrl = dataUrl;
+    this.router = options.router || null;
+    this.basket = options.basket || null;
+    this.activation = options.activation === 'manual' ? 'manual' : 'automatic';
+    this.data = null;
+    this.activeIndex = 0;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /** Tabs, the mobile select and the Add buttons, which follow the basket. */
+  attach() {
+    this.listen(this.container, 'click', this.handleClick);
+    this.listen(this.container, 'change', this.handleChange);
+    this.listen(this.container, 'keydown', this.handleKeydown);
+    if (this.basket) this.onDestroy(this.basket.subscribe(() => this.updateBasketButtons()));
+  }
+
+  loading() {
+    ComponentRenderer.loading(this.container, i18n.t('services.loading'));
+  }
+
+  failed(error) {
+    renderSectionError(this.container, i18n.t('services.error'), error, () => this.init());
+  }
+
+  /** Fetch the categories (again when fresher data arrives). */
+  async load() {
+    this.data = await this.dataService.load(this.dataUrl, 'services');
+    if (this.activeIndex >= this.data.length) this.activeIndex = 0;
+  }
+
+  /** Build wrapping tab grid + panels from JSON data. */
+  render() {
+    if (!this.container || !this.data) return;
+    ComponentRenderer.write(this.container, this.markup());
+  }
+
+  /** HTML for the tab grid and panels (also used by scripts/prerender.js). */
+  markup() {
+    const data = this.data;
+    const active = this.activeIndex;
+    const tabsHtml = data.map((category, i) => html`
+      <button
+        class="services__tab${i === active ? ' services__tab--active' : ''}"
+        role="tab"
+        aria-selected="${i === active ? 'true' : 'false'}"
+        tabindex="${i === active ? '0' : '-1'}"
+        aria-controls="services-panel-${i}"
+        id="services-tab-${i}"
+        data-tab="${i}"
+      >${i18n.text(category.category)}</button>
+    `);
+
+    const panelsHtml = data.map((category, i) => {
+      const itemsHtml = category.items.map(item => this.itemTemplate(item));
+      const categoryDescHtml = category.description
+        ? html`<p class="services__panel-desc">${i18n.text(category.description)}</p>` : '';
+      return html`
+        <div
+          class="services__panel${i === active ? ' services__panel--active' : ''}"
+          role="tabpanel"
+          id="services-panel-${i}"
+          aria-labelledby="services-tab-${i}"
+          tabindex="0"
+          ${i !== active ? 'hidden' : ''}
+        >
+          <h3 class="services__panel-title">${i18n.text(category.category)}</h3>
+          ${categoryDescHtml}
+          <div class="services__list">${itemsHtml}</div>
+        </div>
+      `;
+    });
+
+    const selectOptionsHtml = data.map((category, i) =>
+      html`<option value="${i}"${i === active ? ' selected' : ''}>${i18n.text(category.category)}</option>`
+    );
+
+    const listLabel = i18n.t('services.categoriesLabel');
+    return html`
+      <div class="services__select-wrapper">
+        <select class="services__select" aria-label="${listLabel}" aria-controls="services-panels">
+          ${selectOptionsHtml}
+        </select>
+      </div>
+      <div class="services__tab-bar" role="tablist" aria-label="${listLabel}">
+        ${tabsHtml}
+      </div>
+      <div class="services__panels" id="services-panels">
+        ${panelsHtml}
+      </div>
+      <p class="sr-only" aria-live="polite" data-services-status></p>
+    `;
+  }
+
+  /** Tab bar click (desktop; Enter and Space click the focused tab too) and basket buttons. */
+  handleClick(event) {
+    const basketButton = event.target.closest('[data-basket-toggle]');
+    if (basketButton && this.basket) {
+      this.basket.toggle(basketButton.dataset.basketToggle);
+      return;
+    }
+
+    const tab = event.target.closest('.services__tab');
+    if (tab) this.selectPanel(Number(tab.dataset.tab));
+  }
+
+  /** Category select (mobile). */
+  handleChange(event) {
+    if (event.target.matches('.services__select')) this.selectPanel(Number(event.target.value));
+  }
+
+  /**
+   * Arrow keys move between tabs (wrapping around), Home and End jump to
+   * the first and last one. In automatic mode the panel follows the focus.
+   */
+  handleKeydown(event) {
+    const tab = event.target.closest('.services__tab');
+    if (!tab) return;
+
+    const tabs = [...this.container.querySelectorAll('.services__tab')];
+    const current = tabs.indexOf(tab);
+    const targets = {
+      ArrowLeft: (current - 1 + tabs.length) % tabs.length,
+      ArrowRight: (current + 1) % tabs.length,
+      Home: 0,
+      End: tabs.length - 1,
+    };
+    if (!(event.key in targets)) return;
+
+    event.preventDefault();
+    const idx = targets[event.key];
+    this.focusTab(idx);
+    if (this.activation === 'automatic') this.selectPanel(idx);
+  }
+
+  /** Move the roving tabindex to a tab and focus it. */
+  focusTab(idx) {
+    this.container.querySelectorAll('.services__tab').forEach((t, i) => {
+      t.tabIndex = i === idx ? 0 : -1;
+    });
+    const tab = this.container.querySelector(`#services-tab-${idx}`);
+    if (tab) tab.focus();
+  }
+
+  /** A category chosen by the visitor: show it, announce it and record it in the URL. */
+  selectPanel(idx) {
+    const changed = idx !== this.activeIndex;
+    this.switchPanel(idx);
+    if (changed) this.announce(idx);
+    if (this.router) this.router.push(`#services/${this.data[idx].id}`);
+  }
+
+  /** Tell screen reader users which category is showing, e.g. "Podology: 6 treatments". */
+  announce(idx) {
+    const status = this.container.querySelector('[data-services-status]');
+    if (!status) return;
+    const category = this.data[idx];
+    status.textContent = i18n.t('services.shown', {
+      category: i18n.text(category.category),
+      count: category.items.length,
+    });
+  }
+
+  /** Show the category panel at the given index; the tabs and the select follow. */
+  switchPanel(idx) {
+    this.activeIndex = idx;
+    this.container.querySelectorAll('.services__tab').forEach((t, i) => {
+      const active = i === idx;
+      t.classList.toggle('services__tab--active', active);
+      t.setAttribute('aria-selected', active ? 'true' : 'false');
+      t.tabIndex = active ? 0 : -1;
+    });
+    this.container.querySelectorAll('.services__panel').forEach((p, i) => {
+      const active = i === idx;
+      p.classList.toggle('services__panel--active', active);
+      if (active) p.removeAttribute('hidden');
+      else p.setAttribute('hidden', '');
+    });
+    const select = this.container.querySelector('.services__select');
+    if (select) select.value = String(idx);
+  }
+
+  /**
+   * Route handler for #services/<categoryId>[/<itemId>].
+   * @returns {?Element} the item, or the tabs when no item is given
+   */
+  show(categoryId, itemId) {
+    if (!this.container || !this.data) return null;
+    const idx = this.data.findIndex((category) => String(category.id) === String(categoryId));
+    if (idx === -1) return null;
+
+    this.switchPanel(idx);
+    return (itemId && document.getElementById(`service-${itemId}`)) || this.container;
+  }
+
+  /** Generate HTML for a single service item. */
+  itemTemplate(item) {
+    const popularBadge = item.isPopular
+      ? html`<span class="services__item-badge">${i18n.t('services.popular')}</span>` : '';
+    const modifierClass = item.isPopular ? ' services__item--popular' : '';
+    const descHtml = item.description
+      ? html`<p class="services__item-desc">${i18n.text(item.description)}</p>` : '';
+    const durationHtml = item.duration
+      ? html`<span class="services__item-duration">${i18n.formatDuration(item.duration)}</span>` : '';
+    const basketHtml = this.basket ? this.basketButtonTemplate(item) : '';
+
+    return html`
+      <div class="services__item${modifierClass}" id="service-${item.id}">
+        <div>
+          <div class="services__item-header">
+            <span class="services__item-name">${i18n.text(item.name)}</span>
+            ${popularBadge}
+          </div>
+          ${descHtml}
+        </div>
+        <div class="services__item-meta">
+          ${durationHtml}
+          <span class="services__item-price">${currencyConverter.html(item.price, item.currency)}</span>
+          ${basketHtml}
+        </div>
+      </div>
+    `;
+  }
+
+  /** Add/Remove button for the basket; its label names the treatment for screen readers. */
+  basketButtonTemplate(item) {
+    const { text, label, modifier } = this.basketButtonState(item);
+    return html`<button type="button" class="services__basket-btn${modifier}" data-basket-toggle="${item.id}" aria-label="${label}">${text}</button>`;
+  }
+
+  /** Texts and modifier of a basket button, depending on whether the item is in the basket. */
+  basketButtonState(item) {
+    const inBasket = this.basket.has(item.id);
+    const name = i18n.text(item.name);
+    return {
+      text: i18n.t(inBasket ? 'basket.remove' : 'basket.add'),
+      label: i18n.t(inBasket ? 'basket.removeLabel' : 'basket.addLabel', { name }),
+      modifier: inBasket ? ' services__basket-btn--active' : '',
+    };
+  }
+
+  /** Update the basket buttons in place after the basket changed. */
+  updateBasketButtons() {
+    if (!this.container || !this.data) return;
+    const items = new Map(this.data.flatMap((category) => category.items).map((item) => [String(item.id), item]));
+
+    this.container.querySelectorAll('[data-basket-toggle]').forEach((button) => {
+      const item = items.get(button.dataset.basketToggle);
+      if (!item) return;
+      const { text, label, modifier } = this.basketButtonState(item);
+      button.textContent = text;
+      button.setAttribute('aria-label', label);
+      button.classList.toggle('services__basket-btn--active', Boolean(modifier));
+    });
+  }
+}
+
+
+// =============================================================================
+// TreatmentBasket — services a visitor wants to combine, kept in localStorage
+// =============================================================================
+class TreatmentBasket {
+  /**
+   * @param {string} storageKey — localStorage key holding the chosen service ids
+   */
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+    this.ids = this.read();
+    this.listeners = new Set();
+  }
+
+  /** Saved service ids (as strings), or none when storage is empty or unreadable. */
+  read() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(ids) ? ids.map(String) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /** Persist the ids and tell subscribers. */
+  save() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.ids));
+    this.listeners.forEach((listener) => listener(this.ids));
+  }
+
+  /** Whether a service is in the basket. */
+  has(id) {
+    return this.ids.includes(String(id));
+  }
+
+  /** Add a service, or remove it when it is already in the basket. */
+  toggle(id) {
+    if (this.has(id)) this.remove(id);
+    else this.add(id);
+  }
+
+  add(id) {
+    if (this.has(id)) return;
+    this.ids = [...this.ids, String(id)];
+    this.save();
+  }
+
+  remove(id) {
+    this.ids = this.ids.filter((saved) => saved !== String(id));
+    this.save();
+  }
+
+  clear() {
+    this.ids = [];
+    this.save();
+  }
+
+  /**
+   * Call a function whenever the basket changes.
+   * @param {Function} listener
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * The basket's services in the order they were added, each with its
+   * categoryId. Ids no longer in services.json are skipped.
+   * @param {Array} categories — records from services.json
+   * @returns {Array}
+   */
+  items(categories) {
+    const byId = new Map(categories.flatMap((category) => category.items
+      .map((item) => [String(item.id), { ...item, categoryId: category.id }])));
+    return this.ids.map((id) => byId.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Add up services: prices per currency, keeping ranges ("230/300") as
+   * min–max and counting add-ons ("+10") like any other price, and durations.
+   * @param {Array} items — service items
+   * @returns {{prices: Array<{currency: string, min: number, max: number}>, duration: number, isRange: boolean}}
+   */
+  static totals(items) {
+    const prices = new Map();
+    let duration = 0;
+
+    items.forEach((item) => {
+      const total = prices.get(item.currency) || { currency: item.currency, min: 0, max: 0 };
+      total.min += item.price.min;
+      total.max += item.price.max;
+      prices.set(item.currency, total);
+      duration += item.duration || 0;
+    });
+
+    const list = [...prices.values()];
+    return { prices: list, duration, isRange: list.some((price) => price.min !== price.max) };
+  }
+
+  /**
+   * Format totals from totals(), e.g. "390–470 zł" (one amount per currency).
+   * With `convert`, amounts are shown in the visitor's currency (see
+   * CurrencyConverter) and merged when they end up in the same one.
+   * @param {{prices: Array<{currency: string, min: number, max: number}>}} totals
+   * @param {{convert?: boolean}} [options]
+   * @returns {string}
+   */
+  static formatTotal({ prices }, { convert = false } = {}) {
+    const shown = new Map();
+    prices.forEach(({ currency, min, max }) => {
+      const price = { min, max, isAddon: false, isUpTo: false };
+      const result = convert ? currencyConverter.convertPrice(price, currency) : { price, currency, isConverted: false };
+      const total = shown.get(result.currency) || { ...price, min: 0, max: 0, isConverted: false };
+      total.min += result.price.min;
+      total.max += result.price.max;
+      total.isConverted = total.isConverted || result.isConverted;
+      shown.set(result.currency, total);
+    });
+
+    return [...shown].map(([currency, { isConverted, ...price }]) => {
+      const text = i18n.formatPrice(price, currency);
+      return isConverted ? i18n.t('price.approx', { amount: text }) : text;
+    }).join(' + ');
+  }
+}
+
+
+// =============================================================================
+// BasketSummary — the chosen treatments with their total price and time
+// =============================================================================
+class BasketSummary extends Section {
+  /**
+   * @param {DataService} dataService — shared data service instance
+   * @param {string} dataUrl — path to services.json
+   * @param {string} containerSelector — selector for the summary container (hidden while empty)
+   * @param {TreatmentBasket} basket
+   * @param {Object} [options]
+   * @param {BookingWizard} [options.bookingWizard] — receives the treatments from the Book button
+   */
+  constructor(dataService, dataUrl, containerSelector, basket, options = {}) {
+    super(containerSelector);
+    this.dataService = dataService;
+    this.dataUrl = dataUrl;
+    this.basket = basket;
+    this.bookingWizard = options.bookingWizard || null;
+    this.categories = null;
+
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /** The summary's buttons, and a new summary whenever the basket changes. */
+  attach() {
+    this.listen(this.container, 'click', this.handleClick);
+    this.onDestroy(this.basket.subscribe(() => this.refresh()));
+  }
+
+  /** ServicesSection already shows the error; without services there is nothing to add up. */
+  failed() {
+    this.container.hidden = true;
+  }
+
+  /** Fetch the services (again when fresher data arrives). */
+  async load() {
+    this.categories = await this.dataService.load(this.dataUrl, 'services');
+  }
+
+  /** Render the list and totals, or hide the summary when the basket is empty. */
+  render() {
+    if (!this.container || !this.categories) return;
+
+    const items = this.basket.items(this.categories);
+    this.container.hidden = !items.length;
+    this.container.innerHTML = items.length ? this.template(items) : '';
+  }
+
+  /** Chosen treatments, totals and actions. */
+  template(items) {
+    const totals = TreatmentBasket.totals(items);
+    const hasMainTreatment = items.some((item) => !item.price.isAddon);
+
+    const itemsHtml = items.map((item) => html`
+      <li class="basket__item">
+        <span class="basket__item-name">${i18n.text(item.name)}</span>
+        <span class="basket__item-meta">${[i18n.formatDuration(item.duration), currencyConverter.format(item.price, item.currency)].filter(Boolean).join(' · ')}</span>
+        <button type="button" class="basket__remove" data-basket-remove="${item.id}" aria-label="${i18n.t('basket.removeLabel', { name: i18n.text(item.name) })}">×</button>
+      </li>
+    `);
+
+    const durationHtml = totals.duration ? html`
+      <div class="basket__total-row"><dt>${i18n.t('basket.duration')}</dt><dd>${i18n.formatDuration(totals.duration)}</dd></div>
+    ` : '';
+
+    return html`
+      <h3 class="basket__title" id="basket-title" tabindex="-1">${i18n.t('basket.title')}</h3>
+      <ul class="basket__list">${itemsHtml}</ul>
+      <dl class="basket__totals" role="status">
+        <div class="basket__total-row"><dt>${i18n.t('basket.total')}</dt><dd>${TreatmentBasket.formatTotal(totals, { convert: true })}</dd></div>
+        ${durationHtml}
+      </dl>
+      ${totals.isRange ? html`<p class="basket__note">${i18n.t('basket.rangeNote')}</p>` : ''}
+      ${hasMainTreatment ? '' : html`<p class="basket__note basket__note--warning">${i18n.t('basket.addonOnly')}</p>`}
+      <div class="basket__actions">
+        ${this.bookingWizard ? html`<a href="#booking" class="btn btn--primary btn--small" data-scroll-link data-basket-book>${i18n.t('basket.book')}</a>` : ''}
+        <button type="button" class="btn btn--outline btn--small" data-basket-clear>${i18n.t('basket.clear')}</button>
+      </div>
+    `;
+  }
+
+  /** Remove and Clear buttons; Book hands the treatments to the booking wizard. */
+  handleClick(event) {
+    const removeButton = event.target.closest('[data-basket-remove]');
+    if (removeButton) {
+      this.basket.remove(removeButton.dataset.basketRemove);
+      // The button is gone after the re-render; keep focus in the summary
+      const title = this.container.querySelector('.basket__title');
+      if (title) title.focus();
+    } else if (event.target.closest('[data-basket-clear]')) {
+      this.basket.clear();
+    } else if (event.target.closest('[data-basket-book]') && this.bookingWizard) {
+      this.bookingWizard.preselectItems(this.basket.items(this.categories));
+    }
+  }
+}
+
+
+// =============================================================================
+// TrainingsSection — renders training program cards
+// =============================================================================
+class TrainingsSection extends Section {
+  /**
+   * @param {DataService} dataService — shared data service instance
+   * @param {string} dataUrl — path to trainings.json
+   * @param {string} containerSelector — selector for the trainings container
+   * @param {HttpAdapter|LocalStorageAdapter} enrollmentAdapter — where enrollments are sent
+   * @param {Object} [options]
+   * @param {TrainingCalendar} [options.calendar] — month view fed with the sessions
+   * @param {Dialog} [options.dialog] — shows a training's syllabus, instructor and dates
+   * @param {string} [options.teamUrl] — path to team.json, for the instructor
+   * @param {string} [options.imagesUrl] — path to images.json, for responsive images
+   */
+  constructor(dataService, dataUrl, containerSelector, enrollmentAdapter, options = {}) {
+    super(containerSelector);
+    this.dataService = dataService;
+    this.dataUrl = dataUrl;
+    this.enrollmentAdapter = enrollmentAdapter;
+    this.calendar = options.calendar || null;
+    this.dialog = options.dialog || null;
+    this.teamUrl = options.teamUrl || null;
+    this.imagesUrl = options.imagesUrl || null;
+    this.trainings = [];
+    this.images = new Map();
+    this.renderer = new ComponentRenderer(this.container, this.template.bind(this));
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleSubmit = this.handleSubmit.bind(this);
+  }
+
+  /** Details buttons and the enrollment forms on the cards. */
+  attach() {
+    this.listen(this.container, 'click', this.handleClick);
+    this.listen(this.container, 'submit', this.handleSubmit);
+  }
+
+  loading() {
+    ComponentRenderer.loading(this.container, i18n.t('trainings.loading'));
+  }
+
+  failed(error) {
+    renderSectionError(this.container, i18n.t('trainings.error'), error, () => this.init());
+  }
+
+  /** Fetch the trainings and the image manifest (again when fresher data arrives) and apply enrollments. */
+  async load() {
+    const [data, images] = await Promise.all([
+      this.dataService.load(this.dataUrl, 'trainings'),
+      loadImageManifest(this.dataService, this.imagesUrl),
+    ]);
+    this.images = images;
+    this.trainings = await this.applyEnrollments(data.map((training) => TrainingsSection.withSessionEnds(training)));
+  }
+
+  /** Render the cards and calendar (again after a language change). */
+  render() {
+    if (!this.container || !this.trainings.length) return;
+    this.renderer.render(this.trainings).forEach((card) => this.attachImages(card));
+    this.updateCalendar();
+  }
+
+  /** HTML for the training cards (also used by scripts/prerender.js). */
+  markup() {
+    return this.renderer.markup(this.trainings);
+  }
+
+  /**
+   * Fill in missing session end dates. Multi-day courses ("3 days / 24 hours")
+   * run on consecutive days, so the end is derived from the duration.
+   * @param {Object} training
+   * @returns {Object}
+   */
+  static withSessionEnds(training) {
+    const daysMatch = (i18n.text(training.duration, 'en') || '').match(/(\d+)\s*days?/i);
+    const days = daysMatch ? Number(daysMatch[1]) : 1;
+
+    const sessions = training.sessions.map((session) => {
+      if (session.endDate) return session;
+      const end = parseDateKey(session.startDate);
+      end.setDate(end.getDate() + days - 1);
+      return { ...session, endDate: toDateKey(end) };
+    });
+    return { ...training, sessions };
+  }
+
+  /**
+   * Subtract seats already taken through the enrollment adapter.
+   * A remote adapter lists nothing, as the server keeps the JSON up to date.
+   * @param {Array} trainings
+   * @returns {Promise<Array>}
+   */
+  async applyEnrollments(trainings) {
+    const enrollments = await this.enrollmentAdapter.list();
+    return trainings.map((training) => ({
+      ...training,
+      sessions: training.sessions.map((session) => {
+        if (session.spotsAvailable === null) return session;
+        const taken = enrollments.filter((e) => e.status === 'enrolled'
+          && String(e.sessionId) === String(session.id)).length;
+        return { ...session, spotsAvailable: Math.max(0, session.spotsAvailable - taken) };
+      }),
+    }));
+  }
+
+  /**
+   * Sessions that have not finished yet, soonest first.
+   * @param {Object} training
+   * @param {Date} [today]
+   * @returns {Array}
+   */
+  upcomingSessions(training, today = new Date()) {
+    const todayKey = toDateKey(today);
+    return training.sessions
+      .filter((session) => session.endDate >= todayKey)
+      .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  /** Upcoming sessions that can still be signed up for (or waitlisted). */
+  bookableSessions(training) {
+    return this.upcomingSessions(training).filter((session) => session.status !== 'cancelled');
+  }
+
+  /** A session is full when marked so or when no seats are left. */
+  static isFull(session) {
+    return session.status === 'full' || session.spotsAvailable === 0;
+  }
+
+  /**
+   * How a training can be signed up for right now.
+   * @returns {'enroll'|'waitlist'|'inquiry'}
+   */
+  enrollmentMode(training) {
+    const sessions = this.bookableSessions(training);
+    if (!sessions.length) return 'inquiry';
+    if (sessions.every(TrainingsSection.isFull)) return 'waitlist';
+    return 'enroll';
+  }
+
+  /** Generate HTML for a single training card. */
+  template(training) {
+    const levelClass = training.level.toLowerCase().replace(/[^a-z0-9-]/g, '');
+    const levelModifier = levelClass === 'beginner' ? '' : ` trainings__level--${levelClass}`;
+    const levelLabel = i18n.has(`trainings.levels.${levelClass}`) ? i18n.t(`trainings.levels.${levelClass}`) : training.level;
+    const title = i18n.text(training.title);
+    const fullModifier = this.enrollmentMode(training) === 'waitlist' ? ' trainings__card--full' : '';
+
+    const includesHtml = i18n.text(training.includes)
+      .map(item => html`<span class="trainings__includes-item">${item}</span>`);
+
+    return html`
+      <article class="trainings__card${fullModifier} fade-in" id="training-${training.id}" data-training-id="${training.id}" tabindex="-1">
+        <div class="trainings__image-wrapper">
+          ${pictureTemplate(training.image, this.images.get(training.image), {
+            alt: i18n.t('trainings.imageAlt', { title }),
+            className: 'trainings__image',
+            sizes: CONFIG.images.sizes.trainings,
+          })}
+        </div>
+        <div class="trainings__body">
+          <div class="trainings__meta">
+            <span class="trainings__level${levelModifier}">${levelLabel}</span>
+            <span class="trainings__duration-badge">${i18n.text(training.duration) || ''}</span>
+          </div>
+          <h3 class="trainings__title">
+            <a href="#trainings/${training.id}" class="trainings__title-link" data-scroll-link>${title}</a>
+          </h3>
+          <p class="trainings__desc">${i18n.text(training.description) || ''}</p>
+          ${this.dialog ? html`<button type="button" class="trainings__more" data-training-detail>${i18n.t('trainings.more')}</button>` : ''}
+          <div class="trainings__includes">
+            <p class="trainings__includes-label">${i18n.t('trainings.includes')}</p>
+            <div class="trainings__includes-list">${includesHtml}</div>
+          </div>
+          ${this.sessionsTemplate(training)}
+          ${this.footerTemplate(training)}
+          <div class="trainings__enroll" id="trainings-enroll-${training.id}" data-enroll-panel hidden></div>
+        </div>
+      </article>
+    `;
+  }
+
+  /** List of upcoming cohorts, shown when there is more than one. */
+  sessionsTemplate(training) {
+    const sessions = this.upcomingSessions(training);
+    if (sessions.length < 2) return '';
+
+    const itemsHtml = sessions.map((session) => {
+      const modifier = session.status === 'cancelled' ? ' trainings__session--cancelled'
+        : TrainingsSection.isFull(session) ? ' trainings__session--full' : '';
+      return html`<li class="trainings__session${modifier}">${this.sessionText(session)}</li>`;
+    });
+
+    return html`
+      <div class="trainings__sessions">
+        <p class="trainings__includes-label">${i18n.t('trainings.upcomingDates')}</p>
+        <ul class="trainings__sessions-list">${itemsHtml}</ul>
+      </div>
+    `;
+  }
+
+  /** Price, availability and the enrollment button. Re-rendered when seats change. */
+  footerTemplate(training) {
+    return html`
+      <div class="trainings__footer">
+        <span class="trainings__price">${currencyConverter.html(training.price, training.currency)}</span>
+        ${this.availabilityText(training)}
+        <button
+          type="button"
+          class="btn btn--outline btn--small trainings__cta"
+          aria-expanded="false"
+          aria-controls="trainings-enroll-${training.id}"
+          data-enroll-toggle
+        >${i18n.t(`trainings.cta.${this.enrollmentMode(training)}`)}</button>
+      </div>
+    `;
+  }
+
+  /** Enrollment form shown inside a card. */
+  enrollFormTemplate(training) {
+    const mode = this.enrollmentMode(training);
+    const id = `enroll-${training.id}`;
+    const label = (key) => i18n.t(`trainings.form.${key}`);
+    const backgrounds = ['podologist', 'nurse', 'cosmetologist', 'student', 'other'];
+
+    const sessions = this.bookableSessions(training);
+    const sessionOptionsHtml = sessions.map((session) => {
+      const dates = i18n.formatDateRange(session.startDate, session.endDate);
+      const text = TrainingsSection.isFull(session) ? i18n.t('trainings.form.sessionWaitlist', { dates }) : dates;
+      return html`<option value="${session.id}">${text}</option>`;
+    });
+
+    const dateFieldHtml = sessions.length ? html`
+      <div class="trainings__field">
+        <label class="trainings__label" for="${id}-session">${label('date')}</label>
+        <select class="trainings__input" id="${id}-session" name="sessionId" required>
+          ${sessionOptionsHtml}
+        </select>
+      </div>
+    ` : '';
+
+    return html`
+      <form class="trainings__enroll-form" data-enroll-form novalidate>
+        <p class="trainings__enroll-intro">${i18n.t(`trainings.intro.${mode}`)}</p>
+        <div class="trainings__field">
+          <label class="trainings__label" for="${id}-name">${label('name')}</label>
+          <input class="trainings__input" id="${id}-name" name="name" type="text" autocomplete="name" required>
+        </div>
+        <div class="trainings__field">
+          <label class="trainings__label" for="${id}-email">${label('email')}</label>
+          <input class="trainings__input" id="${id}-email" name="email" type="email" autocomplete="email" required>
+        </div>
+        <div class="trainings__field">
+          <label class="trainings__label" for="${id}-background">${label('background')}</label>
+          <select class="trainings__input" id="${id}-background" name="background" required>
+            <option value="">${label('choose')}</option>
+            ${backgrounds.map((b) => html`<option value="${b}">${i18n.t(`trainings.backgrounds.${b}`)}</option>`)}
+          </select>
+        </div>
+        ${dateFieldHtml}
+        <p class="trainings__enroll-error" role="alert" hidden></p>
+        <button type="submit" class="btn btn--primary btn--small">${label(mode === 'enroll' ? 'reserve' : 'send')}</button>
+      </form>
+    `;
+  }
+
+  /** Open the details dialog, or open or close a card's enrollment form. */
+  handleClick(event) {
+    const detailButton = event.target.closest('[data-training-detail]');
+    if (detailButton) {
+      this.openDetail(this.findTraining(detailButton.closest('[data-training-id]').dataset.trainingId));
+      return;
+    }
+
+    const toggle = event.target.closest('[data-enroll-toggle]');
+    if (!toggle) return;
+
+    const card = toggle.closest('[data-training-id]');
+    const panel = card.querySelector('[data-enroll-panel]');
+    const isOpen = toggle.getAttribute('aria-expanded') === 'true';
+
+    toggle.setAttribute('aria-expanded', String(!isOpen));
+    panel.hidden = isOpen;
+    if (isOpen) return;
+
+    panel.innerHTML = this.enrollFormTemplate(this.findTraining(card.dataset.trainingId));
+    panel.querySelector('input').focus();
+  }
+
+  /** Show a training's details, with the instructor looked up in team.json. */
+  async openDetail(training) {
+    if (!this.dialog) return;
+    const team = this.teamUrl ? await this.dataService.load(this.teamUrl, 'team').catch(() => []) : [];
+    const instructor = team.find((member) => String(member.id) === String(training.instructorId)) || null;
+    this.dialog.open(() => this.detailTemplate(training, instructor), (content) => this.attachImages(content));
+  }
+
+  /**
+   * Syllabus, instructor, all upcoming dates and prerequisites.
+   * @param {Object} training
+   * @param {?Object} instructor — team member teaching the course
+   */
+  detailTemplate(training, instructor) {
+    const title = i18n.text(training.title);
+    const levelKey = `trainings.levels.${training.level.toLowerCase()}`;
+    const syllabus = i18n.text(training.syllabus);
+    const prerequisites = i18n.text(training.prerequisites);
+    const sessions = this.upcomingSessions(training);
+    const meta = [
+      i18n.has(levelKey) ? i18n.t(levelKey) : training.level,
+      i18n.text(training.duration),
+      currencyConverter.format(training.price, training.currency),
+    ].filter(Boolean).join(' · ');
+
+    const listSection = (heading, items, tag) => (items.length ? html`
+      <section class="detail__section">
+        <h3 class="detail__heading">${heading}</h3>
+        <${tag} class="detail__list${tag === 'ol' ? ' detail__list--numbered' : ''}">
+          ${items.map((item) => html`<li>${item}</li>`)}
+        </${tag}>
+      </section>
+    ` : '');
+
+    const instructorHtml = instructor ? html`
+      <section class="detail__section">
+        <h3 class="detail__heading">${i18n.t('trainings.instructor')}</h3>
+        <p class="detail__text">
+          <a href="#team/${instructor.id}" class="detail__link" data-scroll-link>${instructor.name}</a>
+          · ${i18n.text(instructor.role)}
+        </p>
+      </section>
+    ` : '';
+
+    const datesHtml = sessions.length
+      ? html`<ul class="detail__list">${sessions.map((session) => html`<li>${this.sessionText(session)}</li>`)}</ul>`
+      : html`<p class="detail__text">${i18n.t('trainings.datesTba')}</p>`;
+
+    return html`
+      <article class="detail">
+        <div class="detail__media">
+          ${pictureTemplate(training.image, this.images.get(training.image), {
+            alt: i18n.t('trainings.imageAlt', { title }),
+            className: 'trainings__image',
+            sizes: CONFIG.images.sizes.detail,
+            lazy: false,
+          })}
+        </div>
+        <h2 class="detail__title" id="dialog-title">${title}</h2>
+        <p class="detail__subtitle">${meta}</p>
+        ${training.description ? html`<p class="detail__text">${i18n.text(training.description)}</p>` : ''}
+        ${listSection(i18n.t('trainings.syllabus'), syllabus, 'ol')}
+        ${listSection(i18n.t('trainings.prerequisites'), prerequisites, 'ul')}
+        ${instructorHtml}
+        <section class="detail__section">
+          <h3 class="detail__heading">${i18n.t('trainings.allDates')}</h3>
+          ${datesHtml}
+        </section>
+      </article>
+    `;
+  }
+
+  /** Send an enrollment, waitlist entry or inquiry and update the seat count. */
+  async handleSubmit(event) {
+    const form = event.target.closest('[data-enroll-form]');
+    if (!form) return;
+    event.preventDefault();
+
+    if (!form.checkValidity()) {
+      form.reportValidity();
+      return;
+    }
+
+    const card = form.closest('[data-training-id]');
+    const training = this.findTraining(card.dataset.trainingId);
+    const values = Object.fromEntries(new FormData(form));
+    const session = training.sessions.find((s) => String(s.id) === values.sessionId) || null;
+    const status = !session ? 'inquiry' : TrainingsSection.isFull(session) ? 'waitlist' : 'enrolled';
+    const errorEl = form.querySelector('.trainings__enroll-error');
+    const submitButton = form.querySelector('[type="submit"]');
+
+    submitButton.disabled = true;
+    errorEl.hidden = true;
+
+    try {
+      const response = await this.enrollmentAdapter.submit({
+        type: 'enrollment',
+        trainingId: training.id,
+        trainingTitle: i18n.text(training.title, CONFIG.i18n.defaultLocale),
+        status,
+        ...values,
+        sessionId: session ? session.id : null,
+        date: session ? session.startDate : null,
+        createdAt: new Date().toISOString(),
+      });
+
+      if (status === 'enrolled' && session.spotsAvailable !== null) {
+        session.spotsAvailable = typeof response.spotsAvailable === 'number'
+          ? response.spotsAvailable
+          : Math.max(0, session.spotsAvailable - 1);
+      }
+      this.showEnrollmentResult(card, training, status);
+    } catch (error) {
+      console.error('[TrainingsSection] Enrollment failed:', error);
+      errorEl.textContent = i18n.t('trainings.form.error');
+      errorEl.hidden = false;
+      submitButton.disabled = false;
+    }
+  }
+
+  /** Replace the form with a confirmation and refresh the card's dates and footer. */
+  showEnrollmentResult(card, training, status) {
+    const sessionsEl = card.querySelector('.trainings__sessions');
+    if (sessionsEl) sessionsEl.outerHTML = this.sessionsTemplate(training);
+    card.querySelector('.trainings__footer').outerHTML = this.footerTemplate(training);
+    card.classList.toggle('trainings__card--full', this.enrollmentMode(training) === 'waitlist');
+    this.updateCalendar();
+
+    const panel = card.querySelector('[data-enroll-panel]');
+    panel.innerHTML = html`<p class="trainings__enroll-success" role="status">${i18n.t(`trainings.success.${status}`)}</p>`;
+  }
+
+  /** Look up a loaded training by id (ids from data attributes are strings). */
+  findTraining(id) {
+    return this.trainings.find((training) => String(training.id) === String(id));
+  }
+
+  /**
+   * Route handler for #trainings/<id>: show the cards and highlight one.
+   * @returns {?Element} the card, or the grid when the training is unknown
+   */
+  focusCard(id) {
+    if (!this.container || !this.trainings.length) return null;
+    if (this.calendar) this.calendar.showView('cards');
+    this.container.querySelectorAll('.trainings__card--focused')
+      .forEach((card) => card.classList.remove('trainings__card--focused'));
+
+    const card = document.getElementById(`training-${id}`);
+    if (!card) return this.container;
+    card.classList.add('trainings__card--focused');
+    return card;
+  }
+
+  /** Build availability text from the next bookable session. */
+  availabilityText(training) {
+    const [next] = this.bookableSessions(training);
+    if (!next) {
+      return html`<span class="trainings__availability trainings__availability--tba">${i18n.t('trainings.datesTba')}</span>`;
+    }
+
+    const modifier = TrainingsSection.isFull(next) ? 'full' : 'soon';
+    return html`<span class="trainings__availability trainings__availability--${modifier}">${this.sessionText(next)}</span>`;
+  }
+
+  /** e.g. "15–17 Apr 2026 · 8 spots left" */
+  sessionText(session) {
+    const dates = i18n.formatDateRange(session.startDate, session.endDate);
+    if (session.status === 'cancelled') return `${dates} · ${i18n.t('trainings.cancelled')}`;
+    if (TrainingsSection.isFull(session)) return `${dates} · ${i18n.t('trainings.full')}`;
+    if (session.spotsAvailable === null) return dates;
+    return `${dates} · ${i18n.t('trainings.spotsLeft', { count: session.spotsAvailable })}`;
+  }
+
+  /** Feed upcoming sessions of all trainings into the calendar view. */
+  updateCalendar() {
+    if (!this.calendar) return;
+
+    const events = this.trainings.flatMap((training) => this.upcomingSessions(training).map((session) => ({
+      id: `${training.id}-${session.id}`,
+      title: i18n.text(training.title),
+      start: session.startDate,
+      end: session.endDate,
+      href: `#trainings/${training.id}`,
+      status: session.status === 'cancelled' ? 'cancelled' : TrainingsSection.isFull(session) ? 'full' : 'open',
+    })));
+    this.calendar.setEvents(events);
+  }
+
+  /**
+   * Which of the four placeholder gradients (modifiers --1 to --4 in
+   * styles.css, drawn from the theme's colors) a training gets. Derived from
+   * its id, so a training keeps its gradient from one visit to the next.
+   * @param {string|number} id
+   * @returns {number} 1–4
+   */
+  static placeholderVariant(id) {
+    return 1 + (parseInt(ComponentRenderer.hash(String(id)), 36) % 4);
+  }
+
+  /** Fade the images in as they load and handle the ones that fail. */
+  attachImages(root = this.container) {
+    this.attachImageFallbacks(root);
+    revealImages(root);
+  }
+
+  /** Replace broken images (with their <picture>, if any) with a styled placeholder. */
+  attachImageFallbacks(root = this.container) {
+    const images = root.querySelectorAll('.trainings__image');
+    images.forEach((img) => {
+      const applyFallback = () => {
+        const placeholder = document.createElement('div');
+        const card = img.closest('[data-training-id]');
+        const variant = TrainingsSection.placeholderVariant(card ? card.dataset.trainingId : '');
+        placeholder.className = `trainings__image-placeholder trainings__image-placeholder--${variant}`;
+        placeholder.textContent = i18n.t('trainings.imagePlaceholder');
+        placeholder.setAttribute('aria-hidden', 'true');
+
+        (img.closest('[data-blur-up]') || img).replaceWith(placeholder);
+      };
+
+      img.addEventListener('error', applyFallback);
+
+      // Handle race condition: image may have already failed before the listener was attached
+      if (img.complete && img.naturalWidth === 0) {
+        applyFallback();
+      }
+    });
+  }
+}
+
+
+// =============================================================================
+// TrainingCalendar — compact month view of training sessions
+// =============================================================================
+class TrainingCalendar {
+  /**
+   * @param {string} containerSelector — selector for the calendar container
+   * @param {string} toggleSelector — selector for the view buttons (data-trainings-view="cards|calendar")
+   * @param {string} listSelector — selector for the card grid, hidden while the calendar shows
+   */
+  constructor(containerSelector, toggleSelector, listSelector) {
+    this.container = document.querySelector(containerSelector);
+    this.toggles = document.querySelectorAll(toggleSelector);
+    this.list = document.querySelector(listSelector);
+    this.events = [];
+    this.month = null; // first day of the month on display
+
+    this.handleToggle = this.handleToggle.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /** Start listening for view switches and month navigation. */
+  init() {
+    if (!this.container) return;
+    this.toggles.forEach((toggle) => toggle.addEventListener('click', this.handleToggle));
+    this.container.addEventListener('click', this.handleClick);
+  }
+
+  /**
+   * Replace the events and show the month of the first one.
+   * @param {Array<{id: string, title: string, start: string, end: string, href: string, status: string}>} events
+   */
+  setEvents(events) {
+    this.events = [...events].sort((a, b) => a.start.localeCompare(b.start));
+    if (!this.month) {
+      const first = this.events.length ? parseDateKey(this.events[0].start) : new Date();
+      this.month = new Date(first.getFullYear(), first.getMonth(), 1);
+    }
+    this.render();
+  }
+
+  /** Switch between the card grid and the calendar. */
+  showView(view) {
+    this.toggles.forEach((toggle) => {
+      const active = toggle.dataset.trainingsView === view;
+      toggle.classList.toggle('view-switch__btn--active', active);
+      toggle.setAttribute('aria-pressed', String(active));
+    });
+    this.container.hidden = view !== 'calendar';
+    if (this.list) this.list.hidden = view === 'calendar';
+  }
+
+  /** Render the month grid, weeks starting on Monday. */
+  render() {
+    if (!this.container || !this.month) return;
+
+    const year = this.month.getFullYear();
+    const month = this.month.getMonth();
+    const leadingBlanks = (this.month.getDay() + 6) % 7;
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const todayKey = toDateKey(new Date());
+
+    const blanksHtml = Array.from({ length: leadingBlanks }, () => html`<li class="calendar__day calendar__day--blank" aria-hidden="true"></li>`);
+    const daysHtml = Array.from({ length: daysInMonth }, (_, i) => {
+      const key = toDateKey(new Date(year, month, i + 1));
+      const events = this.events.filter((event) => event.start <= key && key <= event.end);
+      const modifiers = (key === todayKey ? ' calendar__day--today' : '') + (events.length ? ' calendar__day--busy' : '');
+      const eventsHtml = events.length ? html`
+        <ul class="calendar__events">
+          ${events.map((event) => html`
+            <li><a class="calendar__event calendar__event--${event.status}" href="${html.url(event.href)}" data-scroll-link>${event.title}</a></li>
+          `)}
+        </ul>
+      ` : '';
+      return html`
+        <li class="calendar__day${modifiers}">
+          <time class="calendar__date" datetime="${key}">${i + 1}</time>
+          ${eventsHtml}
+        </li>
+      `;
+    });
+
+    // 1 Jan 2024 was a Monday
+    const weekdaysHtml = Array.from({ length: 7 }, (_, i) => i18n.formatDate(new Date(2024, 0, 1 + i), { weekday: 'short' }))
+      .map((day) => html`<li>${day}</li>`);
+    const title = i18n.formatDate(this.month, { month: 'long', year: 'numeric' });
+
+    this.container.innerHTML = html`
+      <div class="calendar__header">
+        <button type="button" class="calendar__nav" data-calendar-nav="-1" aria-label="${i18n.t('calendar.previous')}">&lsaquo;</button>
+        <h3 class="calendar__title" aria-live="polite">${title}</h3>
+        <button type="button" class="calendar__nav" data-calendar-nav="1" aria-label="${i18n.t('calendar.next')}">&rsaquo;</button>
+      </div>
+      <ol class="calendar__weekdays" aria-hidden="true">${weekdaysHtml}</ol>
+      <ol class="calendar__grid">${blanksHtml}${daysHtml}</ol>
+    `;
+  }
+
+  /** Handle a click on a view button. */
+  handleToggle(event) {
+    this.showView(event.currentTarget.dataset.trainingsView);
+  }
+
+  /** Month navigation; an event link switches back to the cards so it can scroll to one. */
+  handleClick(event) {
+    const nav = event.target.closest('[data-calendar-nav]');
+    if (nav) {
+      this.month = new Date(this.month.getFullYear(), this.month.getMonth() + Number(nav.dataset.calendarNav), 1);
+      this.render();
+      return;
+    }
+
+    if (event.target.closest('.calendar__event')) {
+      this.showView('cards');
+    }
+  }
+
+  /** Clean up. */
+  destroy() {
+    this.toggles.forEach((toggle) => toggle.removeEventListener('click', this.handleToggle));
+    if (this.container) this.container.removeEventListener('click', this.handleClick);
+  }
+}
+
+
+// =============================================================================
+// SiteSearch — one search box with filters across services, trainings and team
+// =============================================================================
+class SiteSearch extends Section {
+  /**
+   * @param {DataService} dataService — shared data service instance
+   * @param {{services: string, trainings: string, team: string}} dataUrls — paths to the JSON files
+   * @param {string} containerSelector — selector for the search container
+   * @param {Object} options — search settings (see CONFIG.search)
+   */
+  constructor(dataService, dataUrls, containerSelector, options) {
+    super(containerSelector);
+    this.dataService = dataService;
+    this.dataUrls = dataUrls;
+    this.options = options;
+    this.state = SiteSearch.readQuery(window.location.search);
+    this.data = null;
+
+    this.handleInput = this.handleInput.bind(this);
+    this.handleReset = this.handleReset.bind(this);
+  }
+
+  /** The search box and filters. */
+  attach() {
+    this.listen(this.container, 'input', this.handleInput);
+    this.listen(this.container, 'change', this.handleInput);
+    this.listen(this.container, 'reset', this.handleReset);
+  }
+
+  /**
+   * Fetch the searchable sections (again when fresher data arrives).
+   * A file that fails to load is searched as empty.
+   */
+  async load() {
+    const [services, trainings, team] = await Promise.all([
+      this.dataService.load(this.dataUrls.services, 'services').catch(() => []),
+      this.dataService.load(this.dataUrls.trainings, 'trainings').catch(() => []),
+      this.dataService.load(this.dataUrls.team, 'team').catch(() => []),
+    ]);
+    this.data = { services, trainings, team };
+  }
+
+  /**
+   * Filter state from a query string, e.g. "?q=nail&maxPrice=200&currency=PLN&level=beginner".
+   * `currency` is the one the price bounds are in; without it they are
+   * compared with the prices as listed. Unknown or malformed values are ignored.
+   * @param {string} search
+   * @returns {{q: string, minPrice: ?number, maxPrice: ?number, currency: ?string, maxDuration: ?number, level: string, upcoming: boolean}}
+   */
+  static readQuery(search) {
+    const params = new URLSearchParams(search);
+    const number = (name) => {
+      const value = params.get(name);
+      return value !== null && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+    };
+    const minPrice = number('minPrice');
+    const maxPrice = number('maxPrice');
+    const currency = params.get('currency');
+    return {
+      q: (params.get('q') || '').trim(),
+      minPrice,
+      maxPrice,
+      currency: (minPrice !== null || maxPrice !== null) && /^[A-Z]{3}$/.test(currency) ? currency : null,
+      maxDuration: number('maxDuration'),
+      level: params.get('level') || '',
+      upcoming: params.get('upcoming') === '1',
+    };
+  }
+
+  /** Keep the current filters in the address bar so the link can be shared. */
+  writeQuery() {
+    const params = new URLSearchParams(window.location.search);
+    const values = {
+      q: this.state.q,
+      minPrice: this.state.minPrice,
+      maxPrice: this.state.maxPrice,
+      currency: this.state.currency, // so the link means the same amounts whatever currency prices are shown in
+      maxDuration: this.state.maxDuration,
+      level: this.state.level,
+      upcoming: this.state.upcoming ? '1' : '',
+    };
+    Object.entries(values).forEach(([name, value]) => {
+      if (value === null || value === '') params.delete(name);
+      else params.set(name, value);
+    });
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  /** Whether a price or duration filter is set. */
+  get serviceFiltersActive() {
+    return this.state.minPrice !== null || this.state.maxPrice !== null || this.state.maxDuration !== null;
+  }
+
+  /** Whether a level or upcoming-date filter is set. */
+  get trainingFiltersActive() {
+    return this.state.level !== '' || this.state.upcoming;
+  }
+
+  /**
+   * Lower-case a text and strip accents so "zabieg" finds "Zabiég".
+   * Works per character, so positions match the original text.
+   */
+  static fold(text) {
+    return String(text).split('').map((ch) => ch.normalize('NFD')[0].toLowerCase()).join('');
+  }
+
+  /** Check whether a text contains the query (accent- and case-insensitive). */
+  static matches(text, query) {
+    return Boolean(text) && SiteSearch.fold(text).includes(SiteSearch.fold(query));
+  }
+
+  /**
+   * Escape a text and wrap every occurrence of the query in <mark>.
+   * @param {string} text
+   * @param {string} query
+   * @returns {SafeHtml}
+   */
+  static highlight(text, query) {
+    const source = String(text ?? '');
+    if (!query) return html`${source}`;
+
+    const folded = SiteSearch.fold(source);
+    const needle = SiteSearch.fold(query);
+    const parts = [];
+    let from = 0;
+    let index = folded.indexOf(needle);
+    while (index !== -1) {
+      parts.push(source.slice(from, index), html`<mark class="search__mark">${source.slice(index, index + needle.length)}</mark>`);
+      from = index + needle.length;
+      index = folded.indexOf(needle, from);
+    }
+    parts.push(source.slice(from));
+    return html`${parts}`;
+  }
+
+  /**
+   * Services matching the query and the price and duration filters.
+   * Prices are compared in the filter's currency, or as listed without one.
+   */
+  serviceResults() {
+    const { q, minPrice, maxPrice, currency, maxDuration } = this.state;
+    return this.data.services.flatMap((category) => category.items
+      .filter((item) => {
+        if (q && !SiteSearch.matches(i18n.text(item.name), q) && !SiteSearch.matches(i18n.text(item.description), q)) return false;
+        if ((minPrice !== null || maxPrice !== null) && !item.price) return false;
+        const price = (currency && currencyConverter.priceIn(item.price, item.currency, currency)) || item.price;
+        if (minPrice !== null && price.max < minPrice) return false;
+        if (maxPrice !== null && price.min > maxPrice) return false;
+        if (maxDuration !== null && (!item.duration || item.duration > maxDuration)) return false;
+        return true;
+      })
+      .map((item) => ({ ...item, categoryId: category.id, category: category.category })));
+  }
+
+  /** Trainings matching the query, the level and the "has upcoming date" filter. */
+  trainingResults() {
+    const { q, level, upcoming } = this.state;
+    const todayKey = toDateKey(new Date());
+    return this.data.trainings.filter((training) => {
+      if (q && !SiteSearch.matches(i18n.text(training.title), q)
+        && !i18n.text(training.includes).some((item) => SiteSearch.matches(item, q))) return false;
+      if (level && training.level.toLowerCase() !== level) return false;
+      if (upcoming && !TrainingsSection.withSessionEnds(training).sessions
+        .some((session) => session.status !== 'cancelled' && session.endDate >= todayKey)) return false;
+      return true;
+    });
+  }
+
+  /** Team members with a matching name or specialty. */
+  teamResults() {
+    const { q } = this.state;
+    return this.data.team.filter((member) => SiteSearch.matches(member.name, q)
+      || i18n.text(member.specialties).some((specialty) => SiteSearch.matches(specialty, q)));
+  }
+
+  /** Render the form (from the current state) and the results. */
+  render() {
+    if (!this.container || !this.data) return;
+    const { q, minPrice, maxPrice, maxDuration, level, upcoming } = this.state;
+    const t = (key, params) => i18n.t(`search.${key}`, params);
+    // New bounds are typed in the currency prices are shown in
+    const currency = this.state.currency || currencyConverter.currency;
+    const currencyLabel = currency ? ` (${currency})` : '';
+
+    const durationOptionsHtml = this.options.durations.map((minutes) => html`
+      <option value="${minutes}"${minutes === maxDuration ? ' selected' : ''}>${t('upTo', { duration: i18n.formatDuration(minutes) })}</option>
+    `);
+    const levelOptionsHtml = this.options.levels.map((value) => html`
+      <option value="${value}"${value === level ? ' selected' : ''}>${i18n.t(`trainings.levels.${value}`)}</option>
+    `);
+
+    this.container.innerHTML = html`
+      <form class="search__form" role="search" data-search-form>
+        <label class="sr-only" for="search-q">${t('label')}</label>
+        <input class="search__input" id="search-q" name="q" type="search" value="${q}" placeholder="${t('placeholder')}" autocomplete="off">
+        <div class="search__filters">
+          <fieldset class="search__group">
+            <legend class="search__legend">${t('services')}</legend>
+            <label class="search__field">
+              <span class="search__label">${t('minPrice')}${currencyLabel}</span>
+              <input class="search__control" name="minPrice" type="number" min="0" step="10" inputmode="numeric" value="${minPrice ?? ''}">
+            </label>
+            <label class="search__field">
+              <span class="search__label">${t('maxPrice')}${currencyLabel}</span>
+              <input class="search__control" name="maxPrice" type="number" min="0" step="10" inputmode="numeric" value="${maxPrice ?? ''}">
+            </label>
+            <input type="hidden" name="currency" value="${currency || ''}">
+            <label class="search__field">
+              <span class="search__label">${t('duration')}</span>
+              <select class="search__control" name="maxDuration">
+                <option value="">${t('any')}</option>
+                ${durationOptionsHtml}
+              </select>
+            </label>
+          </fieldset>
+          <fieldset class="search__group">
+            <legend class="search__legend">${t('trainings')}</legend>
+            <label class="search__field">
+              <span class="search__label">${t('level')}</span>
+              <select class="search__control" name="level">
+                <option value="">${t('any')}</option>
+                ${levelOptionsHtml}
+              </select>
+            </label>
+            <label class="search__check">
+              <input name="upcoming" type="checkbox" value="1"${upcoming ? ' checked' : ''}>
+              <span>${t('upcoming')}</span>
+            </label>
+          </fieldset>
+          <button type="reset" class="btn btn--outline btn--small search__reset">${t('clear')}</button>
+        </div>
+      </form>
+      <div class="search__results" data-search-results aria-live="polite"></div>
+    `;
+    this.renderResults();
   }
 
-  /** Find and observe all fade-in elements currently in the DOM. */
-  observeAll() {
-    const elements = document.querySelectorAll(`.${this.fadeClass}`);
-    elements.forEach((el) => this.observer.observe(el));
+  /** Results grouped by section; hidden while nothing is searched or filtered. */
+  renderResults() {
+    const resultsEl = this.container.querySelector('[data-search-results]');
+    const { q } = this.state;
+    const groups = [];
+
+    if (q || this.serviceFiltersActive) {
+      groups.push({ id: 'services', items: this.serviceResults().map((item) => this.serviceResultTemplate(item)) });
+    }
+    if (q || this.trainingFiltersActive) {
+      groups.push({ id: 'trainings', items: this.trainingResults().map((training) => this.trainingResultTemplate(training)) });
+    }
+    if (q) {
+      groups.push({ id: 'team', items: this.teamResults().map((member) => this.teamResultTemplate(member)) });
+    }
+
+    if (!groups.length) {
+      resultsEl.innerHTML = '';
+      return;
+    }
+
+    const total = groups.reduce((sum, group) => sum + group.items.length, 0);
+    if (!total) {
+      const message = q ? i18n.t('search.noResultsFor', { query: q }) : i18n.t('search.noResults');
+      resultsEl.innerHTML = html`<p class="search__empty">${message}</p>`;
+      return;
+    }
+
+    resultsEl.innerHTML = html`${groups.filter((group) => group.items.length).map((group) => html`
+      <section class="search__result-group">
+        <h3 class="search__result-title">${i18n.t(`search.groups.${group.id}`, { count: group.items.length })}</h3>
+        <ul class="search__result-list">${group.items}</ul>
+      </section>
+    `)}`;
   }
 
-  /** Observe new elements (call after dynamic content renders). */
-  refresh() {
-    this.observeAll();
+  /** One service result: name, category, duration and price. */
+  serviceResultTemplate(item) {
+    const { q } = this.state;
+    const description = i18n.text(item.description);
+    const descHtml = description && SiteSearch.matches(description, q)
+      ? html`<span class="search__result-detail">${SiteSearch.highlight(description, q)}</span>` : '';
+    const meta = [
+      i18n.text(item.category),
+      item.duration ? i18n.formatDuration(item.duration) : '',
+      currencyConverter.format(item.price, item.currency),
+    ].filter(Boolean).join(' · ');
+
+    return html`
+      <li class="search__result">
+        <a href="#services/${item.categoryId}/${item.id}" class="search__result-link" data-scroll-link>
+          <span class="search__result-name">${SiteSearch.highlight(i18n.text(item.name), q)}</span>
+          ${descHtml}
+          <span class="search__result-meta">${meta}</span>
+        </a>
+      </li>
+    `;
   }
 
-  /** Clean up. */
-  destroy() {
-    if (this.observer) this.observer.disconnect();
+  /** One training result: title, level and the matching "includes" items. */
+  trainingResultTemplate(training) {
+    const { q } = this.state;
+    const levelKey = `trainings.levels.${training.level.toLowerCase()}`;
+    const includesHtml = q ? i18n.text(training.includes)
+      .filter((item) => SiteSearch.matches(item, q))
+      .map((item) => html`<span class="search__result-tag">${SiteSearch.highlight(item, q)}</span>`) : [];
+    const meta = [
+      i18n.has(levelKey) ? i18n.t(levelKey) : training.level,
+      i18n.text(training.duration),
+      currencyConverter.format(training.price, training.currency),
+    ].filter(Boolean).join(' · ');
+
+    return html`
+      <li class="search__result">
+        <a href="#trainings/${training.id}" class="search__result-link" data-scroll-link>
+          <span class="search__result-name">${SiteSearch.highlight(i18n.text(training.title), q)}</span>
+          ${includesHtml.length ? html`<span class="search__result-tags">${includesHtml}</span>` : ''}
+          <span class="search__result-meta">${meta}</span>
+        </a>
+      </li>
+    `;
+  }
+
+  /** One team result: name, role and the matching specialties. */
+  teamResultTemplate(member) {
+    const { q } = this.state;
+    const specialtiesHtml = i18n.text(member.specialties)
+      .filter((specialty) => SiteSearch.matches(specialty, q))
+      .map((specialty) => html`<span class="search__result-tag">${SiteSearch.highlight(specialty, q)}</span>`);
+
+    return html`
+      <li class="search__result">
+        <a href="#team/${member.id}" class="search__result-link" data-scroll-link>
+          <span class="search__result-name">${SiteSearch.highlight(member.name, q)}</span>
+          ${specialtiesHtml.length ? html`<span class="search__result-tags">${specialtiesHtml}</span>` : ''}
+          <span class="search__result-meta">${i18n.text(member.role)}</span>
+        </a>
+      </li>
+    `;
+  }
+
+  /** Read the form into the state, update the URL and the results. */
+  handleInput(event) {
+    const form = event.target.closest('[data-search-form]');
+    if (!form) return;
+
+    this.state = SiteSearch.readQuery(new URLSearchParams(new FormData(form)).toString());
+    this.writeQuery();
+    this.renderResults();
+  }
+
+  /** Clear all filters. */
+  handleReset(event) {
+    if (!event.target.closest('[data-search-form]')) return;
+    event.preventDefault();
+
+    this.state = SiteSearch.readQuery('');
+    this.writeQuery();
+    this.render();
+    this.container.querySelector('.search__input').focus();
   }
 }
 
 
 // =============================================================================
-// TeamSection — renders team member cards
+// BookingWizard — multi-step online booking: service → specialist → slot → details
 // =============================================================================
-class TeamSection {
+class BookingWizard extends Section {
   /**
    * @param {DataService} dataService — shared data service instance
-   * @param {string} dataUrl — path to team.json
-   * @param {string} containerSelector — selector for the team container
+   * @param {{services: string, team: string, hours: string}} dataUrls — paths to the JSON files
+   * @param {string} containerSelector — selector for the booking container
+   * @param {Object} options — booking settings (see CONFIG.booking)
    */
-  constructor(dataService, dataUrl, containerSelector) {
+  constructor(dataService, dataUrls, containerSelector, options) {
+    super(containerSelector);
     this.dataService = dataService;
-    this.dataUrl = dataUrl;
-    this.container = document.querySelector(containerSelector);
+    this.dataUrls = dataUrls;
+    this.options = options;
+    this.adapter = createAdapter(options);
+
+    this.steps = ['service', 'member', 'slot', 'details'];
+    this.state = BookingWizard.emptyState();
+    this.error = '';
+
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleClick = this.handleClick.bind(this);
   }
 
-  /** Load data and render. */
-  async init() {
-    if (!this.container) return;
+  /** State of a fresh booking. `extras` are further treatments (ids) done in the same visit. */
+  static emptyState() {
+    return { step: 'service', serviceId: null, extras: [], memberId: null, date: null, time: null, details: {} };
+  }
+
+  /** The step forms and their Back/Edit buttons. */
+  attach() {
+    this.listen(this.container, 'submit', this.handleSubmit);
+    this.listen(this.container, 'click', this.handleClick);
+  }
+
+  loading() {
+    ComponentRenderer.loading(this.container, i18n.t('booking.loading'));
+  }
+
+  failed(error) {
+    renderSectionError(this.container, i18n.t('booking.unavailable'), error, () => this.init());
+  }
+
+  /**
+   * Fetch services, team and opening hours (again when fresher data arrives).
+   * The team is optional: without it, any specialist can be booked.
+   */
+  async load() {
+    const [services, team, hours] = await Promise.all([
+      this.dataService.load(this.dataUrls.services, 'services'),
+      this.dataService.load(this.dataUrls.team, 'team').catch(() => []),
+      this.dataService.loadOne(this.dataUrls.hours, 'hours'),
+    ]);
+
+    // Add-ons ("+10") can only be booked together with a main treatment
+    this.categories = services;
+    this.items = services.flatMap((category) => category.items.map((item) => ({ ...item, categoryId: category.id })));
+    this.services = this.items.filter((item) => !item.price.isAddon);
+    this.team = team;
+    this.availability = hours.regular;
+    this.closedDays = closureDays(hours.closures);
+    this.bookings = await this.adapter.list();
+  }
+
+  /**
+   * Start the wizard with some choices already made, e.g. from a service card,
+   * or a team card (the treatments are then narrowed to that member's).
+   * Skips ahead to the first step that still needs input.
+   * @param {{serviceId?: number, extras?: Array<number|string>, memberId?: number}} choices
+   */
+  preselect(choices) {
+    this.state = { ...BookingWizard.emptyState(), ...choices };
+    this.state.step = this.state.serviceId ? 'member' : 'service';
+    // Not loaded yet (it loads as the link scrolls to it): the first render shows the choices
+    if (this.isLoaded) this.render(true);
+  }
+
+  /**
+   * Start the wizard for several treatments, e.g. from the basket: the first
+   * main treatment is booked and the others come along as extras.
+   * @param {Array} items — service items
+   */
+  preselectItems(items) {
+    const main = items.find((item) => !item.price.isAddon);
+    this.preselect({
+      serviceId: main ? main.id : null,
+      extras: items.filter((item) => item !== main).map((item) => item.id),
+    });
+  }
+
+  /** The currently selected service, if any. */
+  get service() {
+    return this.services.find((s) => String(s.id) === String(this.state.serviceId)) || null;
+  }
+
+  /** Further treatments for the same visit (never the selected service itself). */
+  get extras() {
+    return this.state.extras
+      .filter((id) => String(id) !== String(this.state.serviceId))
+      .map((id) => this.items.find((item) => String(item.id) === String(id)))
+      .filter(Boolean);
+  }
+
+  /** The currently selected team member, if any. */
+  get member() {
+    return this.team.find((m) => String(m.id) === String(this.state.memberId)) || null;
+  }
+
+  /** Team members who perform the selected service's category. */
+  matchingMembers() {
+    const service = this.service;
+    if (!service) return [];
+    return this.team.filter((member) => member.serviceCategories.includes(service.categoryId));
+  }
+
+  /** Services on offer, only the selected member's when one is chosen. */
+  bookableServices() {
+    const member = this.member;
+    if (!member) return this.services;
+    return this.services.filter((service) => member.serviceCategories.includes(service.categoryId));
+  }
+
+  /**
+   * Free slots for the next `daysAhead` days, built from the opening hours,
+   * or the selected member's working hours and days off when team.json has them.
+   * Nothing is offered while the clinic is closed for a holiday.
+   * Slots start every `slotMinutes` and must end before closing time.
+   * @param {Date} [now] — clinic time
+   * @returns {Array<{key: string, date: Date, times: string[]}>}
+   */
+  availableSlots(now = timeIn(CONFIG.business.timeZone)) {
+    const duration = this.visitMinutes();
+    const member = this.member;
+    const rules = member && member.schedule.length ? member.schedule : this.availability;
+    const daysOff = member ? [...this.closedDays, ...member.daysOff] : this.closedDays;
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const days = [];
+
+    for (let offset = 0; offset < this.options.daysAhead; offset++) {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+      const key = toDateKey(date);
+      const times = [];
+
+      hoursOn(rules, date, daysOff).forEach(({ opens, closes }) => {
+        for (let start = toMinutes(opens); start + duration <= toMinutes(closes); start += this.options.slotMinutes) {
+          const time = fromMinutes(start);
+          if (offset === 0 && start <= nowMinutes) continue;
+          if (this.isBooked(key, time, duration)) continue;
+          times.push(time);
+        }
+      });
+
+      if (times.length) days.push({ key, date, times });
+    }
+    return days;
+  }
+
+  /** Minutes the visit takes: the service and its extras, or one slot when they give no duration. */
+  visitMinutes() {
+    return [this.service, ...this.extras].reduce((sum, item) => sum + ((item && item.duration) || 0), 0)
+      || this.options.slotMinutes;
+  }
+
+  /**
+   * Check whether a visit clashes with the bookings made so far. Bookings
+   * clash when their times overlap (one without a duration takes a slot).
+   * A chosen specialist must be free, and each "no preference" booking takes
+   * one of the specialists who perform the service and work then, so one must
+   * be left for this visit. Without matching team members the clinic takes
+   * one booking at a time.
+   * @param {string} dateKey
+   * @param {string} time — start, "HH:MM"
+   * @param {number} duration — minutes
+   * @returns {boolean}
+   */
+  isBooked(dateKey, time, duration) {
+    const start = toMinutes(time);
+    const end = start + duration;
+    const overlapping = this.bookings.filter((booking) => booking.date === dateKey
+      && toMinutes(booking.time) < end
+      && start < toMinutes(booking.time) + (booking.duration || this.options.slotMinutes));
+
+    const candidates = this.matchingMembers();
+    if (!candidates.length) return overlapping.length > 0;
+
+    const taken = new Set(overlapping.filter((booking) => booking.memberId !== null).map((booking) => String(booking.memberId)));
+    const unassigned = overlapping.filter((booking) => booking.memberId === null).length;
+    const date = parseDateKey(dateKey);
+    const free = candidates.filter((member) => !taken.has(String(member.id))
+      && BookingWizard.worksDuring(member, date, start, end));
+
+    const member = this.member;
+    if (member) return !free.includes(member) || free.length - 1 < unassigned;
+    return free.length <= unassigned;
+  }
+
+  /**
+   * Whether a member works for the whole of a visit. Members without working
+   * hours in team.json work whenever the clinic is open.
+   * @param {Object} member
+   * @param {Date} date
+   * @param {number} start — minutes since midnight
+   * @param {number} end
+   * @returns {boolean}
+   */
+  static worksDuring(member, date, start, end) {
+    if (member.daysOff.includes(toDateKey(date))) return false;
+    if (!member.schedule.length) return true;
+    return hoursOn(member.schedule, date).some(({ opens, closes }) => toMinutes(opens) <= start && end <= toMinutes(closes));
+  }
+
+  /** Render the progress indicator and the current step. */
+  render(moveFocus = false) {
+    if (!this.services) return;
+    const stepTemplates = {
+      service: () => this.serviceStep(),
+      member: () => this.memberStep(),
+      slot: () => this.slotStep(),
+      details: () => this.detailsStep(),
+      done: () => this.doneStep(),
+    };
+
+    this.container.innerHTML = html`
+      ${this.progressTemplate()}
+      <div class="booking__panel">
+        ${stepTemplates[this.state.step]()}
+      </div>
+    `;
+
+    if (moveFocus) {
+      const title = this.container.querySelector('.booking__title');
+      if (title) title.focus();
+    }
+  }
+
+  /** Step indicator: 1 Treatment · 2 Specialist · … */
+  progressTemplate() {
+    const currentIndex = this.steps.indexOf(this.state.step);
+    const itemsHtml = this.steps.map((step, i) => {
+      const modifier = i === currentIndex ? ' booking__progress-item--current'
+        : i < currentIndex || currentIndex === -1 ? ' booking__progress-item--done' : '';
+      return html`<li class="booking__progress-item${modifier}"${i === currentIndex ? html` aria-current="step"` : ''}>${i18n.t(`booking.steps.${step}`)}</li>`;
+    });
+    return html`<ol class="booking__progress">${itemsHtml}</ol>`;
+  }
+
+  /** Wrap step content in a form with a title and back/next buttons. */
+  stepTemplate(title, bodyHtml, submitLabel = i18n.t('booking.continue')) {
+    const isFirst = this.state.step === this.steps[0];
+    const errorHtml = this.error ? html`<p class="booking__error" role="alert">${this.error}</p>` : '';
+    return html`
+      <form class="booking__form" data-booking-form novalidate>
+        <h3 class="booking__title" tabindex="-1">${title}</h3>
+        ${bodyHtml}
+        ${errorHtml}
+        <div class="booking__actions">
+          ${isFirst ? '' : html`<button type="button" class="btn btn--outline btn--small" data-booking-back>${i18n.t('booking.back')}</button>`}
+          <button type="submit" class="btn btn--primary btn--small">${submitLabel}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  /** Step 1: choose a treatment, grouped by category. */
+  serviceStep() {
+    const bookable = this.bookableServices();
+    const groupsHtml = this.categories.map((category) => {
+      const services = bookable.filter((service) => service.categoryId === category.id);
+      if (!services.length) return '';
+      return html`
+        <optgroup label="${i18n.text(category.category)}">
+          ${services.map((service) => html`
+            <option value="${service.id}"${String(service.id) === String(this.state.serviceId) ? ' selected' : ''}>
+              ${i18n.text(service.name)} — ${i18n.formatPrice(service.price, service.currency)}
+            </option>
+          `)}
+        </optgroup>
+      `;
+    });
+
+    const extras = this.extras;
+    const extrasHtml = extras.length ? html`
+      <p class="booking__text">${i18n.t('booking.service.extras', { names: extras.map((item) => i18n.text(item.name)).join(', ') })}</p>
+    ` : '';
+
+    const member = this.member;
+    const memberHtml = member ? html`
+      <p class="booking__text">
+        ${i18n.t('booking.service.withMember', { name: member.name })}
+        <button type="button" class="booking__link" data-booking-any-member>${i18n.t('booking.service.allServices')}</button>
+      </p>
+    ` : '';
+
+    return this.stepTemplate(i18n.t('booking.service.title'), html`
+      ${memberHtml}
+      <label class="booking__label" for="booking-service">${i18n.t('booking.service.label')}</label>
+      <select class="booking__input" id="booking-service" name="serviceId" required>
+        <option value="">${i18n.t('booking.service.choose')}</option>
+        ${groupsHtml}
+      </select>
+      ${extrasHtml}
+    `);
+  }
+
+  /** Step 2: choose a specialist who performs the treatment, or no preference. */
+  memberStep() {
+    const optionHtml = (value, name, detail) => html`
+      <label class="booking__option">
+        <input type="radio" name="memberId" value="${value}"${String(value) === String(this.state.memberId ?? '') ? ' checked' : ''}>
+        <span class="booking__option-name">${name}</span>
+        <span class="booking__option-detail">${detail}</span>
+      </label>
+    `;
+
+    const membersHtml = this.matchingMembers()
+      .map((member) => optionHtml(member.id, member.name, i18n.text(member.role)));
+
+    return this.stepTemplate(i18n.t('booking.member.title'), html`
+      <fieldset class="booking__fieldset">
+        <legend class="sr-only">${i18n.t('booking.steps.member')}</legend>
+        ${optionHtml('', i18n.t('booking.member.any'), i18n.t('booking.member.anyDetail'))}
+        ${membersHtml}
+      </fieldset>
+    `);
+  }
+
+  /** Step 3: choose a free slot. */
+  slotStep() {
+    const days = this.availableSlots();
+    if (!days.length) {
+      return this.stepTemplate(i18n.t('booking.slot.title'), html`
+        <p class="booking__empty">${i18n.t('booking.slot.empty', { count: this.options.daysAhead })}</p>
+      `);
+    }
+
+    const selected = `${this.state.date}T${this.state.time}`;
+    const daysHtml = days.map((day) => {
+      const label = i18n.formatDate(day.date, { weekday: 'short', day: 'numeric', month: 'short' });
+      const slotsHtml = day.times.map((time) => html`
+        <label class="booking__slot">
+          <input type="radio" name="slot" value="${day.key}T${time}" required${`${day.key}T${time}` === selected ? ' checked' : ''}>
+          <span>${time}</span>
+        </label>
+      `);
+      return html`
+        <fieldset class="booking__day">
+          <legend class="booking__day-label">${label}</legend>
+          <div class="booking__slots">${slotsHtml}</div>
+        </fieldset>
+      `;
+    });
+
+    return this.stepTemplate(i18n.t('booking.slot.title'), html`<div class="booking__days">${daysHtml}</div>`);
+  }
+
+  /** Step 4: contact details and a summary to confirm. */
+  detailsStep() {
+    const details = this.state.details;
+    const optionalHtml = html` <span class="booking__optional">${i18n.t('booking.details.optional')}</span>`;
+    const field = (name, type, required, autocomplete) => html`
+      <div class="booking__field">
+        <label class="booking__label" for="booking-${name}">${i18n.t(`booking.details.${name}`)}${required ? '' : optionalHtml}</label>
+        <input class="booking__input" id="booking-${name}" name="${name}" type="${type}" autocomplete="${autocomplete}"
+          value="${details[name] || ''}"${required ? ' required' : ''}>
+      </div>
+    `;
+
+    return this.stepTemplate(i18n.t('booking.steps.details'), html`
+      ${this.summaryTemplate()}
+      ${field('name', 'text', true, 'name')}
+      ${field('phone', 'tel', true, 'tel')}
+      ${field('email', 'email', false, 'email')}
+      <div class="booking__field">
+        <label class="booking__label" for="booking-notes">${i18n.t('booking.details.notes')}${optionalHtml}</label>
+        <textarea class="booking__input" id="booking-notes" name="notes" rows="3">${details.notes || ''}</textarea>
+      </div>
+    `, i18n.t('booking.details.confirm'));
+  }
+
+  /** Confirmation after a successful submission. */
+  doneStep() {
+    return html`
+      <div class="booking__done" role="status">
+        <h3 class="booking__title" tabindex="-1">${i18n.t('booking.done.title', { name: this.state.details.name })}</h3>
+        <p class="booking__text">${i18n.t('booking.done.text')}</p>
+        ${this.summaryTemplate()}
+        <button type="button" class="btn btn--outline btn--small" data-booking-restart>${i18n.t('booking.done.restart')}</button>
+      </div>
+    `;
+  }
+
+  /** Summary of the choices made so far. */
+  summaryTemplate() {
+    const service = this.service;
+    const member = this.member;
+    const date = new Date(`${this.state.date}T${this.state.time}`);
+    const dateText = i18n.formatDate(date, { weekday: 'long', day: 'numeric', month: 'long' });
+    const row = (key, value) => html`<div class="booking__summary-row"><dt>${i18n.t(`booking.summary.${key}`)}</dt><dd>${value}</dd></div>`;
+
+    const extras = this.extras;
+    const extrasHtml = extras.length ? html`
+      ${row('extras', extras.map((item) => `${i18n.text(item.name)} · ${i18n.formatPrice(item.price, item.currency)}`).join(', '))}
+      ${row('estimate', TreatmentBasket.formatTotal(TreatmentBasket.totals([service, ...extras])))}
+    ` : '';
 
-    this.container.innerHTML = '<p class="section__loading">Loading team…</p>';
+    return html`
+      <dl class="booking__summary">
+        ${row('service', `${i18n.text(service.name)} · ${i18n.formatPrice(service.price, service.currency)}`)}
+        ${extrasHtml}
+        ${row('member', member ? member.name : i18n.t('booking.member.any'))}
+        ${row('when', `${dateText}, ${this.state.time}`)}
+      </dl>
+    `;
+  }
+
+  /** Read the current step's form and move forward. */
+  async handleSubmit(event) {
+    const form = event.target.closest('[data-booking-form]');
+    if (!form) return;
+    event.preventDefault();
 
-    const data = await this.dataService.fetch(this.dataUrl);
-    if (!data) {
-      this.container.innerHTML = '<p class="section__error">Team information is currently unavailable. Please try again later.</p>';
+    if (!form.checkValidity()) {
+      form.reportValidity();
       return;
     }
 
-    const renderer = new ComponentRenderer(this.container, this.template);
-    renderer.render(data);
-    this.attachImageFallbacks();
+    const values = Object.fromEntries(new FormData(form));
+    this.error = '';
+
+    switch (this.state.step) {
+      case 'service':
+        this.state.serviceId = values.serviceId;
+        this.state.step = 'member';
+        break;
+      case 'member':
+        this.state.memberId = values.memberId || null;
+        this.state.step = 'slot';
+        break;
+      case 'slot':
+        if (!values.slot) return;
+        [this.state.date, this.state.time] = values.slot.split('T');
+        this.state.step = 'details';
+        break;
+      case 'details':
+        this.state.details = values;
+        await this.submit(form);
+        break;
+    }
+    this.render(true);
   }
 
-  /** Generate HTML for a single team member. */
-  template(member, index) {
-    const initials = member.name.split(' ').map(n => n[0]).join('');
+  /** Send the booking through the configured adapter. */
+  async submit(form) {
+    const submitButton = form.querySelector('[type="submit"]');
+    submitButton.disabled = true;
 
-    const specialtiesHtml = member.specialties
-      .map(s => `<span class="team__specialty">${escapeHtml(s)}</span>`)
-      .join('');
+    const service = this.service;
+    const member = this.member;
+    const payload = {
+      type: 'booking',
+      serviceId: service.id,
+      serviceName: i18n.text(service.name, CONFIG.i18n.defaultLocale),
+      categoryId: service.categoryId,
+      extras: this.extras.map((item) => ({ id: item.id, name: i18n.text(item.name, CONFIG.i18n.defaultLocale) })),
+      locale: i18n.locale,
+      memberId: member ? member.id : null,
+      memberName: member ? member.name : null,
+      date: this.state.date,
+      time: this.state.time,
+      duration: this.visitMinutes(),
+      ...this.state.details,
+      createdAt: new Date().toISOString(),
+    };
 
-    const socialsHtml = Object.entries(member.socials || {})
-      .map(([platform, url]) => {
-        const icon = TeamSection.socialIcon(platform);
-        const href = safeUrl(url);
-        if (!href) return '';
-        return `<a href="${href}" class="team__social-link" aria-label="${escapeHtml(member.name)} on ${escapeHtml(platform)}" target="_blank" rel="noopener noreferrer">${icon}</a>`;
-      })
-      .join('');
+    try {
+      await this.adapter.submit(payload);
+      this.bookings.push(payload);
+      this.state.step = 'done';
+    } catch (error) {
+      console.error('[BookingWizard] Submission failed:', error);
+      this.error = i18n.t('booking.error');
+    }
+  }
 
-    return `
-      <article class="team__card fade-in" style="--stagger-index: ${index}">
-        <div class="team__photo-wrapper">
-          <img
-            src="${safeUrl(member.photo)}"
-            alt="Portrait of ${escapeHtml(member.name)}, ${escapeHtml(member.role)} at JukaMedical"
-            class="team__photo"
-            loading="lazy"
-            data-initials="${escapeHtml(initials)}"
-          >
+  /** Handle back, restart and "all treatments" buttons. */
+  handleClick(event) {
+    if (event.target.closest('[data-booking-any-member]')) {
+      this.state.memberId = null;
+      this.render(true);
+    } else if (event.target.closest('[data-booking-back]')) {
+      const index = this.steps.indexOf(this.state.step);
+      this.error = '';
+      this.state.step = this.steps[Math.max(0, index - 1)];
+      this.render(true);
+    } else if (event.target.closest('[data-booking-restart]')) {
+      this.state = BookingWizard.emptyState();
+      this.render(true);
+    }
+  }
+}
+
+
+// =============================================================================
+// ContactForm — inquiries by topic, with inline validation and spam checks
+// =============================================================================
+class ContactForm extends Section {
+  /**
+   * @param {DataService} dataService — shared data service instance
+   * @param {{services: string, trainings: string}} dataUrls — paths to the JSON files
+   * @param {string} containerSelector — selector for the form container
+   * @param {Object} options — submission and spam-check settings (see CONFIG.contact)
+   */
+  constructor(dataService, dataUrls, containerSelector, options) {
+    super(containerSelector);
+    this.dataService = dataService;
+    this.dataUrls = dataUrls;
+    this.options = options;
+    this.adapter = createAdapter(options);
+
+    this.topics = ['appointment', 'training', 'other'];
+    this.categories = [];
+    this.trainings = [];
+    this.values = { topic: this.topics[0] };
+    this.errors = {};
+    this.error = '';
+    this.sentTo = null; // the name and email of the last inquiry sent, while its confirmation shows
+    this.startedAt = null; // when the form was first shown: App creates the section long before it scrolls into view
+
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleInput = this.handleInput.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /** Sending, live validation and the "Send another" button. */
+  attach() {
+    this.listen(this.container, 'submit', this.handleSubmit);
+    this.listen(this.container, 'input', this.handleInput);
+    this.listen(this.container, 'change', this.handleInput);
+    this.listen(this.container, 'click', this.handleClick);
+  }
+
+  /**
+   * Fetch services and trainings (again when fresher data arrives).
+   * Both are optional: without them the topic fields ask in free text.
+   */
+  async load() {
+    const [services, trainings] = await Promise.all([
+      this.dataService.load(this.dataUrls.services, 'services').catch(() => []),
+      this.dataService.load(this.dataUrls.trainings, 'trainings').catch(() => []),
+    ]);
+    this.categories = services;
+    this.trainings = trainings;
+  }
+
+  /**
+   * Render the form, or the confirmation after sending. Values typed so far
+   * are kept, and so is focus when fresher data re-renders the form mid-typing.
+   * @param {boolean} [moveFocus] — focus the first invalid field, else the title
+   */
+  render(moveFocus = false) {
+    if (!this.container) return;
+    const activeId = this.container.contains(document.activeElement) ? document.activeElement.id : '';
+    this.container.innerHTML = this.sentTo ? this.doneTemplate() : this.formTemplate();
+    if (!this.sentTo && this.startedAt === null) this.startedAt = Date.now();
+
+    const target = moveFocus
+      ? this.container.querySelector('[aria-invalid="true"]') || this.container.querySelector('.inquiry__title')
+      : activeId && document.getElementById(activeId);
+    if (target) target.focus();
+  }
+
+  /** The whole form: topic, the topic's own fields, contact details, message and consent. */
+  formTemplate() {
+    const topicOptionsHtml = this.topics.map((topic) => html`
+      <option value="${topic}"${topic === this.values.topic ? ' selected' : ''}>${i18n.t(`inquiry.topics.${topic}`)}</option>
+    `);
+    const errorHtml = this.error ? html`<p class="inquiry__alert" role="alert">${this.error}</p>` : '';
+
+    return html`
+      <form class="inquiry__form" data-inquiry-form novalidate>
+        <h3 class="inquiry__title" tabindex="-1">${i18n.t('inquiry.title')}</h3>
+        <p class="inquiry__text">${i18n.t('inquiry.intro')}</p>
+        <div class="inquiry__field">
+          <label class="inquiry__label" for="inquiry-topic">${i18n.t('inquiry.fields.topic')}</label>
+          <select class="inquiry__input" id="inquiry-topic" name="topic">${topicOptionsHtml}</select>
         </div>
-        <div class="team__body">
-          <h3 class="team__name">${escapeHtml(member.name)}</h3>
-          <p class="team__role">${escapeHtml(member.role)}</p>
-          <p class="team__bio">${escapeHtml(member.bio)}</p>
-          <div class="team__specialties">${specialtiesHtml}</div>
-          <div class="team__footer">
-            <span class="team__experience">${escapeHtml(member.experience)}</span>
-            <div class="team__socials">${socialsHtml}</div>
-          </div>
+        <div class="inquiry__topic" data-inquiry-topic>${this.topicFieldsTemplate()}</div>
+        <div class="inquiry__row">
+          ${this.fieldTemplate('name', { required: true, autocomplete: 'name' })}
+          ${this.fieldTemplate('email', { type: 'email', required: true, autocomplete: 'email' })}
         </div>
-      </article>
+        ${this.fieldTemplate('phone', { type: 'tel', autocomplete: 'tel' })}
+        ${this.fieldTemplate('message', { multiline: true, required: true })}
+        <div class="inquiry__trap" aria-hidden="true">
+          <label for="inquiry-website">Website</label>
+          <input id="inquiry-website" name="website" type="text" tabindex="-1" autocomplete="off">
+        </div>
+        <div class="inquiry__field inquiry__field--checkbox" data-inquiry-field="consent">
+          <input class="inquiry__checkbox" id="inquiry-consent" name="consent" type="checkbox" value="yes"
+            ${this.values.consent ? 'checked ' : ''}${this.describedBy('consent')}>
+          <label class="inquiry__label" for="inquiry-consent">${i18n.t('inquiry.consent', { business: CONFIG.business.name, email: CONFIG.business.email })}</label>
+          ${this.errorTemplate('consent')}
+        </div>
+        ${errorHtml}
+        <div class="inquiry__actions">
+          <button type="submit" class="btn btn--primary btn--small">${i18n.t('inquiry.send')}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Fields that depend on the topic: the treatment and a preferred date for
+   * an appointment, the course for a training, a subject for anything else.
+   */
+  topicFieldsTemplate() {
+    if (this.values.topic === 'appointment') {
+      const groupsHtml = this.categories.map((category) => html`
+        <optgroup label="${i18n.text(category.category)}">
+          ${category.items.filter((item) => !item.price.isAddon).map((item) => html`
+            <option value="${item.id}"${String(item.id) === this.values.serviceId ? ' selected' : ''}>${i18n.text(item.name)}</option>
+          `)}
+        </optgroup>
+      `);
+      return html`
+        <div class="inquiry__row">
+          ${this.categories.length ? this.fieldTemplate('serviceId', { options: groupsHtml, placeholder: i18n.t('inquiry.fields.serviceAny') }) : ''}
+          ${this.fieldTemplate('preferredDate', { type: 'date', min: toDateKey(new Date()) })}
+        </div>
+      `;
+    }
+
+    if (this.values.topic === 'training') {
+      if (!this.trainings.length) return this.fieldTemplate('subject', { required: true });
+      const optionsHtml = this.trainings.map((training) => html`
+        <option value="${training.id}"${String(training.id) === this.values.trainingId ? ' selected' : ''}>${i18n.text(training.title)}</option>
+      `);
+      return this.fieldTemplate('trainingId', { options: optionsHtml, placeholder: i18n.t('inquiry.fields.trainingChoose'), required: true });
+    }
+
+    return this.fieldTemplate('subject', { required: true });
+  }
+
+  /**
+   * A labelled input, textarea or select with room for its error message.
+   * @param {string} name — field name, also the key of its label in inquiry.fields
+   * @param {{type?: string, required?: boolean, autocomplete?: string, multiline?: boolean,
+   *   options?: SafeHtml[], placeholder?: string, min?: string}} [spec]
+   * @returns {SafeHtml}
+   */
+  fieldTemplate(name, { type = 'text', required = false, autocomplete = 'off', multiline = false, options = null, placeholder = '', min = '' } = {}) {
+    const id = `inquiry-${name}`;
+    const value = this.values[name] || '';
+    const attrs = html`class="inquiry__input" id="${id}" name="${name}"${required ? ' required' : ''} ${this.describedBy(name)}`;
+    const optionalHtml = required ? '' : html` <span class="inquiry__optional">${i18n.t('inquiry.optional')}</span>`;
+
+    let control = html`<input ${attrs} type="${type}" autocomplete="${autocomplete}" value="${value}"${min ? html` min="${min}"` : ''}>`;
+    if (multiline) {
+      control = html`<textarea ${attrs} rows="5" maxlength="${this.options.messageMaxLength}">${value}</textarea>`;
+    } else if (options !== null) {
+      control = html`<select ${attrs}><option value="">${placeholder}</option>${options}</select>`;
+    }
+
+    return html`
+      <div class="inquiry__field" data-inquiry-field="${name}">
+        <label class="inquiry__label" for="${id}">${i18n.t(`inquiry.fields.${name}`)}${optionalHtml}</label>
+        ${control}
+        ${this.errorTemplate(name)}
+      </div>
+    `;
+  }
+
+  /** aria-invalid and aria-describedby for a field with an error. */
+  describedBy(name) {
+    return this.errors[name] ? html`aria-invalid="true" aria-describedby="inquiry-${name}-error"` : '';
+  }
+
+  /** A field's error message, or nothing. */
+  errorTemplate(name) {
+    return this.errors[name] ? html`<p class="inquiry__error" id="inquiry-${name}-error">${this.errors[name]}</p>` : '';
+  }
+
+  /** Confirmation after sending. */
+  doneTemplate() {
+    return html`
+      <div class="inquiry__done" role="status">
+        <h3 class="inquiry__title" tabindex="-1">${i18n.t('inquiry.done.title', { name: this.sentTo.name })}</h3>
+        <p class="inquiry__text">${i18n.t('inquiry.done.text', { email: this.sentTo.email })}</p>
+        <button type="button" class="btn btn--outline btn--small" data-inquiry-restart>${i18n.t('inquiry.done.restart')}</button>
+      </div>
     `;
   }
 
-  /** Return an inline SVG icon for a social platform. */
-  static socialIcon(platform) {
-    const icons = {
-      instagram: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" aria-hidden="true"><rect x="2" y="2" width="20" height="20" rx="5" stroke="currentColor" stroke-width="2"/><circle cx="12" cy="12" r="5" stroke="currentColor" stroke-width="2"/><circle cx="17.5" cy="6.5" r="1.5" fill="currentColor"/></svg>',
-      linkedin: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" aria-hidden="true"><path d="M16 8a6 6 0 016 6v7h-4v-7a2 2 0 00-4 0v7h-4v-7a6 6 0 016-6z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><rect x="2" y="9" width="4" height="12" stroke="currentColor" stroke-width="2"/><circle cx="4" cy="4" r="2" stroke="currentColor" stroke-width="2"/></svg>',
-      facebook: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" aria-hidden="true"><path d="M18 2h-3a5 5 0 00-5 5v3H7v4h3v8h4v-8h3l1-4h-4V7a1 1 0 011-1h3V2z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
-    };
-    return icons[platform] || '';
+  /**
+   * Check the values of the selected topic's fields.
+   * @param {Object} values — field name → value, as read from the form
+   * @returns {Object<string, string>} field name → error message; empty when valid
+   */
+  validate(values) {
+    const errors = {};
+    const text = (name) => String(values[name] || '').trim();
+    const required = ['name', 'email', 'message'];
+    if (values.topic === 'training') required.push(this.trainings.length ? 'trainingId' : 'subject');
+    if (values.topic === 'other') required.push('subject');
+
+    required.forEach((name) => {
+      if (!text(name)) errors[name] = i18n.t('inquiry.errors.required');
+    });
+    if (text('email') && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text('email'))) {
+      errors.email = i18n.t('inquiry.errors.email');
+    }
+    if (text('phone') && !/^\+?[\d\s()-]{7,20}$/.test(text('phone'))) {
+      errors.phone = i18n.t('inquiry.errors.phone');
+    }
+    if (text('message') && text('message').length < this.options.messageMinLength) {
+      errors.message = i18n.t('inquiry.errors.tooShort', { count: this.options.messageMinLength });
+    }
+    if (values.topic === 'appointment' && text('preferredDate') && text('preferredDate') < toDateKey(new Date())) {
+      errors.preferredDate = i18n.t('inquiry.errors.pastDate');
+    }
+    if (!values.consent) errors.consent = i18n.t('inquiry.errors.consent');
+    return errors;
+  }
+
+  /**
+   * Signs of a bot: the hidden "website" field was filled in,
+   * or the form was sent faster than anyone can type.
+   * @param {Object} values
+   * @param {number} [now] — ms timestamp
+   * @returns {?('honeypot'|'tooFast')}
+   */
+  spamCheck(values, now = Date.now()) {
+    if (values.website) return 'honeypot';
+    if (now - this.startedAt < this.options.minFillSeconds * 1000) return 'tooFast';
+    return null;
+  }
+
+  /** Keep what is typed; switch the topic fields; clear errors as they are fixed. */
+  handleInput(event) {
+    const field = event.target;
+    if (!field.name || !field.closest('[data-inquiry-form]')) return;
+    this.values[field.name] = field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value;
+
+    if (field.name === 'topic' && event.type === 'change') {
+      // Only the topic's own fields are replaced; errors on the others stay until fixed
+      const topicFields = this.container.querySelector('[data-inquiry-topic]');
+      topicFields.querySelectorAll('[name]').forEach((input) => delete this.errors[input.name]);
+      topicFields.innerHTML = this.topicFieldsTemplate();
+      return;
+    }
+    if (this.errors[field.name] && !this.validate(this.values)[field.name]) {
+      delete this.errors[field.name];
+      field.removeAttribute('aria-invalid');
+      field.removeAttribute('aria-describedby');
+      const errorEl = this.container.querySelector(`#inquiry-${field.name}-error`);
+      if (errorEl) errorEl.remove();
+    }
+  }
+
+  /** Validate, check for spam and send. */
+  async handleSubmit(event) {
+    const form = event.target.closest('[data-inquiry-form]');
+    if (!form) return;
+    event.preventDefault();
+
+    const values = Object.fromEntries(new FormData(form));
+    this.values = { ...values, website: '' };
+    this.errors = this.validate(values);
+    this.error = '';
+
+    if (Object.keys(this.errors).length) {
+      this.render(true);
+      return;
+    }
+
+    const spam = this.spamCheck(values);
+    if (spam === 'honeypot') {
+      // Look sent, so the bot moves on
+      this.finish(values);
+      return;
+    }
+    if (spam === 'tooFast') {
+      this.startedAt = Date.now();
+      this.error = i18n.t('inquiry.errors.tooFast');
+      this.render();
+      form.querySelector('[type="submit"]').focus();
+      return;
+    }
+
+    await this.submit(form, values);
+  }
+
+  /** Send the inquiry through the configured adapter. */
+  async submit(form, values) {
+    const submitButton = form.querySelector('[type="submit"]');
+    submitButton.disabled = true;
+    submitButton.textContent = i18n.t('inquiry.sending');
+    form.setAttribute('aria-busy', 'true');
+
+    try {
+      await this.adapter.submit(this.payload(values));
+      this.finish(values);
+    } catch (error) {
+      console.error('[ContactForm] Submission failed:', error);
+      this.error = i18n.t('inquiry.error', { email: CONFIG.business.email });
+      this.render();
+      this.container.querySelector('[type="submit"]').focus();
+    }
   }
 
-  /** Replace broken images with an initials placeholder. */
-  attachImageFallbacks() {
-    const images = this.container.querySelectorAll('.team__photo');
-    images.forEach((img) => {
-      const applyFallback = () => {
-        const initials = img.getAttribute('data-initials') || '?';
-        const placeholder = document.createElement('div');
-        placeholder.className = 'team__photo-placeholder';
-        placeholder.textContent = initials;
-        placeholder.setAttribute('aria-hidden', 'true');
-        img.replaceWith(placeholder);
-      };
+  /**
+   * What is sent: the topic's own fields only, with names of the chosen
+   * treatment or training in the default language.
+   * @param {Object} values
+   * @returns {Object}
+   */
+  payload(values) {
+    const { defaultLocale } = CONFIG.i18n;
+    const topicFields = {};
+    if (values.topic === 'appointment') {
+      const item = this.categories.flatMap((category) => category.items).find((i) => String(i.id) === values.serviceId);
+      Object.assign(topicFields, {
+        serviceId: item ? item.id : null,
+        serviceName: item ? i18n.text(item.name, defaultLocale) : null,
+        preferredDate: values.preferredDate || null,
+      });
+    } else if (values.topic === 'training' && values.trainingId) {
+      const training = this.trainings.find((t) => String(t.id) === values.trainingId);
+      Object.assign(topicFields, {
+        trainingId: training ? training.id : null,
+        trainingTitle: training ? i18n.text(training.title, defaultLocale) : null,
+      });
+    } else {
+      topicFields.subject = values.subject.trim();
+    }
 
-      img.addEventListener('error', applyFallback);
+    return {
+      type: 'inquiry',
+      topic: values.topic,
+      ...topicFields,
+      name: values.name.trim(),
+      email: values.email.trim(),
+      phone: values.phone.trim() || null,
+      message: values.message.trim(),
+      consent: true,
+      locale: i18n.locale,
+      createdAt: new Date().toISOString(),
+    };
+  }
 
-      // Handle race condition: image may have already failed before the listener was attached
-      if (img.complete && img.naturalWidth === 0) {
-        applyFallback();
-      }
-    });
+  /** Show the confirmation and start a fresh form behind it. */
+  finish(values) {
+    this.sentTo = { name: values.name.trim(), email: values.email.trim() };
+    this.values = { topic: values.topic };
+    this.render(true);
+  }
+
+  /** "Send another message". */
+  handleClick(event) {
+    if (!event.target.closest('[data-inquiry-restart]')) return;
+    this.sentTo = null;
+    this.startedAt = Date.now();
+    this.render(true);
   }
 }
 
 
 // =============================================================================
-// ServicesSection — renders service categories as a wrapping tab grid
+// OpeningHours — weekly hours, a live "Open now" status and closure notices
 // =============================================================================
-class ServicesSection {
+class OpeningHours extends Section {
   /**
    * @param {DataService} dataService — shared data service instance
-   * @param {string} dataUrl — path to services.json
-   * @param {string} containerSelector — selector for the services container
+   * @param {string} dataUrl — path to hours.json
+   * @param {{table: string, status: string, notice: string}} selectors — the weekly hours <dl>
+   *   (the section's container), the status lines (header and contact section) and the closure notices
+   * @param {{timeZone: string, noticeDays: number, refreshInterval: number}} options
+   *   — the clinic's time zone (see CONFIG.business) and CONFIG.hours
    */
-  constructor(dataService, dataUrl, containerSelector) {
+  constructor(dataService, dataUrl, selectors, options) {
+    super(selectors.table);
     this.dataService = dataService;
     this.dataUrl = dataUrl;
-    this.container = document.querySelector(containerSelector);
+    this.table = this.container;
+    this.statusElements = [...document.querySelectorAll(selectors.status)];
+    this.noticeElements = [...document.querySelectorAll(selectors.notice)];
+    this.options = options;
+    this.hours = null;
+    this.renderLive = this.renderLive.bind(this);
   }
 
-  /** Load data and render. */
-  async init() {
-    if (!this.container) return;
+  /**
+   * Keep the status current. Until the hours have loaded (or when hours.json
+   * fails) the static markup stays in place.
+   */
+  attach() {
+    const timer = setInterval(this.renderLive, this.options.refreshInterval);
+    this.onDestroy(() => clearInterval(timer));
+  }
 
-    this.container.innerHTML = '<p class="section__loading">Loading services…</p>';
+  /** Fetch hours.json (again when fresher data arrives). */
+  async load() {
+    this.hours = await this.dataService.loadOne(this.dataUrl, 'hours');
+    this.closedDays = closureDays(this.hours.closures);
+  }
 
-    const data = await this.dataService.fetch(this.dataUrl);
-    if (!data) {
-      this.container.innerHTML = '<p class="section__error">Services are currently unavailable. Please try again later.</p>';
-      return;
-    }
+  /** The current time on the clinic's clock. */
+  now() {
+    return timeIn(this.options.timeZone);
+  }
 
-    this.render(data);
+  /** Render the weekly hours, the status and the notices (again after a language change). */
+  render() {
+    if (!this.hours) return;
+    if (this.table) ComponentRenderer.write(this.table, this.markup());
+    this.renderLive();
   }
 
-  /** Build wrapping tab grid + panels from JSON data and attach switching logic. */
-  render(data) {
-    const tabsHtml = data.map((category, i) => `
-      <button
-        class="services__tab${i === 0 ? ' services__tab--active' : ''}"
-        role="tab"
-        aria-selected="${i === 0 ? 'true' : 'false'}"
-        aria-controls="services-panel-${i}"
-        id="services-tab-${i}"
-        data-tab="${i}"
-      >${escapeHtml(category.category)}</button>
-    `).join('');
+  /**
+   * Weekly hours as <dl> rows, Monday first. Consecutive days with the
+   * same hours share a row: "Mon – Fri 09:00–19:00".
+   * @returns {SafeHtml}
+   */
+  markup() {
+    const groups = [];
+    for (let i = 0; i < 7; i++) {
+      const date = new Date(2024, 0, 1 + i); // 1 Jan 2024 was a Monday
+      const hours = hoursOn(this.hours.regular, date).map(({ opens, closes }) => `${opens}–${closes}`).join(', ');
+      const last = groups[groups.length - 1];
+      if (last && last.hours === hours) last.days.push(WEEKDAYS[date.getDay()]);
+      else groups.push({ days: [WEEKDAYS[date.getDay()]], hours });
+    }
 
-    const panelsHtml = data.map((category, i) => {
-      const itemsHtml = category.items.map(item => this.itemTemplate(item)).join('');
-      const hasCategoryDesc = category.description && category.description !== 'n/a';
-      const categoryDescHtml = hasCategoryDesc
-        ? `<p class="services__panel-desc">${escapeHtml(category.description)}</p>` : '';
-      return `
-        <div
-          class="services__panel${i === 0 ? ' services__panel--active' : ''}"
-          role="tabpanel"
-          id="services-panel-${i}"
-          aria-labelledby="services-tab-${i}"
-          ${i !== 0 ? 'hidden' : ''}
-        >
-          ${categoryDescHtml}
-          <div class="services__list">${itemsHtml}</div>
+    return html`${groups.map(({ days, hours }) => {
+      const label = days.length > 1
+        ? `${i18n.formatWeekday(days[0])} – ${i18n.formatWeekday(days[days.length - 1])}`
+        : i18n.formatWeekday(days[0], 'long');
+      return html`
+        <div class="contact__hours-row">
+          <dt>${label}</dt>
+          <dd>${hours || i18n.t('page.contact.closed')}</dd>
         </div>
       `;
-    }).join('');
-
-    const selectOptionsHtml = data.map((category, i) =>
-      `<option value="${i}">${escapeHtml(category.category)}</option>`
-    ).join('');
-
-    this.container.innerHTML = `
-      <div class="services__select-wrapper">
-        <select class="services__select" aria-label="Service categories">
-          ${selectOptionsHtml}
-        </select>
-      </div>
-      <div class="services__tab-bar" role="tablist" aria-label="Service categories">
-        ${tabsHtml}
-      </div>
-      <div class="services__panels">
-        ${panelsHtml}
-      </div>
-    `;
+    })}`;
+  }
 
-    const switchPanel = (idx) => {
-      this.container.querySelectorAll('.services__tab').forEach((t, i) => {
-        const active = i === idx;
-        t.classList.toggle('services__tab--active', active);
-        t.setAttribute('aria-selected', active ? 'true' : 'false');
-      });
-      this.container.querySelectorAll('.services__panel').forEach((p, i) => {
-        const active = i === idx;
-        p.classList.toggle('services__panel--active', active);
-        if (active) p.removeAttribute('hidden');
-        else p.setAttribute('hidden', '');
-      });
-    };
+  /** Update the parts that change with the time of day. */
+  renderLive(now = this.now()) {
+    if (!this.hours) return;
 
-    // Tab bar click (desktop)
-    this.container.querySelector('.services__tab-bar').addEventListener('click', (e) => {
-      const tab = e.target.closest('.services__tab');
-      if (!tab) return;
-      switchPanel(Number(tab.dataset.tab));
+    const { modifier, text } = this.status(now);
+    const statusHtml = html`<span class="hours-status hours-status--${modifier}">${text}</span>`;
+    this.statusElements.forEach((el) => {
+      el.hidden = false;
+      el.innerHTML = statusHtml;
     });
 
-    // Select change (mobile)
-    this.container.querySelector('.services__select').addEventListener('change', (e) => {
-      switchPanel(Number(e.target.value));
+    const closures = this.upcomingClosures(now);
+    const noticeHtml = closures.map((closure) => html`
+      <li class="closure-notice__item closure-notice__item--${closure.type || 'closure'}">${this.closureText(closure, now)}</li>
+    `);
+    this.noticeElements.forEach((el) => {
+      el.hidden = !closures.length;
+      el.innerHTML = closures.length ? html`<ul class="closure-notice__list">${noticeHtml}</ul>` : '';
     });
   }
 
-  /** Generate HTML for a single service item. */
-  itemTemplate(item) {
-    const isPopular = item.isPopular === true;
-    const popularBadge = isPopular ? '<span class="services__item-badge">Popular</span>' : '';
-    const modifierClass = isPopular ? ' services__item--popular' : '';
-    const hasDescription = item.description && item.description !== 'n/a';
-    const hasDuration = item.duration && item.duration !== 'n/a';
-    const descHtml = hasDescription
-      ? `<p class="services__item-desc">${escapeHtml(item.description)}</p>` : '';
-    const durationHtml = hasDuration
-      ? `<span class="services__item-duration">${escapeHtml(item.duration)}</span>` : '';
-
-    return `
-      <div class="services__item${modifierClass}">
-        <div>
-          <div class="services__item-header">
-            <span class="services__item-name">${escapeHtml(item.name)}</span>
-            ${popularBadge}
-          </div>
-          ${descHtml}
-        </div>
-        <div class="services__item-meta">
-          ${durationHtml}
-          <span class="services__item-price">${escapeHtml(String(item.price))} ${escapeHtml(item.currency)}</span>
-        </div>
-      </div>
-    `;
+  /**
+   * "Open now · closes at 19:00", "Closed · opens at 10:00" later today,
+   * or "Closed · opens Monday 09:00".
+   * @param {Date} now — clinic time
+   * @returns {{modifier: 'open'|'closed', text: string}}
+   */
+  status(now) {
+    const next = nextHours(this.hours.regular, now, this.closedDays);
+    if (!next) return { modifier: 'closed', text: i18n.t('hours.status.closed') };
+    if (next.isNow) return { modifier: 'open', text: i18n.t('hours.status.open', { time: next.closes }) };
+    if (toDateKey(next.date) === toDateKey(now)) {
+      return { modifier: 'closed', text: i18n.t('hours.status.opensToday', { time: next.opens }) };
+    }
+
+    // The weekday alone is clear within a week, after a long closure the date is needed
+    const inWeek = next.date - new Date(now.getFullYear(), now.getMonth(), now.getDate()) < 7 * 24 * 60 * 60 * 1000;
+    const day = inWeek
+      ? i18n.formatWeekday(WEEKDAYS[next.date.getDay()], 'long')
+      : i18n.formatDate(next.date, { weekday: 'long', day: 'numeric', month: 'long' });
+    return { modifier: 'closed', text: i18n.t('hours.status.opensOn', { day, time: next.opens }) };
+  }
+
+  /**
+   * Closures going on now or starting within `noticeDays` that fall on at
+   * least one opening day (a holiday on a Sunday changes nothing).
+   * @param {Date} now — clinic time
+   * @returns {Array} closures from hours.json, earliest first
+   */
+  upcomingClosures(now) {
+    const today = toDateKey(now);
+    const horizon = toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + this.options.noticeDays));
+    return this.hours.closures
+      .filter((closure) => (closure.endDate || closure.startDate) >= today && closure.startDate <= horizon)
+      .filter((closure) => closureDays([closure]).some((key) => hoursOn(this.hours.regular, parseDateKey(key)).length))
+      .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  /** "Closed 24–26 Dec 2026: Christmas", "Closed today: …" or "Closed until 26 Dec: …". */
+  closureText(closure, now) {
+    const name = i18n.text(closure.name);
+    const endDate = closure.endDate || closure.startDate;
+    const today = toDateKey(now);
+
+    if (closure.startDate > today) {
+      return i18n.t('hours.closure.upcoming', { dates: i18n.formatDateRange(closure.startDate, closure.endDate), name });
+    }
+    if (endDate === today) return i18n.t('hours.closure.today', { name });
+    return i18n.t('hours.closure.until', { date: i18n.formatDate(endDate, { day: 'numeric', month: 'short' }), name });
   }
 }
 
 
 // =============================================================================
-// TrainingsSection — renders training program cards
+// StructuredData — schema.org JSON-LD built from the loaded data files
 // =============================================================================
-class TrainingsSection {
+class StructuredData {
   /**
    * @param {DataService} dataService — shared data service instance
-   * @param {string} dataUrl — path to trainings.json
-   * @param {string} containerSelector — selector for the trainings container
+   * @param {{services: string, team: string, trainings: string, hours: string}} dataUrls — paths to the JSON files
+   * @param {Object} business — name, url, contact details and address (see CONFIG.business)
    */
-  constructor(dataService, dataUrl, containerSelector) {
+  constructor(dataService, dataUrls, business) {
     this.dataService = dataService;
-    this.dataUrl = dataUrl;
-    this.container = document.querySelector(containerSelector);
+    this.dataUrls = dataUrls;
+    this.business = business;
+    this.data = null;
+    this.script = document.querySelector('script[data-structured-data]');
   }
 
-  /** Load data and render. */
+  /** Load the data and inject the markup. */
   async init() {
-    if (!this.container) return;
+    await this.load();
+    this.render();
+  }
 
-    this.container.innerHTML = '<p class="section__loading">Loading trainings…</p>';
+  /**
+   * Write the markup again (after a language change), loading first when fresher data arrived.
+   * @param {{reload?: boolean}} [options]
+   */
+  async refresh({ reload = false } = {}) {
+    if (reload) await this.load();
+    this.render();
+  }
 
-    const data = await this.dataService.fetch(this.dataUrl);
-    if (!data) {
-      this.container.innerHTML = '<p class="section__error">Training information is currently unavailable. Please try again later.</p>';
-      return;
+  /** Nothing to clean up: the markup stays in <head>. */
+  destroy() {}
+
+  /**
+   * Fetch the data files (again when fresher data arrives).
+   * A file that fails to load is left out of the markup.
+   */
+  async load() {
+    const [services, team, trainings, hours] = await Promise.all([
+      this.dataService.load(this.dataUrls.services, 'services').catch(() => []),
+      this.dataService.load(this.dataUrls.team, 'team').catch(() => []),
+      this.dataService.load(this.dataUrls.trainings, 'trainings').catch(() => []),
+      this.dataService.loadOne(this.dataUrls.hours, 'hours').catch(() => ({ regular: [], closures: [] })),
+    ]);
+    this.data = { services, team, trainings, hours };
+  }
+
+  /** Write the JSON-LD into one script element in <head> (again after a language change). */
+  render() {
+    if (!this.data) return;
+
+    if (!this.script) {
+      this.script = document.createElement('script');
+      this.script.type = 'application/ld+json';
+      this.script.setAttribute('data-structured-data', '');
+      document.head.appendChild(this.script);
     }
+    this.script.textContent = this.serialize();
+  }
 
-    const renderer = new ComponentRenderer(this.container, this.template.bind(this));
-    renderer.render(data);
-    this.attachImageFallbacks();
+  /**
+   * The graph as the text of a JSON-LD script element (also written into
+   * index.html by scripts/prerender.js).
+   * @returns {string}
+   */
+  serialize() {
+    // "<" is escaped so a value can never close the script element
+    return JSON.stringify(this.build(this.data)).replace(/</g, '\\u003c');
   }
 
-  /** Generate HTML for a single training card. */
-  template(training, index) {
-    const levelClass = training.level.toLowerCase().replace(/[^a-z0-9-]/g, '');
-    const levelModifier = levelClass === 'beginner' ? '' : ` trainings__level--${levelClass}`;
+  /**
+   * The whole graph: the clinic with its price list and staff, plus one Course per training.
+   * @param {{services: Array, team: Array, trainings: Array, hours: {regular: Array, closures: Array}}} data
+   * @param {Date} [today] — sessions and closures that have ended are left out
+   * @returns {Object}
+   */
+  build({ services, team, trainings, hours }, today = new Date()) {
+    const { name, url, telephone, email, address } = this.business;
 
-    const includesHtml = training.includes
-      .map(item => `<span class="trainings__includes-item">${escapeHtml(item)}</span>`)
-      .join('');
+    const business = {
+      '@type': 'MedicalBusiness',
+      '@id': `${url}/#business`,
+      name,
+      description: i18n.t('page.description'),
+      url,
+      telephone,
+      email,
+      address: { '@type': 'PostalAddress', ...address },
+      openingHoursSpecification: hours.regular.map((rule) => ({
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: rule.dayOfWeek,
+        opens: rule.opens,
+        closes: rule.closes,
+      })),
+      // Closed all day: schema.org marks it with opens and closes at 00:00
+      specialOpeningHoursSpecification: hours.closures
+        .filter((closure) => (closure.endDate || closure.startDate) >= toDateKey(today))
+        .map((closure) => ({
+          '@type': 'OpeningHoursSpecification',
+          name: i18n.text(closure.name),
+          validFrom: closure.startDate,
+          validThrough: closure.endDate || closure.startDate,
+          opens: '00:00',
+          closes: '00:00',
+        })),
+      hasOfferCatalog: {
+        '@type': 'OfferCatalog',
+        name: i18n.t('page.services.title'),
+        itemListElement: services.map((category) => this.catalogTemplate(category)),
+      },
+      employee: team.map((member) => this.personTemplate(member)),
+    };
 
-    const availabilityHtml = this.availabilityText(training);
+    return {
+      '@context': 'https://schema.org',
+      '@graph': [business, ...trainings.map((training) => this.courseTemplate(training, team, today))],
+    };
+  }
 
-    return `
-      <article class="trainings__card fade-in" style="--stagger-index: ${index}">
-        <div class="trainings__image-wrapper">
-          <img
-            src="${safeUrl(training.image)}"
-            alt="${escapeHtml(training.title)} — professional podology training at JukaMedical"
-            class="trainings__image"
-            loading="lazy"
-          >
-        </div>
-        <div class="trainings__body">
-          <div class="trainings__meta">
-            <span class="trainings__level${levelModifier}">${escapeHtml(training.level)}</span>
-            <span class="trainings__duration-badge">${escapeHtml(training.duration)}</span>
-          </div>
-          <h3 class="trainings__title">${escapeHtml(training.title)}</h3>
-          <p class="trainings__desc">${escapeHtml(training.description)}</p>
-          <div class="trainings__includes">
-            <p class="trainings__includes-label">Includes</p>
-            <div class="trainings__includes-list">${includesHtml}</div>
-          </div>
-          <div class="trainings__footer">
-            <div>
-              <span class="trainings__price">${escapeHtml(String(training.price))}</span>
-              <span class="trainings__price-currency">${escapeHtml(training.currency)}</span>
-            </div>
-            ${availabilityHtml}
-          </div>
-        </div>
-      </article>
-    `;
+  /**
+   * One service category as a nested catalog. Add-ons ("+10") are only sold
+   * with a main treatment, so they are left out.
+   */
+  catalogTemplate(category) {
+    return {
+      '@type': 'OfferCatalog',
+      name: i18n.text(category.category),
+      itemListElement: category.items
+        .filter((item) => !item.price.isAddon)
+        .map((item) => ({
+          ...StructuredData.offer(item.price, item.currency),
+          itemOffered: StructuredData.compact({
+            '@type': 'Service',
+            name: i18n.text(item.name),
+            description: i18n.text(item.description),
+            url: `${this.business.url}/#services/${category.id}/${item.id}`,
+          }),
+        })),
+    };
   }
 
-  /** Build availability text from nextDate and spotsAvailable. */
-  availabilityText(training) {
-    if (!training.nextDate) {
-      return '<span class="trainings__availability trainings__availability--tba">Dates coming soon</span>';
-    }
+  /** A team member as a Person. */
+  personTemplate(member) {
+    const certifications = i18n.text(member.certifications);
 
-    const date = new Date(training.nextDate);
-    const formatted = date.toLocaleDateString('en-GB', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
+    return StructuredData.compact({
+      '@type': 'Person',
+      '@id': `${this.business.url}/#team/${member.id}`,
+      name: member.name,
+      jobTitle: i18n.text(member.role),
+      description: i18n.text(member.bio),
+      image: member.photo ? this.absoluteUrl(member.photo) : null,
+      knowsAbout: i18n.text(member.specialties),
+      sameAs: Object.values(member.socials),
+      hasCredential: certifications.map((certification) => ({
+        '@type': 'EducationalOccupationalCredential',
+        name: certification,
+      })),
+      worksFor: { '@id': `${this.business.url}/#business` },
     });
+  }
 
-    const spots = training.spotsAvailable !== null
-      ? ` · ${training.spotsAvailable} spots left`
-      : '';
+  /** A training as a Course, with one CourseInstance per upcoming session. */
+  courseTemplate(training, team, today) {
+    const { url } = this.business;
+    const todayKey = toDateKey(today);
+    const instructor = team.find((member) => String(member.id) === String(training.instructorId));
+    const sessions = TrainingsSection.withSessionEnds(training).sessions
+      .filter((session) => session.endDate >= todayKey && session.status !== 'cancelled');
 
-    return `<span class="trainings__availability trainings__availability--soon">${formatted}${spots}</span>`;
+    return StructuredData.compact({
+      '@type': 'Course',
+      '@id': `${url}/#trainings/${training.id}`,
+      name: i18n.text(training.title),
+      description: i18n.text(training.description),
+      educationalLevel: training.level,
+      coursePrerequisites: i18n.text(training.prerequisites),
+      image: training.image ? this.absoluteUrl(training.image) : null,
+      provider: { '@id': `${url}/#business` },
+      offers: { ...StructuredData.offer(training.price, training.currency), category: 'Paid' },
+      hasCourseInstance: sessions.map((session) => StructuredData.compact({
+        '@type': 'CourseInstance',
+        courseMode: 'Onsite',
+        startDate: session.startDate,
+        endDate: session.endDate,
+        location: { '@id': `${url}/#business` },
+        instructor: instructor ? { '@id': `${url}/#team/${instructor.id}` } : null,
+        offers: {
+          ...StructuredData.offer(training.price, training.currency),
+          availability: session.status === 'full' || session.spotsAvailable === 0
+            ? 'https://schema.org/SoldOut'
+            : 'https://schema.org/InStock',
+          url: `${url}/#trainings/${training.id}`,
+        },
+      })),
+    });
   }
 
-  /** Replace broken images with a styled placeholder. */
-  attachImageFallbacks() {
-    const images = this.container.querySelectorAll('.trainings__image');
-    images.forEach((img) => {
-      const applyFallback = () => {
-        const placeholder = document.createElement('div');
-        placeholder.className = 'trainings__image-placeholder';
-        placeholder.textContent = 'Training';
-        placeholder.setAttribute('aria-hidden', 'true');
-
-        // Apply a soft gradient background
-        const gradients = [
-          'linear-gradient(135deg, #ddeece, #FAFAF9)',
-          'linear-gradient(135deg, #ffd4d4, #FAFAF9)',
-          'linear-gradient(135deg, #BCD9A2, #ffd4d4)',
-          'linear-gradient(135deg, #F4F3F0, #ddeece)',
-        ];
-        const idx = Math.floor(Math.random() * gradients.length);
-        placeholder.style.background = gradients[idx];
-
-        img.replaceWith(placeholder);
-      };
+  /**
+   * Offer fields for a normalized price (see FIELD_TYPES.price):
+   * a fixed price, or a PriceSpecification for ranges and "up to" prices.
+   * @param {{min: number, max: number, isUpTo: boolean}} price
+   * @param {string} currency
+   * @returns {Object}
+   */
+  static offer(price, currency) {
+    if (price.min === price.max && !price.isUpTo) {
+      return { '@type': 'Offer', price: price.min, priceCurrency: currency };
+    }
+    return {
+      '@type': 'Offer',
+      priceCurrency: currency,
+      priceSpecification: StructuredData.compact({
+        '@type': 'PriceSpecification',
+        minPrice: price.isUpTo ? null : price.min,
+        maxPrice: price.max,
+        priceCurrency: currency,
+      }),
+    };
+  }
 
-      img.addEventListener('error', applyFallback);
+  /** Drop empty properties (null, '' and empty lists) so the markup stays clean. */
+  static compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => (
+      value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && !value.length)
+    )));
+  }
 
-      // Handle race condition: image may have already failed before the listener was attached
-      if (img.complete && img.naturalWidth === 0) {
-        applyFallback();
-      }
-    });
+  /** Turn a relative asset path into an absolute URL on the site. */
+  absoluteUrl(path) {
+    return new URL(path, `${this.business.url}/`).href;
   }
 }
 
 
+// =============================================================================
+// Section registry — the data-driven sections App creates
+// =============================================================================
+/**
+ * App creates a section for every element with a data-section attribute,
+ * e.g. <div data-section="team">, from the entry of that name. Entries are
+ * created in this order, so a section can use one listed before it (the
+ * team's "Book with" links need the booking wizard). Adding a section means
+ * adding its entry here and its container to the markup.
+ *
+ * - label: the section's name in log messages
+ * - data: the data files it shows; it loads them again when one changes
+ * - eager: load at start, where other sections wait until they near the
+ *   viewport (CONFIG.sectionRootMargin) or a deep link points into them
+ * - create(selector, context): the section, rendering into `selector` with
+ *   its own template. `context` holds the shared dataService, dialog, router,
+ *   basket and trainingCalendar, and the `sections` created so far by name
+ * - route: optional handler for deep links to #<name>/…, called with the
+ *   section and the parts of the path
+ * @type {Object<string, {label: string, data: string[], eager?: boolean, create: Function, route?: Function}>}
+ */
+const SECTIONS = {
+  booking: {
+    label: 'Booking',
+    data: [CONFIG.data.services, CONFIG.data.team, CONFIG.data.hours],
+    create: (selector, { dataService }) => new BookingWizard(dataService, CONFIG.data, selector, CONFIG.booking),
+  },
+  team: {
+    label: 'Team',
+    data: [CONFIG.data.team, CONFIG.data.services, CONFIG.data.images],
+    create: (selector, { dataService, dialog, sections }) => new TeamSection(
+      dataService, CONFIG.data.team, selector,
+      { dialog, servicesUrl: CONFIG.data.services, bookingWizard: sections.get('booking'), imagesUrl: CONFIG.data.images }
+    ),
+    route: (section, id) => (id ? section.focusMember(id) : null),
+  },
+  services: {
+    label: 'Services',
+    data: [CONFIG.data.services],
+    create: (selector, { dataService, router, basket }) => new ServicesSection(
+      dataService, CONFIG.data.services, selector, { ...CONFIG.servicesTabs, router, basket }
+    ),
+    route: (section, categoryId, itemId) => section.show(categoryId, itemId),
+  },
+  basket: {
+    label: 'Basket',
+    data: [CONFIG.data.services],
+    eager: true, // hidden while empty, so it would never scroll into view
+    create: (selector, { dataService, basket, sections }) => new BasketSummary(
+      dataService, CONFIG.data.services, selector, basket, { bookingWizard: sections.get('booking') }
+    ),
+  },
+  trainings: {
+    label: 'Trainings',
+    data: [CONFIG.data.trainings, CONFIG.data.team, CONFIG.data.images],
+    create: (selector, { dataService, dialog, trainingCalendar }) => new TrainingsSection(
+      dataService, CONFIG.data.trainings, selector, createAdapter(CONFIG.enrollment),
+      { calendar: trainingCalendar, dialog, teamUrl: CONFIG.data.team, imagesUrl: CONFIG.data.images }
+    ),
+    route: (section, id) => (id ? section.focusCard(id) : null),
+  },
+  search: {
+    label: 'Search',
+    data: [CONFIG.data.services, CONFIG.data.trainings, CONFIG.data.team],
+    create: (selector, { dataService }) => new SiteSearch(dataService, CONFIG.data, selector, CONFIG.search),
+  },
+  contact: {
+    label: 'Contact form',
+    data: [CONFIG.data.services, CONFIG.data.trainings],
+    create: (selector, { dataService }) => new ContactForm(dataService, CONFIG.data, selector, CONFIG.contact),
+  },
+  hours: {
+    label: 'Opening hours',
+    data: [CONFIG.data.hours],
+    eager: true, // the header shows whether the clinic is open now
+    create: (selector, { dataService }) => new OpeningHours(
+      dataService,
+      CONFIG.data.hours,
+      { table: selector, status: CONFIG.selectors.hoursStatus, notice: CONFIG.selectors.closureNotice },
+      { timeZone: CONFIG.business.timeZone, ...CONFIG.hours }
+    ),
+  },
+};
+
+
 // =============================================================================
 // App — bootstraps all components (single entry point)
 // =============================================================================
 class App {
-  constructor() {
-    this.dataService = new DataService();
+  /**
+   * @param {Object} [registry] — the sections the page may contain (see SECTIONS)
+   */
+  constructor(registry = SECTIONS) {
+    this.dataService = new DataService(undefined, { cacheName: CONFIG.offline.cacheName });
+    this.registry = registry;
     this.components = [];
+    this.sections = new Map(); // name → section, for the containers found in the page
+    this.started = new Map(); // name → promise of the section's init()
+    this.sectionObserver = null;
+    this.subscriptions = [];
   }
 
   /** Initialize all components. */
   async init() {
+    this.registerServiceWorker();
+
+    // The chosen colors first, before anything renders
+    theme.init();
+    this.components.push(theme);
+
     // UI components (no data needed)
     const stickyHeader = new StickyHeader(
       CONFIG.selectors.header,
@@ -735,48 +5920,42 @@ class App {
     mobileNav.init();
     this.components.push(mobileNav);
 
+    // Routes are registered once the sections exist (see below)
+    const router = new Router(CONFIG.scrollOffset);
+    this.components.push(router);
+
     const smoothScroll = new SmoothScroll(
       CONFIG.selectors.scrollLinks,
-      CONFIG.scrollOffset
+      CONFIG.scrollOffset,
+      router
     );
     smoothScroll.init();
     this.components.push(smoothScroll);
 
-    // Data-driven sections (loaded in parallel)
-    const teamSection = new TeamSection(
-      this.dataService,
-      CONFIG.data.team,
-      CONFIG.selectors.teamContainer
-    );
+    // Messages are needed before anything renders text
+    await i18n.init(this.dataService);
 
-    const servicesSection = new ServicesSection(
-      this.dataService,
-      CONFIG.data.services,
-      CONFIG.selectors.servicesContainer
-    );
+    const languageSwitcher = new LanguageSwitcher(CONFIG.selectors.langSwitch, i18n);
+    languageSwitcher.init();
+    this.components.push(languageSwitcher);
 
-    const trainingsSection = new TrainingsSection(
-      this.dataService,
-      CONFIG.data.trainings,
-      CONFIG.selectors.trainingsContainer
-    );
+    // Exchange rates, so prices can be shown in the visitor's currency
+    await currencyConverter.init(this.dataService, CONFIG.data.rates);
 
-    // Load all data sections in parallel.
-    // allSettled ensures a single failed section doesn't block the others from rendering.
-    const results = await Promise.allSettled([
-      teamSection.init(),
-      servicesSection.init(),
-      trainingsSection.init(),
-    ]);
+    const currencySwitcher = new CurrencySwitcher(CONFIG.selectors.currencySwitch, currencyConverter);
+    currencySwitcher.init();
+    this.components.push(currencySwitcher);
 
-    const sectionNames = ['Team', 'Services', 'Trainings'];
-    results.forEach((result, i) => {
-      if (result.status === 'rejected') {
-        console.error(`[App] ${sectionNames[i]} section failed to load:`, result.reason);
-      }
-    });
+    const themeSwitcher = new ThemeSwitcher(CONFIG.selectors.themeSwitch, theme);
+    themeSwitcher.init();
+    this.components.push(themeSwitcher);
+
+    // Shared detail dialog for team members and trainings
+    const dialog = new Dialog(CONFIG.selectors.dialog);
+    dialog.init();
+    this.components.push(dialog);
 
-    // Initialize scroll animations after dynamic content is rendered
+    // Scroll animations for the static markup now, and for each section as it renders
     const scrollAnimator = new ScrollAnimator(
       CONFIG.classes.fadeIn,
       CONFIG.classes.fadeInVisible,
@@ -784,6 +5963,142 @@ class App {
     );
     scrollAnimator.init();
     this.components.push(scrollAnimator);
+    this.subscriptions.push(events.on('section:rendered', ({ container }) => scrollAnimator.refresh(container)));
+
+    // Services picked for a combined price estimate (persisted across visits)
+    const basket = new TreatmentBasket(CONFIG.basket.storageKey);
+
+    const trainingCalendar = new TrainingCalendar(
+      CONFIG.selectors.trainingsCalendar,
+      CONFIG.selectors.trainingsViewToggle,
+      CONFIG.selectors.trainingsContainer
+    );
+    trainingCalendar.init();
+    this.components.push(trainingCalendar);
+
+    // Data-driven sections: the eager ones and those in view load in parallel
+    // now, the rest as they are scrolled near. A failed one doesn't block the others.
+    this.createSections({ dataService: this.dataService, dialog, router, basket, trainingCalendar, sections: this.sections });
+    this.observeSections();
+    await Promise.all(this.started.values());
+
+    // Deep links: #services/<categoryId>[/<itemId>], #trainings/<id>, #team/<id>.
+    // A link into a section that has not loaded yet scrolls to the section,
+    // then on to the item once it has loaded.
+    this.sections.forEach((section, name) => {
+      const { route } = this.registry[name];
+      if (!route) return;
+      router.register(name, (...parts) => {
+        if (section.isLoaded) return route(section, ...parts);
+        this.start(name).then(() => {
+          if (section.isLoaded) router.resolve(`#${[name, ...parts.map(encodeURIComponent)].join('/')}`);
+        });
+        return null;
+      });
+    });
+    router.init();
+
+    // schema.org markup needs every data file, whether or not its section has been
+    // scrolled near (crawlers do not scroll), so it loads them once the browser is idle.
+    // Files a section has already loaded come from the DataService cache.
+    const structuredData = new StructuredData(this.dataService, CONFIG.data, CONFIG.business);
+    this.components.push(structuredData);
+    this.subscriptions.push(whenIdle(() => structuredData.init()));
+
+    // Re-render localized content when the language or the price currency changes
+    const refresh = () => {
+      this.sections.forEach((section) => section.refresh());
+      structuredData.refresh();
+      dialog.refresh();
+    };
+    this.subscriptions.push(i18n.subscribe(refresh), currencyConverter.subscribe(refresh));
+
+    // Cached data was shown first: reload the sections showing a file once fresher data arrives
+    this.subscriptions.push(this.dataService.subscribe(({ url, changed }) => {
+      if (!changed) return;
+      this.sections.forEach((section, name) => {
+        if (this.started.has(name) && this.registry[name].data.includes(url)) section.refresh({ reload: true });
+      });
+      structuredData.refresh({ reload: true });
+    }));
+
+    const offlineNotice = new OfflineNotice(CONFIG.selectors.offlineNotice, this.dataService);
+    offlineNotice.init();
+    this.components.push(offlineNotice);
+  }
+
+  /**
+   * Create a section for every data-section container in the page, in
+   * registry order. A container without a registry entry is reported and left as it is.
+   * @param {Object} context — shared components handed to each entry's create()
+   */
+  createSections(context) {
+    const names = new Set([...document.querySelectorAll('[data-section]')].map((el) => el.dataset.section));
+    names.forEach((name) => {
+      if (!this.registry[name]) console.warn(`[App] No section is registered as "${name}"`);
+    });
+
+    Object.entries(this.registry).forEach(([name, entry]) => {
+      if (!names.has(name)) return;
+      const section = entry.create(`[data-section="${name}"]`, context);
+      section.name = name;
+      this.sections.set(name, section);
+    });
+  }
+
+  /**
+   * Start the eager sections now and each of the others once its container
+   * comes within CONFIG.sectionRootMargin of the viewport.
+   */
+  observeSections() {
+    this.sectionObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach(({ isIntersecting, target }) => {
+          if (!isIntersecting) return;
+          this.sectionObserver.unobserve(target);
+          this.start(target.dataset.section);
+        });
+      },
+      { rootMargin: CONFIG.sectionRootMargin }
+    );
+
+    this.sections.forEach((section, name) => {
+      if (this.registry[name].eager) this.start(name);
+      else this.sectionObserver.observe(section.container);
+    });
+  }
+
+  /**
+   * Load a section, once: the same promise is returned on later calls.
+   * @param {string} name — registry name
+   * @returns {Promise<void>} settles when the section has rendered or shown its error
+   */
+  start(name) {
+    if (!this.started.has(name)) {
+      this.started.set(name, this.sections.get(name).init().catch((error) => {
+        console.error(`[App] ${this.registry[name].label} section failed to load:`, error);
+      }));
+    }
+    return this.started.get(name);
+  }
+
+  /** Remove the components' listeners, timers and subscriptions. */
+  destroy() {
+    this.subscriptions.splice(0).forEach((unsubscribe) => unsubscribe());
+    if (this.sectionObserver) this.sectionObserver.disconnect();
+    this.started.clear();
+    this.sections.forEach((section) => section.destroy());
+    this.sections.clear();
+    this.components.forEach((component) => component.destroy());
+    this.components = [];
+  }
+
+  /** Cache the app shell for offline visits (needs http(s), not file://). */
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+    navigator.serviceWorker.register(CONFIG.offline.serviceWorker).catch((error) => {
+      console.warn('[App] Service worker registration failed:', error);
+    });
   }
 }
 
@@ -792,6 +6107,82 @@ class App {
 // Bootstrap — start the application when DOM is ready
 // =============================================================================
 document.addEventListener('DOMContentLoaded', () => {
+  // admin.html reuses these classes and starts its own AdminApp (admin.js)
+  if (document.body.hasAttribute('data-admin')) return;
+
   const app = new App();
   app.init();
 });
+
+
+// =============================================================================
+// Exports — the page loads this file as a plain script; under Node (the test
+// suite in tests/) the same classes are available through require()
+// =============================================================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONFIG,
+    escapeHtml,
+    safeUrl,
+    SafeHtml,
+    html,
+    toMinutes,
+    fromMinutes,
+    toDateKey,
+    parseDateKey,
+    hoursOn,
+    nextHours,
+    closureDays,
+    timeIn,
+    SCHEMAS,
+    isEmptyValue,
+    DataValidator,
+    DataLoadError,
+    NetworkError,
+    TimeoutError,
+    HttpError,
+    ParseError,
+    SchemaError,
+    renderSectionError,
+    DataService,
+    HttpAdapter,
+    LocalStorageAdapter,
+    createAdapter,
+    I18n,
+    i18n,
+    LanguageSwitcher,
+    CurrencyConverter,
+    currencyConverter,
+    CurrencySwitcher,
+    Theme,
+    theme,
+    ThemeSwitcher,
+    OfflineNotice,
+    ComponentRenderer,
+    loadImageManifest,
+    pictureTemplate,
+    revealImages,
+    StickyHeader,
+    MobileNav,
+    SmoothScroll,
+    Router,
+    Dialog,
+    ScrollAnimator,
+    EventBus,
+    events,
+    Section,
+    TeamSection,
+    ServicesSection,
+    TreatmentBasket,
+    BasketSummary,
+    TrainingsSection,
+    TrainingCalendar,
+    SiteSearch,
+    BookingWizard,
+    ContactForm,
+    OpeningHours,
+    StructuredData,
+    SECTIONS,
+    App,
+  };
+}
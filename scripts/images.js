@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * JukaMedical — build responsive variants of the photos
+ *
+ * Takes every local image named in data/team.json (photo) and
+ * data/trainings.json (image) and writes AVIF and WebP copies of it at the
+ * widths in WIDTHS (none wider than the original) under images/generated/,
+ * plus a tiny blurred WebP inlined as a data: URL. The sizes, variants and
+ * placeholders go into data/images.json, from which TeamSection and
+ * TrainingsSection render <picture> elements (see pictureTemplate in script.js).
+ *
+ * Usage: node scripts/images.js   (needs the sharp devDependency)
+ * Variants newer than their original are kept. Run again after adding or
+ * replacing photos, then run scripts/prerender.js.
+ *
+ * The photos are not in the repository, so data/images.json is committed
+ * empty and the pages show plain <img> elements until this has run: make it
+ * part of every deploy, before scripts/prerender.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/** Data files and the field holding each record's image path. */
+const SOURCES = [
+  ['data/team.json', 'photo'],
+  ['data/trainings.json', 'image'],
+];
+
+const MANIFEST = 'data/images.json';
+const OUTPUT_DIR = 'images/generated';
+
+/** Widths offered in the srcsets, in px. */
+const WIDTHS = [320, 640, 960, 1280];
+
+/** Encoder options per format, in the order the <picture> lists them. */
+const FORMATS = {
+  avif: { quality: 50 },
+  webp: { quality: 75 },
+};
+
+const PLACEHOLDER_WIDTH = 16; // px; inlined into the page, so kept tiny
+
+/**
+ * Local image paths named in the data files, each once and sorted.
+ * Remote (http) images are left out: there is nothing to resize.
+ * @param {string} [root] — repository directory
+ * @returns {string[]}
+ */
+function imagePaths(root = ROOT) {
+  const paths = new Set();
+  SOURCES.forEach(([file, field]) => {
+    const records = JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+    records
+      .map((record) => record[field])
+      .filter((src) => typeof src === 'string' && src.trim() && !src.includes(':'))
+      .forEach((src) => paths.add(src.trim()));
+  });
+  return [...paths].sort();
+}
+
+/**
+ * Widths to generate for an image: those in WIDTHS below its own width,
+ * and its own width when that is below the largest.
+ * @param {number} width — of the original
+ * @returns {number[]}
+ */
+function variantWidths(width) {
+  const widths = WIDTHS.filter((w) => w < width);
+  if (width <= WIDTHS[WIDTHS.length - 1]) widths.push(width);
+  return widths;
+}
+
+/**
+ * Where a variant is written: images/team/anna.jpg at 640px as WebP
+ * becomes images/generated/team/anna-640.webp.
+ * @param {string} src — path of the original
+ * @param {number} width
+ * @param {string} format — key of FORMATS
+ * @returns {string}
+ */
+function variantPath(src, width, format) {
+  const { dir, name } = path.posix.parse(src.replace(/^images\//, ''));
+  return path.posix.join(OUTPUT_DIR, dir, `${name}-${width}.${format}`);
+}
+
+/**
+ * The images.json entry for an image (see SCHEMAS.images in script.js).
+ * @param {string} src — path of the original, as given in the data file
+ * @param {{width: number, height: number}} size — of the original
+ * @param {?string} placeholder — data: URL
+ * @returns {Object}
+ */
+function manifestRecord(src, { width, height }, placeholder) {
+  const variants = Object.keys(FORMATS).flatMap((format) => variantWidths(width)
+    .map((w) => ({ id: variantPath(src, w, format), format, width: w })));
+  return { id: src, width, height, placeholder, variants };
+}
+
+/** Whether `output` exists and is not older than `source`. */
+function isUpToDate(source, output) {
+  return fs.existsSync(output) && fs.statSync(output).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Write the missing or outdated variants of one image and build its entry.
+ * @param {Function} sharp
+ * @param {string} src
+ * @returns {Promise<{record: Object, written: number}>}
+ */
+async function buildImage(sharp, src) {
+  const file = path.join(ROOT, src);
+  const metadata = await sharp(file).metadata();
+  // EXIF orientations 5–8 are rotated a quarter turn; rotate() below applies them
+  const turned = metadata.orientation >= 5;
+  const size = turned
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height };
+
+  const placeholder = await sharp(file)
+    .rotate()
+    .resize(PLACEHOLDER_WIDTH)
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+  const record = manifestRecord(src, size, `data:image/webp;base64,${placeholder.toString('base64')}`);
+
+  let written = 0;
+  for (const variant of record.variants) {
+    const output = path.join(ROOT, variant.id);
+    if (isUpToDate(file, output)) continue;
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    const resized = sharp(file).rotate().resize(variant.width);
+    await resized[variant.format](FORMATS[variant.format]).toFile(output);
+    written += 1;
+  }
+  return { record, written };
+}
+
+async function main() {
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch (error) {
+    throw new Error('sharp is not installed — run npm install first', { cause: error });
+  }
+
+  const records = [];
+  for (const src of imagePaths()) {
+    if (!fs.existsSync(path.join(ROOT, src))) {
+      console.warn(`${src}: not found, skipped`);
+      continue;
+    }
+    const { record, written } = await buildImage(sharp, src);
+    records.push(record);
+    console.log(`${src}: ${record.width}×${record.height}, ${written} of ${record.variants.length} variants written`);
+  }
+
+  fs.writeFileSync(path.join(ROOT, MANIFEST), `${JSON.stringify(records, null, 2)}\n`);
+  console.log(`${records.length} images in ${MANIFEST}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { WIDTHS, imagePaths, variantWidths, variantPath, manifestRecord };
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * JukaMedical — pre-render the data sections into index.html
+ *
+ * Runs the TeamSection, ServicesSection and TrainingsSection templates and the
+ * OpeningHours table from script.js against the data files (default language)
+ * and writes the HTML into their containers, so the content is there before any JavaScript runs.
+ * Each container gets a data-prerendered hash of its markup; on load the
+ * client keeps the markup in place when its own render produces the same
+ * HTML (see ComponentRenderer.write) and replaces it otherwise. The training
+ * cards list the sessions still ahead, with their seats and the button label
+ * that follow from them, so their markup is out of date the day after a build:
+ * they get an empty hash and the client always renders them again.
+ * The schema.org JSON-LD from StructuredData goes into <head>, so crawlers
+ * and visitors without JavaScript get it too; the client rewrites it on load.
+ *
+ * Usage: node scripts/prerender.js [page]   (default: index.html)
+ * Run again after editing data/*.json or the section templates, and after
+ * scripts/images.js has updated data/images.json.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/** Sections whose markup depends on the day of the build: written with an empty hash. */
+const DATED_SECTIONS = ['trainings'];
+
+/**
+ * A bare global scope for script.js: no DOM, an empty localStorage and a
+ * fetch() that reads files from the repository.
+ * @returns {Object}
+ */
+function createContext() {
+  const noop = () => {};
+  const element = {
+    dataset: {},
+    classList: { add: noop, remove: noop, contains: () => false },
+    setAttribute: noop,
+    hasAttribute: () => false,
+  };
+
+  const context = {
+    console,
+    setTimeout,
+    clearTimeout,
+    AbortController,
+    URL,
+    document: {
+      documentElement: element,
+      body: element,
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      addEventListener: noop,
+    },
+    localStorage: { getItem: () => null, setItem: noop, removeItem: noop },
+    navigator: { languages: [] },
+    addEventListener: noop,
+    fetch: async (url) => {
+      const file = path.join(ROOT, String(url).split('?')[0]);
+      try {
+        const body = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, text: async () => body };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { ok: false, status: 404, text: async () => '' };
+      }
+    },
+  };
+  context.window = context;
+  return vm.createContext(context);
+}
+
+/**
+ * Load script.js and build the sections the same way App does, plus the JSON-LD.
+ * @returns {Promise<{sections: Object<string, {selector: string, html: string, hash: string}>, structuredData: string}>}
+ */
+async function renderPage() {
+  const context = createContext();
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8'), context, { filename: 'script.js' });
+
+  // Top-level classes and constants are script-scoped, not window properties
+  const app = vm.runInContext(
+    '({ CONFIG, i18n, DataService, ComponentRenderer, Dialog, TeamSection, ServicesSection, TreatmentBasket, TrainingsSection, BookingWizard, OpeningHours, StructuredData, createAdapter })',
+    context
+  );
+  const { CONFIG } = app;
+
+  const dataService = new app.DataService(undefined, { retries: 0 });
+  await app.i18n.init(dataService);
+
+  // A dialog without markup still makes the cards render their "More" buttons,
+  // an (empty) basket the services' Add buttons and a booking wizard the
+  // team's "Book with" links
+  const dialog = new app.Dialog(CONFIG.selectors.dialog);
+  const basket = new app.TreatmentBasket(CONFIG.basket.storageKey);
+  const bookingWizard = new app.BookingWizard(dataService, CONFIG.data, CONFIG.selectors.bookingContainer, CONFIG.booking);
+
+  const sections = {
+    // The cards leave "Available today" empty; the client fills it in for the time of the visit
+    team: [CONFIG.selectors.teamContainer, new app.TeamSection(
+      dataService, CONFIG.data.team, CONFIG.selectors.teamContainer,
+      { dialog, servicesUrl: CONFIG.data.services, bookingWizard, imagesUrl: CONFIG.data.images }
+    )],
+    services: [CONFIG.selectors.servicesContainer, new app.ServicesSection(
+      dataService, CONFIG.data.services, CONFIG.selectors.servicesContainer, { ...CONFIG.servicesTabs, basket }
+    )],
+    trainings: [CONFIG.selectors.trainingsContainer, new app.TrainingsSection(
+      dataService, CONFIG.data.trainings, CONFIG.selectors.trainingsContainer,
+      app.createAdapter(CONFIG.enrollment), { dialog, teamUrl: CONFIG.data.team, imagesUrl: CONFIG.data.images }
+    )],
+    // Only the weekly table: "Open now" and closure notices depend on the day
+    hours: [CONFIG.selectors.hoursTable, new app.OpeningHours(
+      dataService, CONFIG.data.hours,
+      { table: CONFIG.selectors.hoursTable, status: CONFIG.selectors.hoursStatus, notice: CONFIG.selectors.closureNotice },
+      { timeZone: CONFIG.business.timeZone, ...CONFIG.hours }
+    )],
+  };
+
+  const rendered = {};
+  for (const [name, [selector, section]] of Object.entries(sections)) {
+    await section.load();
+    const html = String(section.markup());
+    const hash = DATED_SECTIONS.includes(name) ? '' : app.ComponentRenderer.hash(html);
+    rendered[name] = { selector, html, hash };
+  }
+
+  const structuredData = new app.StructuredData(dataService, CONFIG.data, CONFIG.business);
+  await structuredData.load();
+  return { sections: rendered, structuredData: structuredData.serialize() };
+}
+
+/**
+ * Replace the contents of the element carrying a data attribute
+ * (e.g. '[data-section="team"]' on a <div>, '[data-section="hours"]' on a <dl>)
+ * and stamp it with the markup hash.
+ * @param {string} page — HTML document
+ * @param {string} selector — attribute selector from CONFIG.selectors, with or without a value
+ * @param {string} html — section markup
+ * @param {string} hash
+ * @returns {string}
+ */
+function fillContainer(page, selector, html, hash) {
+  const attribute = selector.slice(1, -1);
+  const [key, value] = attribute.split('=');
+  const pattern = value === undefined ? `${key}\\b` : `${key}=${value}`;
+  const open = new RegExp(`<(\\w+)\\b[^>]*\\s${pattern}[^>]*>`).exec(page);
+  if (!open) throw new Error(`No element with ${attribute} in the page`);
+
+  // Walk nested elements of the same kind to find the container's own closing tag
+  const name = open[1];
+  const start = open.index + open[0].length;
+  const tags = new RegExp(`<${name}\\b[^>]*>|</${name}>`, 'g');
+  tags.lastIndex = start;
+  let depth = 1;
+  let match;
+  while (depth > 0 && (match = tags.exec(page))) {
+    depth += match[0] === `</${name}>` ? -1 : 1;
+  }
+  if (depth > 0) throw new Error(`Unclosed <${name} ${attribute}>`);
+
+  const indent = /[ \t]*$/.exec(page.slice(0, open.index))[0];
+  const tag = open[0]
+    .replace(/\sdata-prerendered="[^"]*"/, '')
+    .replace(/>$/, ` data-prerendered="${hash}">`);
+
+  return page.slice(0, open.index) + tag + html + '\n' + indent + page.slice(match.index);
+}
+
+/**
+ * Put the JSON-LD into a script element at the end of <head>, in place of
+ * the one an earlier run wrote. StructuredData finds it by data-structured-data.
+ * @param {string} page — HTML document
+ * @param {string} json — from StructuredData.serialize()
+ * @returns {string}
+ */
+function fillStructuredData(page, json) {
+  const script = `<script type="application/ld+json" data-structured-data>${json}</script>`;
+  const previous = /<script type="application\/ld\+json" data-structured-data>[\s\S]*?<\/script>/;
+  if (previous.test(page)) return page.replace(previous, () => script);
+
+  const close = /\n([ \t]*)<\/head>/.exec(page);
+  if (!close) throw new Error('No </head> in the page');
+  return `${page.slice(0, close.index)}\n${close[1]}  ${script}${page.slice(close.index)}`;
+}
+
+async function main() {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : path.join(ROOT, 'index.html');
+  let page = fs.readFileSync(file, 'utf8');
+
+  const { sections, structuredData } = await renderPage();
+  for (const [name, { selector, html, hash }] of Object.entries(sections)) {
+    page = fillContainer(page, selector, html, hash);
+    console.log(`${name}: ${html.length} characters${hash ? '' : ', rendered again on load'}`);
+  }
+  page = fillStructuredData(page, structuredData);
+  console.log(`structured data: ${structuredData.length} characters`);
+
+  fs.writeFileSync(file, page);
+  console.log(`Pre-rendered into ${path.relative(ROOT, file)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+/**
+ * JukaMedical — Service Worker
+ *
+ * Precaches the app shell so the site opens without a connection.
+ * Shell files are served stale-while-revalidate: the cached copy at once,
+ * refreshed in the background for the next visit. Data files (data/*.json)
+ * are left to DataService, which keeps its own cache and re-renders the
+ * sections when fresher data arrives.
+ */
+
+// Bump when the list below or the cache keys change; old shell caches are removed on activate
+const SHELL_CACHE = 'jukamedical-shell-v2';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'styles.css',
+  'script.js',
+  'locales/en.json',
+  'locales/pl.json',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith('jukamedical-shell-') && key !== SHELL_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.includes('/data/')) return; // DataService caches these itself
+
+  event.respondWith(staleWhileRevalidate(event));
+});
+
+/**
+ * Answer from the cache when possible and update it from the network.
+ * Pages are stored and matched without their query (?q=…), so search links
+ * work offline and each search does not add another copy of the page.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  const key = request.mode === 'navigate' ? new URL(request.url).pathname : request;
+  const cached = await cache.match(key);
+
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(key, response.clone());
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  return (await network) || Response.error();
+}
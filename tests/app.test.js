@@ -0,0 +1,106 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, startApp } = require('./helpers/environment');
+
+let script;
+
+before(async () => {
+  script = await loadScript();
+  script.CONFIG.fetch.retries = 0; // failures are final, no backoff delays
+});
+
+beforeEach(() => {
+  resetPage();
+});
+
+/** The state of each data section after App.init(). */
+function sectionStates() {
+  const { CONFIG } = script;
+  const state = (selector, itemSelector) => {
+    const container = document.querySelector(selector);
+    if (container.querySelector('.section__error')) return 'error';
+    return container.querySelectorAll(itemSelector).length ? 'rendered' : 'empty';
+  };
+  return {
+    team: state(CONFIG.selectors.teamContainer, '.team__card'),
+    services: state(CONFIG.selectors.servicesContainer, '.services__item'),
+    trainings: state(CONFIG.selectors.trainingsContainer, '.trainings__card'),
+  };
+}
+
+describe('script start', () => {
+  it('drops the no-js class as soon as the script runs, before any data arrives', () => {
+    const page = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    assert.match(page, /<html[^>]* class="no-js"/);
+    assert.equal(document.documentElement.classList.contains('no-js'), false);
+  });
+});
+
+describe('App section failure isolation', () => {
+  it('renders every section when all data loads', async (t) => {
+    stubFetch();
+    const { errors } = await startApp(script, t);
+
+    assert.deepEqual(sectionStates(), { team: 'rendered', services: 'rendered', trainings: 'rendered' });
+    assert.deepEqual(errors, []);
+  });
+
+  it('shows an error in the team section only when team.json fails', async (t) => {
+    const { CONFIG } = script;
+    stubFetch({ [CONFIG.data.team]: 500 });
+    await startApp(script, t);
+
+    assert.deepEqual(sectionStates(), { team: 'error', services: 'rendered', trainings: 'rendered' });
+    const error = document.querySelector(`${CONFIG.selectors.teamContainer} .section__error`);
+    assert.equal(error.getAttribute('role'), 'alert');
+    assert.ok(error.querySelector('[data-section-retry]'));
+  });
+
+  it('keeps the other sections when services.json is not valid JSON', async (t) => {
+    const { CONFIG } = script;
+    stubFetch({ [CONFIG.data.services]: new Response('{ "broken": ', { status: 200 }) });
+    await startApp(script, t);
+
+    assert.deepEqual(sectionStates(), { team: 'rendered', services: 'error', trainings: 'rendered' });
+  });
+
+  it('keeps the other sections when the network drops for trainings.json', async (t) => {
+    const { CONFIG } = script;
+    stubFetch({ [CONFIG.data.trainings]: new TypeError('Failed to fetch') });
+    await startApp(script, t);
+
+    assert.deepEqual(sectionStates(), { team: 'rendered', services: 'rendered', trainings: 'error' });
+    const hint = document.querySelector(`${CONFIG.selectors.trainingsContainer} .section__error-hint`);
+    assert.equal(hint.textContent, script.i18n.t('errors.network'));
+  });
+
+  it('logs a section that throws and still renders the rest', async (t) => {
+    stubFetch();
+    t.mock.method(script.TrainingsSection.prototype, 'init', async () => {
+      throw new Error('boom');
+    });
+    const { errors } = await startApp(script, t);
+
+    const { team, services } = sectionStates();
+    assert.deepEqual({ team, services }, { team: 'rendered', services: 'rendered' });
+    assert.ok(errors.some(([message, reason]) => message.includes('Trainings section failed') && reason.message === 'boom'));
+  });
+
+  it('loads a failed section again from its Retry button', async (t) => {
+    const { CONFIG } = script;
+    stubFetch({ [CONFIG.data.team]: 503 });
+    await startApp(script, t);
+    assert.equal(sectionStates().team, 'error');
+
+    const requests = stubFetch();
+    document.querySelector(`${CONFIG.selectors.teamContainer} [data-section-retry]`).click();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.ok(requests.includes(CONFIG.data.team));
+    assert.equal(sectionStates().team, 'rendered');
+  });
+});
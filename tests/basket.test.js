@@ -0,0 +1,271 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n } = require('./helpers/environment');
+
+let script;
+
+const SERVICES = [
+  {
+    id: 1,
+    category: 'Pedicure',
+    items: [
+      { id: 11, name: 'Medical pedicure', duration: 60, price: 150, currency: 'PLN' },
+      { id: 12, name: 'Nail painting', duration: '15 min', price: '+10', currency: 'PLN' },
+      { id: 13, name: 'Hybrid painting', duration: 30, price: '+40', currency: 'PLN' },
+    ],
+  },
+  {
+    id: 2,
+    category: 'Orthonyxia',
+    items: [
+      { id: 21, name: 'Titanium brace', duration: 45, price: '230/300', currency: 'PLN' },
+      { id: 22, name: 'Check-up', price: '< 50', currency: 'PLN' },
+    ],
+  },
+];
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(() => {
+  resetPage();
+});
+
+/** Validated service categories, as DataService.load() returns them. */
+function categories() {
+  return new script.DataValidator(script.SCHEMAS).validate(SERVICES, 'services').records;
+}
+
+/** A basket holding the given ids. */
+function basketWith(...ids) {
+  const basket = new script.TreatmentBasket(script.CONFIG.basket.storageKey);
+  ids.forEach((id) => basket.add(id));
+  return basket;
+}
+
+describe('TreatmentBasket', () => {
+  it('adds, toggles and removes services', () => {
+    const basket = basketWith(11, 12);
+    assert.deepEqual(basket.ids, ['11', '12']);
+
+    basket.add(11);
+    assert.deepEqual(basket.ids, ['11', '12'], 'no duplicates');
+
+    basket.toggle(12);
+    basket.toggle('21');
+    assert.deepEqual(basket.ids, ['11', '21']);
+    assert.ok(basket.has('11') && basket.has(21));
+
+    basket.clear();
+    assert.deepEqual(basket.ids, []);
+  });
+
+  it('persists in localStorage', () => {
+    basketWith(11, 21);
+    const restored = new script.TreatmentBasket(script.CONFIG.basket.storageKey);
+    assert.deepEqual(restored.ids, ['11', '21']);
+  });
+
+  it('starts empty when storage holds something unreadable', () => {
+    localStorage.setItem(script.CONFIG.basket.storageKey, '{oops');
+    assert.deepEqual(new script.TreatmentBasket(script.CONFIG.basket.storageKey).ids, []);
+  });
+
+  it('notifies subscribers until they unsubscribe', () => {
+    const basket = basketWith();
+    const calls = [];
+    const unsubscribe = basket.subscribe((ids) => calls.push([...ids]));
+    basket.add(11);
+    unsubscribe();
+    basket.add(12);
+    assert.deepEqual(calls, [['11']]);
+  });
+
+  it('resolves ids against services.json and skips ones no longer offered', () => {
+    const items = basketWith(21, 999, 11).items(categories());
+    assert.deepEqual(items.map((item) => [item.id, item.categoryId]), [[21, 2], [11, 1]]);
+  });
+
+  it('adds add-ons to the base price and sums durations', () => {
+    const totals = script.TreatmentBasket.totals(basketWith(11, 12, 13).items(categories()));
+    assert.deepEqual(totals, { prices: [{ currency: 'PLN', min: 200, max: 200 }], duration: 105, isRange: false });
+  });
+
+  it('keeps ranges and "up to" prices as min–max totals', () => {
+    const totals = script.TreatmentBasket.totals(basketWith(11, 21, 22).items(categories()));
+    assert.deepEqual(totals.prices, [{ currency: 'PLN', min: 380, max: 500 }]);
+    assert.equal(totals.isRange, true);
+    assert.equal(totals.duration, 105, 'services without a duration add nothing');
+  });
+
+  it('keeps a total per currency', () => {
+    const items = categories()[0].items.slice(0, 1).concat({ id: 99, price: { min: 20, max: 20 }, currency: 'EUR', duration: null });
+    const { prices } = script.TreatmentBasket.totals(items);
+    assert.deepEqual(prices.map((price) => price.currency), ['PLN', 'EUR']);
+  });
+
+  it('formats totals with the currency', () => {
+    const { formatTotal, totals } = script.TreatmentBasket;
+    const { i18n } = script;
+    assert.equal(formatTotal(totals(basketWith(11, 21).items(categories()))),
+      i18n.formatPrice({ min: 380, max: 450, isAddon: false, isUpTo: false }, 'PLN'));
+  });
+});
+
+describe('ServicesSection basket buttons', () => {
+  async function render(basket) {
+    const { CONFIG, DataService, ServicesSection } = script;
+    stubFetch({ [CONFIG.data.services]: SERVICES });
+    const section = new ServicesSection(new DataService(), CONFIG.data.services, CONFIG.selectors.servicesContainer, { basket });
+    await section.init();
+    return section.container;
+  }
+
+  it('adds a service and updates its button in place', async () => {
+    const basket = basketWith();
+    const container = await render(basket);
+    const button = container.querySelector('[data-basket-toggle="12"]');
+    assert.equal(button.textContent, script.i18n.t('basket.add'));
+    assert.equal(button.getAttribute('aria-label'), script.i18n.t('basket.addLabel', { name: 'Nail painting' }));
+
+    button.click();
+    assert.deepEqual(basket.ids, ['12']);
+    assert.equal(container.querySelector('[data-basket-toggle="12"]'), button, 'not re-rendered');
+    assert.equal(button.textContent, script.i18n.t('basket.remove'));
+    assert.ok(button.classList.contains('services__basket-btn--active'));
+
+    button.click();
+    assert.deepEqual(basket.ids, []);
+  });
+
+  it('shows saved services as already added', async () => {
+    const container = await render(basketWith(21));
+    assert.ok(container.querySelector('[data-basket-toggle="21"]').classList.contains('services__basket-btn--active'));
+    assert.ok(!container.querySelector('[data-basket-toggle="11"]').classList.contains('services__basket-btn--active'));
+  });
+
+  it('has no buttons without a basket', async () => {
+    const container = await render(null);
+    assert.equal(container.querySelectorAll('[data-basket-toggle]').length, 0);
+  });
+});
+
+describe('BasketSummary', () => {
+  let booked;
+
+  async function render(basket) {
+    const { CONFIG, DataService, BasketSummary } = script;
+    stubFetch({ [CONFIG.data.services]: SERVICES });
+    booked = [];
+    const wizard = { preselectItems: (items) => booked.push(items.map((item) => item.id)) };
+    const summary = new BasketSummary(new DataService(), CONFIG.data.services, CONFIG.selectors.basketContainer, basket, { bookingWizard: wizard });
+    await summary.init();
+    return summary.container;
+  }
+
+  it('stays hidden while the basket is empty', async () => {
+    const container = await render(basketWith());
+    assert.equal(container.hidden, true);
+  });
+
+  it('lists the treatments with their total price and time', async () => {
+    const basket = basketWith(11, 13);
+    const container = await render(basket);
+
+    assert.equal(container.hidden, false);
+    assert.equal(container.querySelectorAll('.basket__item').length, 2);
+    const [price, time] = container.querySelectorAll('.basket__total-row dd');
+    assert.equal(price.textContent, script.TreatmentBasket.formatTotal(script.TreatmentBasket.totals(basket.items(categories()))));
+    assert.equal(time.textContent, script.i18n.formatDuration(90));
+    assert.equal(container.querySelector('.basket__note'), null, 'no range or add-on notes');
+  });
+
+  it('follows changes made elsewhere, e.g. from the service list', async () => {
+    const basket = basketWith(11);
+    const container = await render(basket);
+    basket.add(21);
+    assert.equal(container.querySelectorAll('.basket__item').length, 2);
+    assert.ok(container.querySelector('.basket__note'), 'explains the price range');
+  });
+
+  it('warns when only add-ons are chosen', async () => {
+    const container = await render(basketWith(12));
+    assert.ok(container.querySelector('.basket__note--warning'));
+  });
+
+  it('removes items and clears the basket', async () => {
+    const basket = basketWith(11, 12);
+    const container = await render(basket);
+
+    container.querySelector('[data-basket-remove="11"]').click();
+    assert.deepEqual(basket.ids, ['12']);
+    assert.equal(document.activeElement, container.querySelector('.basket__title'));
+
+    container.querySelector('[data-basket-clear]').click();
+    assert.deepEqual(basket.ids, []);
+    assert.equal(container.hidden, true);
+  });
+
+  it('hands the treatments to the booking wizard', async () => {
+    const container = await render(basketWith(12, 11));
+    container.querySelector('[data-basket-book]').click();
+    assert.deepEqual(booked, [[12, 11]]);
+  });
+});
+
+describe('BookingWizard with basket treatments', () => {
+  async function wizard() {
+    const { CONFIG, DataService, BookingWizard } = script;
+    stubFetch({ [CONFIG.data.services]: SERVICES });
+    const booking = new BookingWizard(new DataService(), CONFIG.data, CONFIG.selectors.bookingContainer, CONFIG.booking);
+    await booking.init();
+    return booking;
+  }
+
+  it('books the first main treatment and keeps the rest as extras', async () => {
+    const booking = await wizard();
+    booking.preselectItems(basketWith(12, 21, 11).items(categories()));
+
+    assert.equal(booking.state.serviceId, 21);
+    assert.deepEqual(booking.extras.map((item) => item.id), [12, 11]);
+    assert.equal(booking.state.step, 'member');
+  });
+
+  it('starts at the treatment step when only add-ons were chosen', async () => {
+    const booking = await wizard();
+    booking.preselectItems(basketWith(12).items(categories()));
+
+    assert.equal(booking.state.step, 'service');
+    assert.match(booking.container.textContent, /Nail painting/);
+  });
+
+  it('makes slots long enough for all treatments', async () => {
+    const booking = await wizard();
+    // A Monday, open 09:00–19:00 in data/hours.json
+    const lastSlot = () => booking.availableSlots(new Date(2099, 0, 5)).find((day) => day.key === '2099-01-05').times.pop();
+
+    booking.preselectItems(basketWith(11).items(categories()));
+    assert.equal(lastSlot(), '18:00');
+
+    booking.preselectItems(basketWith(11, 13).items(categories()));
+    assert.equal(lastSlot(), '17:00', '60 + 30 minutes must end by closing time (slots start hourly)');
+  });
+
+  it('sends the extras with the booking', async () => {
+    const booking = await wizard();
+    booking.preselectItems(basketWith(11, 12).items(categories()));
+    Object.assign(booking.state, { date: '2099-01-05', time: '10:00', details: { name: 'Anna', phone: '123' }, step: 'details' });
+    booking.render();
+
+    const summary = booking.container.querySelector('.booking__summary').textContent;
+    assert.match(summary, new RegExp(script.i18n.t('booking.summary.estimate')));
+    await booking.submit(booking.container.querySelector('form'));
+
+    const [saved] = JSON.parse(localStorage.getItem(script.CONFIG.booking.storageKey));
+    assert.deepEqual(saved.extras, [{ id: 12, name: 'Nail painting' }]);
+  });
+});
@@ -0,0 +1,250 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n } = require('./helpers/environment');
+
+let script;
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(() => {
+  resetPage();
+  stubFetch();
+});
+
+/** A rendered contact form, opened long enough ago to pass the time check. */
+async function contactForm(options = {}) {
+  const { CONFIG, DataService, ContactForm } = script;
+  const form = new ContactForm(new DataService(), CONFIG.data, CONFIG.selectors.contactForm, { ...CONFIG.contact, ...options });
+  await form.init();
+  form.startedAt = Date.now() - 60000;
+  return form;
+}
+
+/** Type into a field the way a visitor does. */
+function fill(form, name, value) {
+  const field = form.container.querySelector(`[name="${name}"]`);
+  if (field.type === 'checkbox') field.checked = Boolean(value);
+  else field.value = value;
+  field.dispatchEvent(new Event(field.tagName === 'SELECT' || field.type === 'checkbox' ? 'change' : 'input', { bubbles: true }));
+}
+
+/** Fill in everything an appointment inquiry needs. */
+function fillValid(form) {
+  fill(form, 'name', 'Anna Kowalska');
+  fill(form, 'email', 'anna@example.com');
+  fill(form, 'message', 'Do you treat ingrown toenails?');
+  fill(form, 'consent', true);
+}
+
+async function send(form) {
+  form.container.querySelector('form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+const saved = () => JSON.parse(localStorage.getItem(script.CONFIG.contact.storageKey)) || [];
+
+describe('ContactForm fields', () => {
+  it('asks about an appointment first, with treatments from services.json', async () => {
+    const form = await contactForm();
+    const { container } = form;
+
+    assert.equal(container.querySelector('[name="topic"]').value, 'appointment');
+    const treatments = [...container.querySelectorAll('#inquiry-serviceId option[value]:not([value=""])')];
+    const items = form.categories.flatMap((category) => category.items);
+    assert.ok(treatments.length);
+    assert.ok(treatments.every((option) => !items.find((item) => String(item.id) === option.value).price.isAddon), 'no add-ons');
+    assert.ok(container.querySelector('#inquiry-preferredDate[type="date"]'));
+  });
+
+  it('switches the topic fields and keeps what was typed', async () => {
+    const form = await contactForm();
+    fill(form, 'name', 'Anna');
+
+    fill(form, 'topic', 'training');
+    assert.ok(form.container.querySelector('#inquiry-trainingId[required]'));
+    assert.equal(form.container.querySelector('#inquiry-serviceId'), null);
+
+    fill(form, 'topic', 'other');
+    assert.ok(form.container.querySelector('#inquiry-subject[required]'));
+    assert.equal(form.container.querySelector('[name="name"]').value, 'Anna');
+
+    form.render();
+    assert.equal(form.container.querySelector('[name="name"]').value, 'Anna', 'kept after a re-render');
+  });
+
+  it('asks for the training in free text when trainings.json is missing', async () => {
+    stubFetch({ [script.CONFIG.data.trainings]: 404 });
+    const form = await contactForm();
+    fill(form, 'topic', 'training');
+    assert.ok(form.container.querySelector('#inquiry-subject[required]'));
+  });
+
+  it('has a hidden honeypot field outside the tab order', async () => {
+    const { container } = await contactForm();
+    const trap = container.querySelector('[name="website"]');
+    assert.equal(trap.tabIndex, -1);
+    assert.equal(trap.closest('[aria-hidden="true"]').className, 'inquiry__trap');
+  });
+});
+
+describe('ContactForm validation', () => {
+  it('reports each problem', async () => {
+    const form = await contactForm();
+    const { i18n } = script;
+    const errors = form.validate({ topic: 'other', name: 'A', email: 'anna@', phone: '12', message: 'Hi', subject: ' ' });
+
+    assert.deepEqual(errors, {
+      subject: i18n.t('inquiry.errors.required'),
+      email: i18n.t('inquiry.errors.email'),
+      phone: i18n.t('inquiry.errors.phone'),
+      message: i18n.t('inquiry.errors.tooShort', { count: script.CONFIG.contact.messageMinLength }),
+      consent: i18n.t('inquiry.errors.consent'),
+    });
+    assert.deepEqual(form.validate({ topic: 'other', name: 'A', email: 'a@b.pl', phone: '+48 22 123 45 67', message: 'Hello there!', subject: 'Gift card', consent: 'yes' }), {});
+  });
+
+  it('rejects a preferred date in the past', async () => {
+    const form = await contactForm();
+    assert.ok(form.validate({ topic: 'appointment', preferredDate: '2000-01-01' }).preferredDate);
+    assert.equal(form.validate({ topic: 'appointment', preferredDate: '2999-01-01' }).preferredDate, undefined);
+  });
+
+  it('shows inline errors, linked to their fields, and focuses the first', async () => {
+    const form = await contactForm();
+    fill(form, 'email', 'not-an-email');
+    await send(form);
+
+    const name = form.container.querySelector('[name="name"]');
+    assert.equal(name.getAttribute('aria-invalid'), 'true');
+    assert.equal(document.getElementById(name.getAttribute('aria-describedby')).textContent, script.i18n.t('inquiry.errors.required'));
+    assert.equal(document.activeElement, name);
+    assert.equal(form.container.querySelector('#inquiry-email-error').textContent, script.i18n.t('inquiry.errors.email'));
+    assert.equal(form.container.querySelector('[name="email"]').value, 'not-an-email');
+    assert.deepEqual(saved(), []);
+  });
+
+  it('clears an error as soon as the field is fixed', async () => {
+    const form = await contactForm();
+    await send(form);
+    fill(form, 'name', 'Anna');
+
+    const name = form.container.querySelector('[name="name"]');
+    assert.equal(name.hasAttribute('aria-invalid'), false);
+    assert.equal(form.container.querySelector('#inquiry-name-error'), null);
+    assert.ok(form.container.querySelector('#inquiry-email-error'), 'other errors stay');
+  });
+
+  it('keeps the errors of the other fields when the topic changes, and clears them as they are fixed', async () => {
+    const form = await contactForm();
+    fill(form, 'topic', 'other');
+    await send(form);
+
+    fill(form, 'topic', 'training');
+    assert.equal(form.container.querySelector('#inquiry-trainingId').hasAttribute('aria-invalid'), false, 'a new topic field starts clean');
+    assert.equal(form.container.querySelector('[name="name"]').getAttribute('aria-invalid'), 'true');
+    assert.ok(form.container.querySelector('#inquiry-name-error'));
+
+    fill(form, 'name', 'Anna');
+    assert.equal(form.container.querySelector('[name="name"]').hasAttribute('aria-invalid'), false);
+    assert.equal(form.container.querySelector('#inquiry-name-error'), null);
+  });
+});
+
+describe('ContactForm spam checks', () => {
+  it('pretends to send when the honeypot is filled in', async () => {
+    const form = await contactForm();
+    fillValid(form);
+    form.container.querySelector('[name="website"]').value = 'http://spam.example';
+    await send(form);
+
+    assert.ok(form.container.querySelector('.inquiry__done'));
+    assert.deepEqual(saved(), []);
+  });
+
+  it('asks to send again when the form was sent too fast', async () => {
+    const form = await contactForm();
+    form.startedAt = Date.now();
+    fillValid(form);
+    await send(form);
+
+    assert.equal(form.container.querySelector('.inquiry__alert').textContent, script.i18n.t('inquiry.errors.tooFast'));
+    assert.equal(form.container.querySelector('[name="message"]').value, 'Do you treat ingrown toenails?');
+    assert.deepEqual(saved(), []);
+  });
+
+  it('times the form from when it is shown, not from when the page loaded', async (t) => {
+    const { CONFIG, DataService, ContactForm } = script;
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const form = new ContactForm(new DataService(), CONFIG.data, CONFIG.selectors.contactForm, CONFIG.contact);
+
+    now += 60000; // the visitor reads the page before scrolling down to the form
+    await form.init();
+    fillValid(form);
+    await send(form);
+
+    assert.equal(form.container.querySelector('.inquiry__alert').textContent, script.i18n.t('inquiry.errors.tooFast'));
+    assert.deepEqual(saved(), []);
+  });
+});
+
+describe('ContactForm submission', () => {
+  it('sends the topic fields with the contact details', async () => {
+    const form = await contactForm();
+    const item = form.categories[0].items.find((i) => !i.price.isAddon);
+    fillValid(form);
+    fill(form, 'serviceId', String(item.id));
+    fill(form, 'preferredDate', '2999-01-05');
+    await send(form);
+
+    const [inquiry] = saved();
+    assert.equal(inquiry.type, 'inquiry');
+    assert.equal(inquiry.topic, 'appointment');
+    assert.equal(inquiry.serviceId, item.id);
+    assert.equal(inquiry.serviceName, script.i18n.text(item.name, script.CONFIG.i18n.defaultLocale));
+    assert.equal(inquiry.preferredDate, '2999-01-05');
+    assert.deepEqual([inquiry.name, inquiry.email, inquiry.phone, inquiry.consent], ['Anna Kowalska', 'anna@example.com', null, true]);
+    assert.equal(inquiry.website, undefined, 'the honeypot is not sent');
+  });
+
+  it('confirms, then starts a fresh form', async () => {
+    const form = await contactForm();
+    fillValid(form);
+    await send(form);
+
+    const done = form.container.querySelector('.inquiry__done');
+    assert.equal(done.getAttribute('role'), 'status');
+    assert.equal(document.activeElement, done.querySelector('.inquiry__title'));
+    assert.match(done.textContent, /anna@example\.com/);
+
+    done.querySelector('[data-inquiry-restart]').click();
+    assert.equal(form.container.querySelector('[name="name"]').value, '');
+  });
+
+  it('disables the button while sending and keeps the message when sending fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const form = await contactForm({ mode: 'remote' });
+    let respond;
+    global.fetch = () => new Promise((resolve) => { respond = resolve; });
+    fillValid(form);
+    const sending = send(form);
+
+    const button = form.container.querySelector('[type="submit"]');
+    assert.equal(button.disabled, true);
+    assert.equal(button.textContent, script.i18n.t('inquiry.sending'));
+
+    respond(new Response('', { status: 500 }));
+    await sending;
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.equal(form.container.querySelector('.inquiry__alert[role="alert"]').textContent,
+      script.i18n.t('inquiry.error', { email: script.CONFIG.business.email }));
+    assert.equal(form.container.querySelector('[name="message"]').value, 'Do you treat ingrown toenails?');
+    assert.equal(form.container.querySelector('[type="submit"]').disabled, false);
+  });
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n } = require('./helpers/environment');
+
+let script;
+let converter;
+
+const RATES = [{ id: 'PLN', rate: 4 }, { id: 'USD', rate: 1.1 }];
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+  converter = script.currencyConverter;
+});
+
+beforeEach(async () => {
+  resetPage();
+  stubFetch({ [script.CONFIG.data.rates]: RATES });
+  await converter.init(new script.DataService(), script.CONFIG.data.rates);
+});
+
+/** A normalized price, as DataValidator returns it. */
+function price(value) {
+  const [item] = new script.DataValidator(script.SCHEMAS)
+    .validate([{ id: 1, name: 'Item', price: value, currency: 'PLN' }], 'serviceItem').records;
+  return item.price;
+}
+
+describe('rates.json', () => {
+  it('is valid', async () => {
+    stubFetch();
+    const records = await new script.DataService().load(script.CONFIG.data.rates, 'rates');
+    assert.ok(records.length > 1);
+    assert.ok(records.some((record) => record.id === script.CONFIG.currency.base && record.rate === 1));
+  });
+
+  it('drops rates that are not positive numbers', () => {
+    const { records, warnings } = new script.DataValidator(script.SCHEMAS)
+      .validate([{ id: 'pln', rate: '4.27' }, { id: 'USD', rate: 0 }, { id: 'GBP', rate: 'n/a' }], 'rates');
+    assert.deepEqual(records, [{ id: 'PLN', rate: 4.27 }]);
+    assert.ok(warnings.some((warning) => warning.field === 'rate' && /positive number/.test(warning.message)));
+  });
+});
+
+describe('CurrencyConverter', () => {
+  it('shows prices as listed until a currency is chosen', () => {
+    assert.equal(converter.currency, null);
+    assert.deepEqual(converter.currencies, ['EUR', 'PLN', 'USD']);
+    assert.equal(converter.convertPrice(price(100), 'PLN').isConverted, false);
+  });
+
+  it('converts through the base currency and rounds to whole units', () => {
+    converter.setCurrency('USD');
+    const { price: shown, currency, isConverted } = converter.convertPrice(price(150), 'PLN');
+    assert.deepEqual({ min: shown.min, max: shown.max, currency, isConverted }, { min: 41, max: 41, currency: 'USD', isConverted: true });
+  });
+
+  it('keeps ranges, add-ons and "up to" prices', () => {
+    converter.setCurrency('EUR');
+    assert.deepEqual(converter.convertPrice(price('230/300'), 'PLN').price, { min: 58, max: 75, isAddon: false, isUpTo: false });
+    assert.equal(converter.convertPrice(price('+10'), 'PLN').price.isAddon, true);
+    assert.equal(converter.format(price('< 50'), 'PLN'), `≈ ${script.i18n.t('price.upTo', { amount: script.i18n.formatCurrency(13, 'EUR') })}`);
+  });
+
+  it('leaves prices without a rate, or already in the currency, as listed', () => {
+    converter.setCurrency('PLN');
+    assert.equal(converter.convertPrice(price(100), 'PLN').isConverted, false);
+    assert.equal(converter.convertPrice(price(100), 'CZK').isConverted, false);
+  });
+
+  it('remembers the choice and ignores currencies without a rate', async () => {
+    converter.setCurrency('USD');
+    await converter.init(new script.DataService(), script.CONFIG.data.rates);
+    assert.equal(converter.currency, 'USD');
+
+    converter.setCurrency('XYZ');
+    assert.equal(converter.currency, null);
+    assert.equal(localStorage.getItem(script.CONFIG.currency.storageKey), null);
+  });
+
+  it('shows prices as listed when rates.json cannot be loaded', async () => {
+    localStorage.setItem(script.CONFIG.currency.storageKey, 'USD');
+    stubFetch({ [script.CONFIG.data.rates]: 404 });
+    await converter.init(new script.DataService(), script.CONFIG.data.rates);
+
+    assert.equal(converter.currency, null);
+    assert.deepEqual(converter.currencies, []);
+  });
+
+  it('keeps the listed price in a tooltip and for screen readers', () => {
+    converter.setCurrency('EUR');
+    const div = document.createElement('div');
+    div.innerHTML = converter.html(price(100), 'PLN');
+
+    const listed = script.i18n.t('price.listed', { amount: script.i18n.formatPrice(price(100), 'PLN') });
+    assert.equal(div.querySelector('.price--converted').textContent, `≈ ${script.i18n.formatCurrency(25, 'EUR')}`);
+    assert.equal(div.querySelector('.price--converted').title, listed);
+    assert.equal(div.querySelector('.sr-only').textContent, ` (${listed})`);
+  });
+
+  it('gives plain text for prices shown as listed', () => {
+    assert.equal(String(converter.html(price(100), 'PLN')), script.escapeHtml(script.i18n.formatPrice(price(100), 'PLN')));
+  });
+});
+
+describe('converted prices in the sections', () => {
+  it('shows services and trainings in the chosen currency', async () => {
+    const { CONFIG, DataService, ServicesSection, TrainingsSection, createAdapter } = script;
+    converter.setCurrency('USD');
+    stubFetch({ [CONFIG.data.rates]: RATES });
+
+    const services = new ServicesSection(new DataService(), CONFIG.data.services, CONFIG.selectors.servicesContainer);
+    const trainings = new TrainingsSection(new DataService(), CONFIG.data.trainings, CONFIG.selectors.trainingsContainer, createAdapter(CONFIG.enrollment));
+    await Promise.all([services.init(), trainings.init()]);
+
+    [...services.container.querySelectorAll('.services__item-price'), ...trainings.container.querySelectorAll('.trainings__price')]
+      .forEach((el) => {
+        assert.ok(el.querySelector('.price--converted'), el.textContent);
+        assert.match(el.textContent, /^≈ [^(]*US\$/);
+      });
+  });
+
+  it('adds up basket totals in one currency', () => {
+    const { formatTotal } = script.TreatmentBasket;
+    const totals = { prices: [{ currency: 'PLN', min: 400, max: 400 }, { currency: 'EUR', min: 10, max: 20 }] };
+
+    assert.equal(formatTotal(totals, { convert: true }).includes('+'), true, 'as listed, one amount per currency');
+    converter.setCurrency('EUR');
+    assert.equal(formatTotal(totals, { convert: true }), `≈ ${script.i18n.formatPrice({ min: 110, max: 120 }, 'EUR')}`);
+    assert.equal(formatTotal(totals), `${script.i18n.formatPrice({ min: 400, max: 400 }, 'PLN')} + ${script.i18n.formatPrice({ min: 10, max: 20 }, 'EUR')}`);
+  });
+});
+
+describe('CurrencySwitcher', () => {
+  it('offers the listed prices and every currency with a rate', () => {
+    const { CONFIG, CurrencySwitcher } = script;
+    const switcher = new CurrencySwitcher(CONFIG.selectors.currencySwitch, converter);
+    switcher.init();
+
+    const select = switcher.container.querySelector('select');
+    assert.equal(switcher.container.hidden, false);
+    assert.equal(select.getAttribute('aria-label'), script.i18n.t('currency.label'));
+    assert.deepEqual([...select.options].map((option) => option.value), ['', 'EUR', 'PLN', 'USD']);
+    assert.equal(select.value, '');
+    switcher.destroy();
+  });
+
+  it('switches the currency and tells the sections', () => {
+    const { CONFIG, CurrencySwitcher } = script;
+    const switcher = new CurrencySwitcher(CONFIG.selectors.currencySwitch, converter);
+    switcher.init();
+    const changes = [];
+    const unsubscribe = converter.subscribe((currency) => changes.push(currency));
+
+    const select = switcher.container.querySelector('select');
+    select.value = 'PLN';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    select.value = '';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+
+    assert.deepEqual(changes, ['PLN', null]);
+    assert.equal(switcher.container.querySelector('select'), select, 'kept, so focus stays on it');
+    unsubscribe();
+    switcher.destroy();
+  });
+
+  it('stays hidden without rates', async () => {
+    const { CONFIG, CurrencySwitcher } = script;
+    stubFetch({ [CONFIG.data.rates]: 500 });
+    await converter.init(new script.DataService(undefined, { retries: 0 }), CONFIG.data.rates);
+
+    const switcher = new CurrencySwitcher(CONFIG.selectors.currencySwitch, converter);
+    switcher.init();
+    assert.equal(switcher.container.hidden, true);
+    switcher.destroy();
+  });
+});
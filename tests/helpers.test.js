@@ -0,0 +1,108 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/environment');
+
+let escapeHtml, safeUrl, html, isEmptyValue, DataValidator, SCHEMAS;
+
+before(async () => {
+  ({ escapeHtml, safeUrl, html, isEmptyValue, DataValidator, SCHEMAS } = await loadScript());
+});
+
+describe('escapeHtml', () => {
+  it('escapes the five HTML-significant characters', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  });
+
+  it('escapes ampersands first, so entities are not double-decoded', () => {
+    assert.equal(escapeHtml('&lt;'), '&amp;lt;');
+  });
+
+  it('stringifies non-string values', () => {
+    assert.equal(escapeHtml(42), '42');
+    assert.equal(escapeHtml(null), 'null');
+  });
+});
+
+describe('safeUrl', () => {
+  it('keeps http(s) URLs and trims them', () => {
+    assert.equal(safeUrl('  https://example.com/a?b=1 '), 'https://example.com/a?b=1');
+    assert.equal(safeUrl('http://example.com'), 'http://example.com');
+  });
+
+  it('keeps relative paths', () => {
+    assert.equal(safeUrl('images/team/photo.jpg'), 'images/team/photo.jpg');
+    assert.equal(safeUrl('#team'), '#team');
+  });
+
+  it('drops other protocols', () => {
+    ['javascript:alert(1)', ' JavaScript:alert(1)', 'data:text/html,<script>', 'vbscript:x', 'mailto:a@b.c'].forEach((url) => {
+      assert.equal(safeUrl(url), '', url);
+    });
+  });
+
+  it('drops non-strings', () => {
+    [null, undefined, 42, {}].forEach((url) => assert.equal(safeUrl(url), ''));
+  });
+});
+
+describe('html', () => {
+  it('escapes interpolated values', () => {
+    const name = `<b onclick="x">Ann & 'Bo'</b>`;
+    assert.equal(String(html`<p title="${name}">${name}</p>`), `<p title="${escapeHtml(name)}">${escapeHtml(name)}</p>`);
+    assert.equal(String(html`<span>${42}</span>`), '<span>42</span>');
+  });
+
+  it('inserts nested templates and arrays of them as markup', () => {
+    const items = ['a', '<b>'].map((item) => html`<li>${item}</li>`);
+    assert.equal(String(html`<ul>${items}</ul>`), '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+  });
+
+  it('leaves out null, undefined and false, so conditions can be inlined', () => {
+    assert.equal(String(html`<p>${null}${undefined}${false}${0 > 1 && html`<b>no</b>`}</p>`), '<p></p>');
+    assert.equal(String(html`<p>${0}</p>`), '<p>0</p>');
+  });
+
+  it('inserts html.raw() markup as it is', () => {
+    assert.equal(String(html`<i>${html.raw('<svg></svg>')}</i>`), '<i><svg></svg></i>');
+  });
+
+  it('drops unsafe URLs and escapes the rest with html.url()', () => {
+    assert.equal(String(html`<a href="${html.url('javascript:alert(1)')}">x</a>`), '<a href="">x</a>');
+    assert.equal(String(html`<img src="${html.url('a.jpg" onerror="x')}">`), '<img src="a.jpg&quot; onerror=&quot;x">');
+  });
+});
+
+describe('"n/a" and other empty values', () => {
+  it('treats n/a, na, dashes and blanks as empty', () => {
+    ['', '  ', 'n/a', 'N/A', ' na ', '-', '—', null, undefined].forEach((value) => {
+      assert.equal(isEmptyValue(value), true, String(value));
+    });
+    ['0', 'none', 'nan'].forEach((value) => assert.equal(isEmptyValue(value), false, value));
+  });
+
+  it('leaves empty optional fields out without a warning', () => {
+    const validator = new DataValidator(SCHEMAS);
+    const { records, warnings } = validator.validate([{
+      id: 1,
+      category: 'Podology',
+      description: 'n/a',
+      items: [{ id: 101, name: 'Consultation', description: 'N/A', duration: 'n/a', price: 150, currency: 'PLN', isPopular: 'n/a' }],
+    }], 'services');
+
+    assert.deepEqual(warnings, []);
+    assert.equal(records[0].description, null);
+    assert.equal(records[0].items[0].description, null);
+    assert.equal(records[0].items[0].duration, null);
+    assert.equal(records[0].items[0].isPopular, false);
+  });
+
+  it('skips records whose required field is n/a and reports it', () => {
+    const validator = new DataValidator(SCHEMAS);
+    const { records, warnings } = validator.validate([{ id: 1, name: 'n/a', role: 'Podologist' }], 'team');
+
+    assert.equal(records.length, 0);
+    assert.ok(warnings.some((w) => w.field === 'name' && w.message === 'required field is missing'));
+  });
+});
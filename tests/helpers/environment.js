@@ -0,0 +1,133 @@
+/**
+ * JukaMedical — test environment
+ *
+ * script.js is written for the browser: it reads `document`, `window`,
+ * `localStorage` and `fetch` as globals. loadScript() puts index.html into
+ * a jsdom window, exposes that window's globals to Node and requires the
+ * script, which exports its classes when `module` exists (see the end of
+ * script.js). The network is replaced by stubFetch().
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const PAGE = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+/** Browser globals script.js uses, copied from the jsdom window. */
+const GLOBALS = ['window', 'document', 'navigator', 'localStorage', 'location', 'history', 'FormData', 'Event', 'KeyboardEvent', 'HTMLElement'];
+
+let dom = null;
+
+/**
+ * Create the page and require script.js (once per test file — node --test
+ * runs every file in its own process). The script is required after the
+ * page has loaded, so its DOMContentLoaded bootstrap does not start an App.
+ * @returns {Promise<Object>} the script's exports
+ */
+async function loadScript() {
+  if (!dom) {
+    dom = new JSDOM(PAGE, { url: 'http://localhost/', pretendToBeVisual: true });
+    const { window } = dom;
+
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = function scrollIntoView() {};
+    window.IntersectionObserver = class {
+      constructor(callback) { this.callback = callback; }
+      observe(target) { this.callback([{ isIntersecting: true, target }], this); }
+      unobserve() {}
+      disconnect() {}
+    };
+
+    GLOBALS.forEach((name) => {
+      Object.defineProperty(global, name, { value: window[name], configurable: true, writable: true });
+    });
+    global.IntersectionObserver = window.IntersectionObserver;
+
+    if (document.readyState === 'loading') {
+      await new Promise((resolve) => document.addEventListener('DOMContentLoaded', resolve));
+    }
+  }
+  return require(path.join(ROOT, 'script.js'));
+}
+
+/** Put the original index.html body back and clear storage between tests. */
+function resetPage() {
+  const fresh = new JSDOM(PAGE);
+  document.body.innerHTML = fresh.window.document.body.innerHTML;
+  document.head.querySelectorAll('[data-structured-data]').forEach((el) => el.remove());
+  localStorage.clear();
+}
+
+/**
+ * Replace global fetch with one that serves files from the repository.
+ * `routes` override single URLs: a Response is returned as it is, a number
+ * is an HTTP status, an Error rejects like a dropped connection and any
+ * other value is served as JSON.
+ * @param {Object<string, any>} [routes]
+ * @returns {string[]} the requested URLs, in order
+ */
+function stubFetch(routes = {}) {
+  const requests = [];
+  global.fetch = async (url) => {
+    requests.push(url);
+    const route = routes[url];
+    if (route instanceof Response) return route;
+    if (route instanceof Error) throw route;
+    if (typeof route === 'number') return new Response('', { status: route });
+    if (route !== undefined) return new Response(JSON.stringify(route), { status: 200 });
+
+    const file = path.join(ROOT, url);
+    if (!fs.existsSync(file)) return new Response('', { status: 404 });
+    return new Response(fs.readFileSync(file, 'utf8'), { status: 200 });
+  };
+  return requests;
+}
+
+/**
+ * Load the English catalog so templates render real texts.
+ * @param {Object} script — exports of script.js
+ */
+async function initI18n(script) {
+  stubFetch();
+  localStorage.setItem(script.CONFIG.i18n.storageKey, 'en');
+  await script.i18n.init(new script.DataService());
+}
+
+/**
+ * Start an App with the console quiet; it is destroyed when the test ends.
+ * @param {Object} script — exports of script.js
+ * @param {TestContext} t — the running test
+ * @returns {Promise<{app: Object, warnings: Array[], errors: Array[]}>} the App and what it logged
+ */
+async function startApp(script, t) {
+  const warnings = [];
+  const errors = [];
+  t.mock.method(console, 'warn', (...args) => warnings.push(args));
+  t.mock.method(console, 'error', (...args) => errors.push(args));
+  t.mock.method(console, 'groupCollapsed', () => {});
+  t.mock.method(console, 'table', () => {});
+  t.mock.method(console, 'groupEnd', () => {});
+
+  const app = new script.App();
+  t.after(() => app.destroy());
+  await app.init();
+  return { app, warnings, errors };
+}
+
+/** Parse markup into a detached container. */
+function fragment(markup) {
+  const container = document.createElement('div');
+  container.innerHTML = markup;
+  return container;
+}
+
+/** Read a data file from data/. */
+function readData(name) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'data', `${name}.json`), 'utf8'));
+}
+
+module.exports = { loadScript, resetPage, stubFetch, initI18n, startApp, fragment, readData };
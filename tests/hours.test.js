@@ -0,0 +1,235 @@
+'use strict';
+
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n } = require('./helpers/environment');
+
+let script;
+
+// Weekdays 09:00–19:00, Saturday 10:00–15:00
+const HOURS = {
+  regular: [
+    { id: 'weekdays', dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'], opens: '09:00', closes: '19:00' },
+    { id: 'saturday', dayOfWeek: 'Saturday', opens: '10:00', closes: '15:00' },
+  ],
+  closures: [
+    { id: 'sunday', startDate: '2099-01-11', name: 'Sunday holiday', type: 'holiday' },
+    { id: 'inventory', startDate: '2099-01-14', name: { en: 'Inventory', pl: 'Inwentaryzacja' }, type: 'closure' },
+    { id: 'winter', startDate: '2099-01-19', endDate: '2099-01-30', name: 'Winter break', type: 'holiday' },
+    { id: 'past', startDate: '2098-12-24', endDate: '2098-12-26', name: 'Christmas', type: 'holiday' },
+  ],
+};
+
+// 5 January 2099 is a Monday
+const monday = (time = '00:00') => new Date(`2099-01-05T${time}`);
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(() => {
+  resetPage();
+});
+
+/** OpeningHours on the page, with HOURS loaded (not yet rendered). */
+async function openingHours(hours = HOURS) {
+  const { CONFIG, DataService, OpeningHours } = script;
+  stubFetch({ [CONFIG.data.hours]: hours });
+  const section = new OpeningHours(
+    new DataService(),
+    CONFIG.data.hours,
+    { table: CONFIG.selectors.hoursTable, status: CONFIG.selectors.hoursStatus, notice: CONFIG.selectors.closureNotice },
+    { timeZone: CONFIG.business.timeZone, ...CONFIG.hours }
+  );
+  await section.load();
+  return section;
+}
+
+describe('hours.json', () => {
+  it('is valid', async () => {
+    stubFetch();
+    const dataService = new script.DataService();
+    const hours = await dataService.loadOne(script.CONFIG.data.hours, 'hours');
+
+    assert.ok(hours.regular.length);
+    assert.ok(hours.closures.every((closure) => closure.name.en && closure.name.pl));
+    assert.deepEqual(dataService.warnings.get(script.CONFIG.data.hours), []);
+  });
+
+  it('is rejected when it is not a single object', async () => {
+    stubFetch({ [script.CONFIG.data.hours]: [HOURS] });
+    await assert.rejects(new script.DataService().loadOne(script.CONFIG.data.hours, 'hours'), script.SchemaError);
+  });
+
+  it('drops closures without a date or a name', () => {
+    const { record, warnings } = new script.DataValidator(script.SCHEMAS).validateOne({
+      regular: HOURS.regular,
+      closures: [{ id: 1, startDate: 'soon', name: 'Break' }, { id: 2, startDate: '2099-01-14' }, ...HOURS.closures],
+    }, 'hours');
+
+    assert.equal(record.closures.length, HOURS.closures.length);
+    assert.ok(warnings.some((warning) => warning.field === 'startDate'));
+    assert.ok(warnings.some((warning) => warning.field === 'name'));
+  });
+});
+
+describe('closureDays and timeIn', () => {
+  it('list every day of a closure', () => {
+    assert.deepEqual(script.closureDays([
+      { startDate: '2099-12-30', endDate: '2100-01-02' },
+      { startDate: '2099-01-14', endDate: null },
+    ]), ['2099-12-30', '2099-12-31', '2100-01-01', '2100-01-02', '2099-01-14']);
+  });
+
+  it('give the wall-clock time in the clinic, summer time included', () => {
+    const winter = script.timeIn('Europe/Warsaw', new Date('2099-01-05T08:30:00Z'));
+    const summer = script.timeIn('Europe/Warsaw', new Date('2099-07-06T22:30:00Z'));
+
+    assert.deepEqual([script.toDateKey(winter), winter.getHours(), winter.getMinutes()], ['2099-01-05', 9, 30]);
+    assert.deepEqual([script.toDateKey(summer), summer.getHours()], ['2099-07-07', 0]);
+  });
+});
+
+describe('OpeningHours', () => {
+  let section;
+
+  afterEach(() => {
+    if (section) section.destroy();
+  });
+
+  it('lists the week with days of equal hours joined', async () => {
+    section = await openingHours();
+    section.render();
+    const { i18n } = script;
+
+    const rows = [...section.table.querySelectorAll('.contact__hours-row')].map((row) => row.textContent.replace(/\s+/g, ' ').trim());
+    assert.deepEqual(rows, [
+      `${i18n.formatWeekday('Monday')} – ${i18n.formatWeekday('Friday')} 09:00–19:00`,
+      `${i18n.formatWeekday('Saturday', 'long')} 10:00–15:00`,
+      `${i18n.formatWeekday('Sunday', 'long')} ${i18n.t('page.contact.closed')}`,
+    ]);
+  });
+
+  it('says it is open and when it closes', async () => {
+    section = await openingHours();
+    assert.deepEqual(section.status(monday('12:00')), { modifier: 'open', text: script.i18n.t('hours.status.open', { time: '19:00' }) });
+  });
+
+  it('says when it opens later today or on another day', async () => {
+    section = await openingHours();
+    const { i18n } = script;
+
+    assert.equal(section.status(monday('07:45')).text, i18n.t('hours.status.opensToday', { time: '09:00' }));
+    assert.equal(section.status(new Date(2099, 0, 10, 16, 0)).text,
+      i18n.t('hours.status.opensOn', { day: i18n.formatWeekday('Monday', 'long'), time: '09:00' }), 'Saturday after closing');
+  });
+
+  it('stays closed on closure days and gives the date after a long one', async () => {
+    section = await openingHours();
+    const { i18n } = script;
+
+    const beforeInventory = section.status(new Date(2099, 0, 13, 20, 0));
+    assert.equal(beforeInventory.text, i18n.t('hours.status.opensOn', { day: i18n.formatWeekday('Thursday', 'long'), time: '09:00' }));
+
+    const winterBreak = section.status(new Date(2099, 0, 20, 12, 0));
+    assert.equal(winterBreak.modifier, 'closed');
+    assert.equal(winterBreak.text, i18n.t('hours.status.opensOn', {
+      day: i18n.formatDate(new Date(2099, 0, 31), { weekday: 'long', day: 'numeric', month: 'long' }),
+      time: '10:00',
+    }));
+  });
+
+  it('announces closures ahead of time, unless they fall on closed days', async () => {
+    section = await openingHours();
+    const ids = (now) => section.upcomingClosures(now).map((closure) => closure.id);
+
+    assert.deepEqual(ids(monday()), ['inventory', 'winter']);
+    assert.deepEqual(ids(new Date(2099, 0, 25)), ['winter'], 'still shown while it lasts');
+    assert.deepEqual(ids(new Date(2099, 0, 31)), []);
+    assert.deepEqual(ids(new Date(2098, 10, 1)), [], `more than ${script.CONFIG.hours.noticeDays} days ahead`);
+  });
+
+  it('describes upcoming and current closures', async () => {
+    section = await openingHours();
+    const { i18n } = script;
+    const [inventory, winter] = section.upcomingClosures(monday());
+
+    assert.equal(section.closureText(inventory, monday()),
+      i18n.t('hours.closure.upcoming', { dates: i18n.formatDateRange('2099-01-14'), name: 'Inventory' }));
+    assert.equal(section.closureText(inventory, new Date(2099, 0, 14)), i18n.t('hours.closure.today', { name: 'Inventory' }));
+    assert.equal(section.closureText(winter, new Date(2099, 0, 20)),
+      i18n.t('hours.closure.until', { date: i18n.formatDate('2099-01-30', { day: 'numeric', month: 'short' }), name: 'Winter break' }));
+  });
+
+  it('shows the status in the header and the contact section, and the notices', async () => {
+    section = await openingHours();
+    section.renderLive(monday('12:00'));
+
+    const statuses = [...document.querySelectorAll(script.CONFIG.selectors.hoursStatus)];
+    assert.equal(statuses.length, 2);
+    statuses.forEach((el) => {
+      assert.equal(el.hidden, false);
+      assert.ok(el.querySelector('.hours-status--open'));
+    });
+
+    const notices = [...document.querySelectorAll(script.CONFIG.selectors.closureNotice)];
+    assert.ok(notices.length);
+    notices.forEach((el) => {
+      assert.equal(el.hidden, false);
+      assert.deepEqual([...el.querySelectorAll('.closure-notice__item')].map((item) => item.className.split('--')[1]), ['closure', 'holiday']);
+    });
+
+    section.renderLive(new Date(2099, 1, 1));
+    notices.forEach((el) => assert.equal(el.hidden, true));
+  });
+
+  it('keeps the static hours when hours.json cannot be loaded', async () => {
+    const { CONFIG, DataService, OpeningHours } = script;
+    stubFetch({ [CONFIG.data.hours]: 404 });
+    const table = document.querySelector(CONFIG.selectors.hoursTable);
+    const staticHtml = table.innerHTML;
+    section = new OpeningHours(new DataService(), CONFIG.data.hours,
+      { table: CONFIG.selectors.hoursTable, status: CONFIG.selectors.hoursStatus, notice: CONFIG.selectors.closureNotice },
+      { timeZone: CONFIG.business.timeZone, ...CONFIG.hours });
+
+    const failures = [];
+    const unsubscribe = script.events.on('section:error', ({ section: failed }) => failures.push(failed));
+    await section.init();
+    unsubscribe();
+
+    assert.deepEqual(failures, [section]);
+    assert.equal(table.innerHTML, staticHtml);
+    assert.ok(document.querySelector(CONFIG.selectors.hoursStatus).hidden);
+  });
+});
+
+describe('Closures elsewhere', () => {
+  it('leave no booking slots on closure days', async () => {
+    const { CONFIG, DataService, BookingWizard } = script;
+    stubFetch({ [CONFIG.data.hours]: HOURS });
+    const booking = new BookingWizard(new DataService(), CONFIG.data, CONFIG.selectors.bookingContainer, { ...CONFIG.booking, daysAhead: 21 });
+    await booking.init();
+    booking.preselect({ serviceId: booking.services[0].id });
+
+    const keys = booking.availableSlots(monday()).map((day) => day.key);
+    assert.ok(keys.includes('2099-01-13') && keys.includes('2099-01-15'));
+    assert.ok(!keys.includes('2099-01-14'));
+    assert.ok(!keys.some((key) => key >= '2099-01-19' && key <= '2099-01-30'));
+  });
+
+  it('are in the structured data as special opening hours', () => {
+    const { CONFIG, StructuredData } = script;
+    const hours = new script.DataValidator(script.SCHEMAS).validateOne(HOURS, 'hours').record;
+    const graph = new StructuredData(null, CONFIG.data, CONFIG.business)
+      .build({ services: [], team: [], trainings: [], hours }, monday());
+    const [business] = graph['@graph'];
+
+    assert.equal(business.openingHoursSpecification.length, 2);
+    assert.deepEqual(business.specialOpeningHoursSpecification.map((spec) => [spec.validFrom, spec.validThrough, spec.opens, spec.closes]), [
+      ['2099-01-11', '2099-01-11', '00:00', '00:00'],
+      ['2099-01-14', '2099-01-14', '00:00', '00:00'],
+      ['2099-01-19', '2099-01-30', '00:00', '00:00'],
+    ]);
+  });
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n, fragment } = require('./helpers/environment');
+const build = require('../scripts/images');
+
+let script;
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(() => {
+  resetPage();
+});
+
+const PLACEHOLDER = 'data:image/webp;base64,UklGRi4AAABXRUJQVlA4ICIAAABwAQCdASoQAAwAA4BaJZgCdAF1AAD+21H4d3N161XpngAA';
+
+/** An images.json entry as scripts/images.js writes it. */
+function manifestEntry(src, width = 1000, height = 750) {
+  return build.manifestRecord(src, { width, height }, PLACEHOLDER);
+}
+
+describe('pictureTemplate', () => {
+  it('is a plain lazy <img> without a manifest entry', () => {
+    const { pictureTemplate } = script;
+    const root = fragment(pictureTemplate('images/a.jpg', undefined, { alt: 'Anna', className: 'team__photo' }));
+
+    assert.equal(root.innerHTML, '<img src="images/a.jpg" alt="Anna" class="team__photo" loading="lazy">');
+  });
+
+  it('offers AVIF and WebP srcsets with the image size and a placeholder', () => {
+    const { pictureTemplate } = script;
+    const root = fragment(pictureTemplate('images/team/anna.jpg', manifestEntry('images/team/anna.jpg'), {
+      alt: 'Anna',
+      className: 'team__photo',
+      sizes: '50vw',
+      attributes: { 'data-initials': 'AN' },
+    }));
+
+    const sources = [...root.querySelectorAll('source')];
+    assert.deepEqual(sources.map((source) => source.type), ['image/avif', 'image/webp']);
+    assert.equal(sources[0].getAttribute('srcset'),
+      'images/generated/team/anna-320.avif 320w, images/generated/team/anna-640.avif 640w, '
+      + 'images/generated/team/anna-960.avif 960w, images/generated/team/anna-1000.avif 1000w');
+    assert.equal(sources[1].getAttribute('sizes'), '50vw');
+
+    const img = root.querySelector('.blur-up__image');
+    assert.equal(img.getAttribute('src'), 'images/team/anna.jpg');
+    assert.equal(img.getAttribute('width'), '1000');
+    assert.equal(img.getAttribute('height'), '750');
+    assert.equal(img.className, 'team__photo blur-up__image');
+    assert.equal(img.dataset.initials, 'AN');
+    assert.equal(root.querySelector('.blur-up__placeholder').getAttribute('src'), PLACEHOLDER);
+    assert.equal(root.querySelector('[style]'), null, 'nothing the CSP would block');
+  });
+
+  it('escapes the alt text and attributes', () => {
+    const { pictureTemplate } = script;
+    const root = fragment(pictureTemplate('images/a.jpg', manifestEntry('images/a.jpg'), {
+      alt: '"><script>alert(1)</script>',
+      className: 'team__photo',
+      lazy: false,
+      attributes: { 'data-initials': '"onerror="alert(1)' },
+    }));
+
+    const img = root.querySelector('.blur-up__image');
+    assert.equal(root.querySelector('script'), null);
+    assert.equal(img.getAttribute('onerror'), null);
+    assert.equal(img.getAttribute('loading'), null);
+  });
+});
+
+describe('the image manifest', () => {
+  it('accepts only base64 image data as a placeholder', () => {
+    const { DataValidator, SCHEMAS } = script;
+    const validator = new DataValidator(SCHEMAS);
+    const entry = (placeholder) => ({ ...manifestEntry('images/a.jpg'), placeholder });
+
+    const { records, warnings } = validator.validate([
+      entry(PLACEHOLDER),
+      { ...entry('javascript:alert(1)'), id: 'images/b.jpg' },
+      { ...entry('data:text/html;base64,PHNjcmlwdD4='), id: 'images/c.jpg' },
+    ], 'images');
+
+    assert.deepEqual(records.map((record) => record.placeholder), [PLACEHOLDER, null, null]);
+    assert.equal(warnings.filter((warning) => warning.field === 'placeholder').length, 2);
+  });
+
+  it('is optional: the photos stay plain images without one', async (t) => {
+    const { CONFIG, DataService, TeamSection } = script;
+    t.mock.method(console, 'error', () => {});
+    stubFetch({ [CONFIG.data.images]: 404 });
+    const section = new TeamSection(new DataService(), CONFIG.data.team, CONFIG.selectors.teamContainer,
+      { imagesUrl: CONFIG.data.images });
+    await section.init();
+
+    assert.ok(section.container.querySelector('.team__card'));
+    assert.equal(section.container.querySelector('picture'), null);
+  });
+
+  it('gives the trainings with an entry a <picture>', async () => {
+    const { CONFIG, DataService, TrainingsSection, LocalStorageAdapter } = script;
+    stubFetch({
+      [CONFIG.data.trainings]: [
+        { id: 1, title: 'Basics', level: 'beginner', price: 100, currency: 'EUR', image: 'images/trainings/basics.jpg' },
+        { id: 2, title: 'Nails', level: 'advanced', price: 200, currency: 'EUR', image: 'images/trainings/nails.jpg' },
+      ],
+      [CONFIG.data.images]: [manifestEntry('images/trainings/basics.jpg', 1600, 900)],
+    });
+    const section = new TrainingsSection(new DataService(), CONFIG.data.trainings, CONFIG.selectors.trainingsContainer,
+      new LocalStorageAdapter('test:enrollments'), { imagesUrl: CONFIG.data.images });
+    await section.init();
+
+    const [basics, nails] = section.container.querySelectorAll('[data-training-id]');
+    assert.equal(basics.querySelector('.blur-up__image').getAttribute('width'), '1600');
+    assert.match(basics.querySelector('source').getAttribute('sizes'), /50vw/);
+    assert.equal(nails.querySelector('picture'), null);
+  });
+});
+
+describe('blur-up', () => {
+  it('reveals an image once it has loaded', () => {
+    const { pictureTemplate, revealImages } = script;
+    const root = fragment(pictureTemplate('images/a.jpg', manifestEntry('images/a.jpg'), { alt: '', className: 'team__photo' }));
+    const wrapper = root.querySelector('[data-blur-up]');
+
+    revealImages(root);
+    assert.ok(!wrapper.classList.contains('blur-up--loaded'));
+
+    root.querySelector('.blur-up__image').dispatchEvent(new Event('load'));
+    assert.ok(wrapper.classList.contains('blur-up--loaded'));
+  });
+
+  it('replaces the whole <picture> with the fallback when the image fails', () => {
+    const { CONFIG, TeamSection, pictureTemplate } = script;
+    const container = document.querySelector(CONFIG.selectors.teamContainer);
+    container.innerHTML = String(pictureTemplate('images/a.jpg', manifestEntry('images/a.jpg'), {
+      alt: '', className: 'team__photo', attributes: { 'data-initials': 'AN' },
+    }));
+    const section = new TeamSection(null, CONFIG.data.team, CONFIG.selectors.teamContainer);
+
+    section.attachImageFallbacks();
+    container.querySelector('.team__photo').dispatchEvent(new Event('error'));
+
+    assert.equal(container.querySelector('[data-blur-up]'), null);
+    assert.equal(container.querySelector('.team__photo-placeholder').textContent, 'AN');
+  });
+});
+
+describe('scripts/images.js', () => {
+  it('makes no variant wider than the original', () => {
+    assert.deepEqual(build.variantWidths(2400), build.WIDTHS);
+    assert.deepEqual(build.variantWidths(700), [320, 640, 700]);
+    assert.deepEqual(build.variantWidths(200), [200]);
+  });
+
+  it('writes the variants under images/generated', () => {
+    assert.equal(build.variantPath('images/team/anna.jpg', 640, 'webp'), 'images/generated/team/anna-640.webp');
+    assert.equal(build.variantPath('photos/anna.png', 320, 'avif'), 'images/generated/photos/anna-320.avif');
+  });
+
+  it('collects the local images named in team.json and trainings.json', () => {
+    const paths = build.imagePaths();
+    assert.ok(paths.length);
+    paths.forEach((src) => assert.match(src, /^[^:]+\.(jpe?g|png|webp)$/i));
+    assert.deepEqual(paths, [...new Set(paths)].sort());
+  });
+});
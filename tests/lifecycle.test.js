@@ -0,0 +1,272 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, startApp } = require('./helpers/environment');
+
+let script;
+
+before(async () => {
+  script = await loadScript();
+  script.CONFIG.fetch.retries = 0; // failures are final, no backoff delays
+});
+
+beforeEach(() => {
+  resetPage();
+});
+
+/** Collect the events of one type until the test ends. */
+function record(t, type) {
+  const seen = [];
+  t.after(script.events.on(type, (detail) => seen.push(detail)));
+  return seen;
+}
+
+/**
+ * Replace IntersectionObserver with one that reports nothing on its own;
+ * reveal(el) scrolls an element near the viewport.
+ */
+function manualViewport(t) {
+  const original = global.IntersectionObserver;
+  const observers = [];
+  global.IntersectionObserver = class {
+    constructor(callback, options) {
+      Object.assign(this, { callback, options, targets: new Set() });
+      observers.push(this);
+    }
+    observe(target) { this.targets.add(target); }
+    unobserve(target) { this.targets.delete(target); }
+    disconnect() { this.targets.clear(); }
+  };
+  t.after(() => { global.IntersectionObserver = original; });
+
+  return {
+    observers,
+    reveal(el) {
+      observers.filter((observer) => observer.targets.has(el))
+        .forEach((observer) => observer.callback([{ isIntersecting: true, target: el }], observer));
+    },
+  };
+}
+
+describe('EventBus', () => {
+  it('calls the listeners of a type until they unsubscribe', () => {
+    const bus = new script.EventBus();
+    const seen = [];
+    const unsubscribe = bus.on('section:rendered', (detail) => seen.push(detail.name));
+    bus.on('section:error', () => seen.push('error'));
+
+    bus.emit('section:rendered', { name: 'team' });
+    unsubscribe();
+    bus.emit('section:rendered', { name: 'team' });
+    bus.emit('other');
+
+    assert.deepEqual(seen, ['team']);
+  });
+
+  it('still calls the others when a listener throws', (t) => {
+    const errors = [];
+    t.mock.method(console, 'error', (...args) => errors.push(args));
+    const bus = new script.EventBus();
+    const seen = [];
+    bus.on('section:rendered', () => { throw new Error('boom'); });
+    bus.on('section:rendered', () => seen.push('second'));
+
+    bus.emit('section:rendered');
+
+    assert.deepEqual(seen, ['second']);
+    assert.equal(errors[0][1].message, 'boom');
+  });
+});
+
+describe('Section registry', () => {
+  it('creates a section for each data-section container in the page', async (t) => {
+    stubFetch();
+    document.querySelector('[data-section="contact"]').remove();
+    const { app } = await startApp(script, t);
+
+    assert.deepEqual([...app.sections.keys()], Object.keys(script.SECTIONS).filter((name) => name !== 'contact'));
+    assert.ok(app.sections.get('team') instanceof script.TeamSection);
+    assert.equal(app.sections.get('team').name, 'team');
+    assert.equal(app.sections.get('team').bookingWizard, app.sections.get('booking'), 'sections listed earlier are passed on');
+  });
+
+  it('warns about containers nobody registered and leaves them alone', async (t) => {
+    stubFetch();
+    document.body.insertAdjacentHTML('beforeend', '<div data-section="reviews">Static</div>');
+    const { app, warnings } = await startApp(script, t);
+
+    assert.equal(app.sections.has('reviews'), false);
+    assert.ok(warnings.some(([message]) => message.includes('"reviews"')));
+    assert.equal(document.querySelector('[data-section="reviews"]').textContent, 'Static');
+  });
+
+  it('routes deep links to the section that registered them', async (t) => {
+    stubFetch();
+    const { app } = await startApp(script, t);
+    const team = app.sections.get('team');
+    const focused = [];
+    t.mock.method(team, 'focusMember', (id) => { focused.push(id); return null; });
+
+    const router = app.components.find((component) => component instanceof script.Router);
+    router.resolve(`#team/${team.data[0].id}`);
+
+    assert.deepEqual(focused, [String(team.data[0].id)]);
+  });
+});
+
+describe('Section lifecycle', () => {
+  it('announces each section as it renders, and its fade-ins are observed', async (t) => {
+    stubFetch();
+    const rendered = record(t, 'section:rendered');
+    await startApp(script, t);
+
+    const names = rendered.map((detail) => detail.name);
+    ['team', 'services', 'trainings', 'booking', 'hours'].forEach((name) => assert.ok(names.includes(name), name));
+    const team = rendered.find((detail) => detail.name === 'team');
+    assert.equal(team.container, document.querySelector(script.CONFIG.selectors.teamContainer));
+    assert.ok([...team.container.querySelectorAll('.fade-in')].every((card) => card.classList.contains('fade-in--visible')));
+  });
+
+  it('announces a failed load, then the render after Retry', async (t) => {
+    const { CONFIG } = script;
+    stubFetch({ [CONFIG.data.team]: 503 });
+    const failed = record(t, 'section:error');
+    const rendered = record(t, 'section:rendered');
+    await startApp(script, t);
+
+    assert.deepEqual(failed.map((detail) => detail.name), ['team']);
+    assert.equal(failed[0].error.status, 503);
+
+    stubFetch();
+    document.querySelector(`${CONFIG.selectors.teamContainer} [data-section-retry]`).click();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.ok(rendered.some((detail) => detail.name === 'team'));
+  });
+
+  it('reloads only the sections showing a file that changed', async (t) => {
+    stubFetch();
+    const { app } = await startApp(script, t);
+    const reloaded = [];
+    app.sections.forEach((section, name) => {
+      t.mock.method(section, 'refresh', async (options) => { if (options && options.reload) reloaded.push(name); });
+    });
+
+    app.dataService.notify({ url: script.CONFIG.data.hours, changed: true });
+    app.dataService.notify({ url: script.CONFIG.data.trainings, changed: false });
+
+    assert.deepEqual(reloaded.sort(), ['booking', 'hours']);
+  });
+
+  it('re-renders every loaded section when the language changes', async (t) => {
+    stubFetch();
+    const { app } = await startApp(script, t);
+    const rendered = record(t, 'section:rendered');
+
+    await script.i18n.setLocale('pl');
+    t.after(() => script.i18n.setLocale('en'));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.deepEqual(rendered.map((detail) => detail.name).sort(), [...app.sections.keys()].sort());
+  });
+
+  it('removes its listeners and subscriptions on destroy', async () => {
+    const { CONFIG, DataService, ServicesSection, TreatmentBasket } = script;
+    stubFetch();
+    const basket = new TreatmentBasket(CONFIG.basket.storageKey);
+    const section = new ServicesSection(new DataService(), CONFIG.data.services, CONFIG.selectors.servicesContainer, { basket });
+    await section.init();
+    assert.equal(basket.listeners.size, 1);
+
+    const tab = section.container.querySelectorAll('[role="tab"]')[1];
+    section.destroy();
+    tab.click();
+
+    assert.equal(basket.listeners.size, 0);
+    assert.equal(section.activeIndex, 0);
+  });
+
+  it('leaves nothing subscribed when the App is destroyed', async (t) => {
+    stubFetch();
+    const before = script.i18n.listeners.size;
+    const { app } = await startApp(script, t);
+    assert.ok(script.i18n.listeners.size > before);
+
+    app.destroy();
+    assert.equal(script.i18n.listeners.size, before);
+    assert.equal(app.sections.size, 0);
+  });
+});
+
+describe('Lazy sections', () => {
+  it('loads the eager sections at once and the others as they near the viewport', async (t) => {
+    const { CONFIG } = script;
+    const viewport = manualViewport(t);
+    stubFetch();
+    const { app } = await startApp(script, t);
+
+    assert.deepEqual([...app.started.keys()].sort(), ['basket', 'hours']);
+    const trainings = app.sections.get('trainings');
+    assert.equal(trainings.isLoaded, false);
+    assert.ok(viewport.observers.some((observer) => observer.options.rootMargin === CONFIG.sectionRootMargin));
+
+    viewport.reveal(trainings.container);
+    await app.started.get('trainings');
+    assert.ok(trainings.container.querySelectorAll('.trainings__card').length);
+    assert.equal(app.sections.get('team').isLoaded, false);
+  });
+
+  it('leaves sections not loaded yet alone when their data changes', async (t) => {
+    manualViewport(t);
+    stubFetch();
+    const { app } = await startApp(script, t);
+    const team = app.sections.get('team');
+    const refresh = t.mock.method(team, 'refresh');
+
+    app.dataService.notify({ url: script.CONFIG.data.team, changed: true });
+
+    assert.equal(refresh.mock.callCount(), 0);
+    assert.equal(app.started.has('team'), false);
+  });
+
+  it('loads the section a deep link points into, then follows it', async (t) => {
+    manualViewport(t);
+    stubFetch();
+    const { app } = await startApp(script, t);
+    const trainings = app.sections.get('trainings');
+    const focused = [];
+    t.mock.method(trainings, 'focusCard', (id) => { focused.push(id); return null; });
+
+    const router = app.components.find((component) => component instanceof script.Router);
+    router.resolve('#trainings/2');
+    assert.deepEqual(focused, [], 'not before the trainings have loaded');
+
+    await app.started.get('trainings');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.equal(trainings.isLoaded, true);
+    assert.deepEqual(focused, ['2']);
+  });
+
+  it('builds the structured data from every file before the sections below the fold render', async (t) => {
+    const { StructuredData } = script;
+    manualViewport(t);
+    stubFetch();
+    const built = [];
+    const init = StructuredData.prototype.init;
+    t.mock.method(StructuredData.prototype, 'init', function initAndRecord() {
+      const done = init.call(this);
+      built.push(done);
+      return done;
+    });
+    const { app } = await startApp(script, t);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await Promise.all(built);
+    const graph = JSON.parse(document.querySelector('script[data-structured-data]').textContent)['@graph'];
+
+    assert.equal(app.sections.get('team').isLoaded, false);
+    assert.equal(app.sections.get('trainings').isLoaded, false);
+    assert.ok(graph.some((node) => node['@type'] === 'Course'));
+    assert.ok(graph[0].employee.some((node) => node['@type'] === 'Person'));
+  });
+});
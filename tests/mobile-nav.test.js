@@ -0,0 +1,130 @@
+'use strict';
+
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage } = require('./helpers/environment');
+
+let script;
+let nav;
+let toggle;
+let menu;
+
+before(async () => {
+  script = await loadScript();
+});
+
+beforeEach(() => {
+  resetPage();
+  const { CONFIG, MobileNav } = script;
+  nav = new MobileNav(CONFIG.selectors.navToggle, CONFIG.selectors.nav, CONFIG.classes.navOpen, CONFIG.classes.burgerActive);
+  nav.init();
+  toggle = document.querySelector(CONFIG.selectors.navToggle);
+  menu = document.querySelector(CONFIG.selectors.nav);
+});
+
+afterEach(() => {
+  nav.destroy();
+  document.body.style.overflow = '';
+});
+
+/** Check every piece of open/closed state at once. */
+function assertOpen(isOpen) {
+  const { CONFIG } = script;
+  assert.equal(nav.isOpen, isOpen);
+  assert.equal(menu.classList.contains(CONFIG.classes.navOpen), isOpen);
+  assert.equal(toggle.classList.contains(CONFIG.classes.burgerActive), isOpen);
+  assert.equal(toggle.getAttribute('aria-expanded'), String(isOpen));
+  assert.equal(document.body.style.overflow, isOpen ? 'hidden' : '');
+}
+
+describe('MobileNav', () => {
+  it('starts closed', () => {
+    assertOpen(false);
+  });
+
+  it('opens and closes with the toggle button', () => {
+    toggle.click();
+    assertOpen(true);
+    toggle.click();
+    assertOpen(false);
+  });
+
+  it('closes when a link in the menu is followed', () => {
+    toggle.click();
+    menu.querySelector('a').click();
+    assertOpen(false);
+  });
+
+  it('ignores clicks on the menu itself', () => {
+    toggle.click();
+    menu.click();
+    assertOpen(true);
+  });
+
+  it('can be closed from code', () => {
+    toggle.click();
+    nav.close();
+    assertOpen(false);
+  });
+
+  it('stops listening once destroyed', () => {
+    nav.destroy();
+    toggle.click();
+    assertOpen(false);
+  });
+});
+
+describe('MobileNav keyboard', () => {
+  /** Press a key on the focused element. */
+  function press(key, options = {}) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    (document.activeElement || document.body).dispatchEvent(event);
+    return event;
+  }
+
+  it('closes on Escape and returns focus to the toggle', () => {
+    toggle.click();
+    menu.querySelector('a').focus();
+    press('Escape');
+
+    assertOpen(false);
+    assert.equal(document.activeElement, toggle);
+  });
+
+  it('ignores Escape while closed', () => {
+    const event = press('Escape');
+    assert.equal(event.defaultPrevented, false);
+  });
+
+  it('wraps Tab from the toggle to the first link and back with Shift+Tab', () => {
+    const links = menu.querySelectorAll('a');
+    toggle.click();
+    toggle.focus();
+
+    assert.equal(press('Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, links[0]);
+
+    assert.equal(press('Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, toggle);
+  });
+
+  it('lets Tab move normally between the links', () => {
+    toggle.click();
+    menu.querySelector('a').focus();
+    assert.equal(press('Tab').defaultPrevented, false);
+  });
+
+  it('pulls focus back into the menu from elsewhere on the page', () => {
+    toggle.click();
+    document.querySelector('.header__logo').focus();
+    press('Tab');
+    assert.equal(document.activeElement, menu.querySelector('a'));
+  });
+
+  it('stops trapping focus once closed', () => {
+    toggle.click();
+    toggle.click();
+    toggle.focus();
+    assert.equal(press('Tab').defaultPrevented, false);
+  });
+});
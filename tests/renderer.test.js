@@ -0,0 +1,171 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n } = require('./helpers/environment');
+
+let script;
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(() => {
+  resetPage();
+});
+
+/** A renderer of <li> items into a fresh list. */
+function listRenderer() {
+  const { ComponentRenderer, html } = script;
+  const list = document.createElement('ul');
+  document.body.appendChild(list);
+  return new ComponentRenderer(list, (item) => html`<li class="item">${item.name}</li>`);
+}
+
+/** The texts of the list's items, in order. */
+function texts(renderer) {
+  return [...renderer.container.children].map((el) => el.textContent);
+}
+
+describe('ComponentRenderer keyed rendering', () => {
+  it('keeps the elements of unchanged items and replaces changed ones', () => {
+    const renderer = listRenderer();
+    renderer.render([{ id: 1, name: 'Anna' }, { id: 2, name: 'Ola' }]);
+    const [anna, ola] = renderer.container.children;
+
+    const added = renderer.render([{ id: 1, name: 'Anna' }, { id: 2, name: 'Ola K.' }]);
+
+    assert.equal(renderer.container.children[0], anna);
+    assert.notEqual(renderer.container.children[1], ola);
+    assert.deepEqual(added, [renderer.container.children[1]]);
+    assert.deepEqual(texts(renderer), ['Anna', 'Ola K.']);
+  });
+
+  it('inserts, moves and removes by id', () => {
+    const renderer = listRenderer();
+    renderer.render([1, 2, 3].map((id) => ({ id, name: `#${id}` })));
+    const [one, , three] = renderer.container.children;
+
+    const added = renderer.render([{ id: 3, name: '#3' }, { id: 4, name: '#4' }, { id: 1, name: '#1' }]);
+
+    assert.deepEqual(texts(renderer), ['#3', '#4', '#1']);
+    assert.equal(renderer.container.children[0], three);
+    assert.equal(renderer.container.children[2], one);
+    assert.deepEqual(added.map((el) => el.textContent), ['#4']);
+  });
+
+  it('keeps focus in an element that stays', () => {
+    const { ComponentRenderer, html } = script;
+    const list = document.createElement('div');
+    document.body.appendChild(list);
+    const renderer = new ComponentRenderer(list, (item) => html`<button type="button">${item.name}</button>`);
+    renderer.render([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+    list.children[1].focus();
+
+    renderer.render([{ id: 0, name: 'Z' }, { id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+
+    assert.equal(document.activeElement, list.children[2]);
+  });
+
+  it('replaces a loading message or an error, and renders anew after one', () => {
+    const { ComponentRenderer } = script;
+    const renderer = listRenderer();
+    renderer.render([{ id: 1, name: 'Anna' }]);
+    ComponentRenderer.loading(renderer.container, 'Loading…');
+
+    const added = renderer.render([{ id: 1, name: 'Anna' }]);
+
+    assert.deepEqual(texts(renderer), ['Anna']);
+    assert.equal(renderer.container.childNodes.length, 1);
+    assert.equal(added.length, 1);
+  });
+
+  it('gives items with the same id an element each', () => {
+    const renderer = listRenderer();
+    renderer.render([{ id: 1, name: 'a' }, { id: 1, name: 'b' }]);
+    renderer.render([{ id: 1, name: 'a' }, { id: 1, name: 'b' }]);
+    assert.deepEqual(texts(renderer), ['a', 'b']);
+  });
+
+  it('adopts matching pre-rendered markup and keys its elements', () => {
+    const { ComponentRenderer } = script;
+    const renderer = listRenderer();
+    const items = [{ id: 1, name: 'Anna' }, { id: 2, name: 'Ola' }];
+    const markup = renderer.markup(items);
+    renderer.container.innerHTML = markup;
+    renderer.container.dataset.prerendered = ComponentRenderer.hash(markup);
+    const [anna] = renderer.container.children;
+
+    assert.equal(renderer.render(items).length, 2, 'adopted elements still need their listeners');
+    assert.equal(renderer.container.children[0], anna);
+    assert.equal(renderer.container.dataset.prerendered, undefined);
+
+    renderer.render([items[1], items[0]]);
+    assert.equal(renderer.container.children[1], anna);
+  });
+});
+
+describe('pre-rendered team cards', () => {
+  it('are adopted, and their availability filled in for the time of the visit', async () => {
+    const { CONFIG, DataService, TeamSection, ComponentRenderer } = script;
+    stubFetch();
+    const prerender = new TeamSection(new DataService(), CONFIG.data.team, null);
+    await prerender.load();
+    const markup = String(prerender.markup());
+    const container = document.querySelector(CONFIG.selectors.teamContainer);
+    container.innerHTML = markup;
+    container.dataset.prerendered = ComponentRenderer.hash(markup);
+    const card = container.querySelector('.team__card');
+
+    const section = new TeamSection(new DataService(), CONFIG.data.team, CONFIG.selectors.teamContainer);
+    await section.init();
+
+    assert.equal(container.querySelector('.team__card'), card, 'the same element, not a rebuilt one');
+    const slots = [...container.querySelectorAll('[data-team-availability]')];
+    assert.ok(slots.length);
+    slots.forEach((slot) => assert.ok(!slot.hidden && slot.textContent));
+  });
+});
+
+describe('pre-rendered training cards', () => {
+  it('stay until the first render, which always replaces them', async () => {
+    const { CONFIG, DataService, TrainingsSection, createAdapter } = script;
+    stubFetch();
+    const container = document.querySelector(CONFIG.selectors.trainingsContainer);
+    container.innerHTML = '<article class="trainings__card">Built yesterday</article>';
+    container.dataset.prerendered = '';
+    const stale = container.firstElementChild;
+
+    const section = new TrainingsSection(new DataService(), CONFIG.data.trainings, CONFIG.selectors.trainingsContainer,
+      createAdapter(CONFIG.enrollment));
+    section.loading();
+    assert.equal(container.firstElementChild, stale, 'no loading message over the pre-rendered cards');
+
+    await section.init();
+    assert.ok(!container.contains(stale));
+    assert.ok(container.querySelectorAll('.trainings__card').length);
+    assert.equal(container.dataset.prerendered, undefined);
+  });
+});
+
+describe('sections re-render only the cards that changed', () => {
+  it('keeps a team card and its replaced photo on a re-render', async () => {
+    const { CONFIG, DataService, TeamSection } = script;
+    stubFetch({ [CONFIG.data.team]: [
+      { id: 1, name: 'Anna Nowak', role: 'Podologist', photo: 'images/missing.jpg' },
+      { id: 2, name: 'Ola Kowal', role: 'Podologist' },
+    ] });
+    const section = new TeamSection(new DataService(), CONFIG.data.team, CONFIG.selectors.teamContainer);
+    await section.init();
+    const card = section.container.querySelector('.team__card');
+    card.querySelector('.team__photo').dispatchEvent(new Event('error'));
+
+    section.data = [...section.data].reverse();
+    section.render();
+
+    const cards = section.container.querySelectorAll('.team__card');
+    assert.equal(cards[1], card);
+    assert.ok(card.querySelector('.team__photo-placeholder'), 'the fallback stays');
+  });
+});
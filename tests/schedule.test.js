@@ -0,0 +1,291 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n, fragment } = require('./helpers/environment');
+
+let script;
+
+// Monday–Wednesday 10:00–18:00, Saturday 10:00–14:00
+const SCHEDULE = [
+  { id: 'weekdays', dayOfWeek: ['Monday', 'Tuesday', 'Wednesday'], opens: '10:00', closes: '18:00' },
+  { id: 'saturday', dayOfWeek: 'Saturday', opens: '10:00', closes: '14:00' },
+];
+
+// 5 January 2099 is a Monday
+const monday = (time = '00:00') => new Date(`2099-01-05T${time}`);
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(() => {
+  resetPage();
+});
+
+/** A validated member with the given schedule fields. */
+function member(fields = {}) {
+  const [record] = new script.DataValidator(script.SCHEMAS).validate([{
+    id: 2, name: 'Marta Nowak', role: 'Podologist', serviceCategories: [1], schedule: SCHEDULE, ...fields,
+  }], 'team').records;
+  return record;
+}
+
+describe('team.json schedules', () => {
+  it('are valid in the data file', async () => {
+    stubFetch();
+    const dataService = new script.DataService();
+    const team = await dataService.load(script.CONFIG.data.team, 'team');
+
+    assert.ok(team.every((record) => record.schedule.length));
+    assert.deepEqual(dataService.warnings.get(script.CONFIG.data.team), []);
+  });
+
+  it('drop invalid days off and default to none', () => {
+    assert.deepEqual(member({ daysOff: ['2099-01-06', 'n/a'] }).daysOff, ['2099-01-06']);
+    assert.deepEqual(member({ daysOff: 'soon' }).daysOff, []);
+    assert.deepEqual(member({ schedule: undefined }).schedule, []);
+  });
+});
+
+describe('hoursOn and nextHours', () => {
+  const rules = () => member().schedule;
+
+  it('give the hours on a weekday, none on a day off', () => {
+    assert.deepEqual(script.hoursOn(rules(), monday()), [{ opens: '10:00', closes: '18:00' }]);
+    assert.deepEqual(script.hoursOn(rules(), new Date(2099, 0, 8)), [], 'Thursday');
+    assert.deepEqual(script.hoursOn(rules(), monday(), ['2099-01-05']), []);
+  });
+
+  it('find the hours going on now', () => {
+    const next = script.nextHours(rules(), monday('12:00'));
+    assert.equal(next.isNow, true);
+    assert.equal(next.closes, '18:00');
+  });
+
+  it('find later hours today, then the next working day', () => {
+    assert.equal(script.nextHours(rules(), monday('08:00')).isNow, false);
+    assert.equal(script.toDateKey(script.nextHours(rules(), monday('08:00')).date), '2099-01-05');
+    assert.equal(script.toDateKey(script.nextHours(rules(), new Date(2099, 0, 7, 18, 0)).date), '2099-01-10', 'Wednesday after closing → Saturday');
+  });
+
+  it('skip days off and give up after the look-ahead', () => {
+    const next = script.nextHours(rules(), monday('19:00'), ['2099-01-06', '2099-01-07']);
+    assert.equal(script.toDateKey(next.date), '2099-01-10');
+    assert.equal(script.nextHours(rules(), monday(), [], 0), null);
+  });
+});
+
+describe('TeamSection availability', () => {
+  let section;
+
+  before(() => {
+    const { CONFIG, TeamSection } = script;
+    section = new TeamSection(null, CONFIG.data.team, CONFIG.selectors.teamContainer);
+  });
+
+  /** The status for a member at a given time. */
+  function status(record, now) {
+    return section.availabilityStatus(record, now);
+  }
+
+  it('shows who is working now', () => {
+    const { modifier, text } = status(member(), monday('12:00'));
+    assert.equal(modifier, 'now');
+    assert.equal(text, script.i18n.t('team.availability.now', { time: '18:00' }));
+  });
+
+  it('shows when someone starts later today', () => {
+    const { modifier, text } = status(member(), monday('08:30'));
+    assert.equal(modifier, 'today');
+    assert.equal(text, script.i18n.t('team.availability.today', { time: '10:00' }));
+  });
+
+  it('shows the next working day', () => {
+    const { modifier, text } = status(member({ daysOff: ['2099-01-06'] }), monday('18:00'));
+    assert.equal(modifier, 'later');
+    assert.equal(text, script.i18n.t('team.availability.next', {
+      date: script.i18n.formatDate(new Date(2099, 0, 7), { weekday: 'short', day: 'numeric', month: 'short' }),
+      time: '10:00',
+    }));
+  });
+
+  it('says when nobody can be booked for weeks', () => {
+    const daysOff = Array.from({ length: 60 }, (_, i) => script.toDateKey(new Date(2099, 0, 5 + i)));
+    assert.equal(status(member({ daysOff }), monday()).modifier, 'away');
+  });
+
+  it('shows nothing for members without working hours', () => {
+    assert.equal(status(member({ schedule: [] }), monday()), null);
+  });
+
+  it('leaves the card markup to the data and fills the slot in afterwards', () => {
+    const withHours = member();
+    const without = member({ id: 3, schedule: [] });
+    section.data = [withHours, without];
+    const cards = fragment(section.renderer.markup(section.data));
+    const slots = cards.querySelectorAll('[data-team-availability]');
+    assert.equal(slots.length, 1, 'no slot without working hours');
+    assert.ok(slots[0].hidden && !slots[0].textContent, 'the same markup at any time of day');
+
+    section.updateAvailability(cards, monday('12:00'));
+
+    assert.equal(slots[0].hidden, false);
+    assert.ok(slots[0].classList.contains('team__availability--now'));
+    assert.equal(slots[0].textContent, script.i18n.t('team.availability.now', { time: '18:00' }));
+  });
+
+  it('lists weekly hours and upcoming days off in the profile', () => {
+    const html = String(script.TeamSection.hoursTemplate(member({ daysOff: ['2099-01-03', '2099-01-06'] }), monday()));
+    const rows = [...fragment(html).querySelectorAll('.detail__hours-row')].map((row) => row.textContent.replace(/\s+/g, ' ').trim());
+    const { i18n } = script;
+
+    assert.deepEqual(rows, [
+      `${['Monday', 'Tuesday', 'Wednesday'].map((day) => i18n.formatWeekday(day)).join(', ')} 10:00–18:00`,
+      `${i18n.formatWeekday('Saturday')} 10:00–14:00`,
+    ]);
+    assert.match(html, new RegExp(i18n.formatDate('2099-01-06', { day: 'numeric', month: 'short' })));
+    assert.doesNotMatch(html, new RegExp(i18n.formatDate('2099-01-03', { day: 'numeric', month: 'short' })), 'past days off are left out');
+  });
+});
+
+describe('Book with a specialist', () => {
+  async function renderTeam(bookingWizard) {
+    const { CONFIG, DataService, TeamSection } = script;
+    stubFetch();
+    const section = new TeamSection(new DataService(), CONFIG.data.team, CONFIG.selectors.teamContainer, { bookingWizard });
+    await section.init();
+    return section.container;
+  }
+
+  async function wizard() {
+    const { CONFIG, DataService, BookingWizard } = script;
+    stubFetch({ [CONFIG.data.team]: [member()] });
+    const booking = new BookingWizard(new DataService(), CONFIG.data, CONFIG.selectors.bookingContainer, CONFIG.booking);
+    await booking.init();
+    return booking;
+  }
+
+  it('links every card to the booking with that member', async () => {
+    const chosen = [];
+    const container = await renderTeam({ preselect: (choices) => chosen.push(choices) });
+    const link = container.querySelector('[data-team-book="2"]');
+
+    assert.equal(link.getAttribute('href'), '#booking');
+    assert.equal(link.textContent, script.i18n.t('team.book', { name: 'Marta' }));
+    link.click();
+    assert.deepEqual(chosen, [{ memberId: '2' }]);
+  });
+
+  it('has no links without a booking wizard', async () => {
+    const container = await renderTeam(null);
+    assert.equal(container.querySelectorAll('[data-team-book]').length, 0);
+  });
+
+  it('offers only the treatments the member performs', async () => {
+    const booking = await wizard();
+    booking.preselect({ memberId: '2' });
+
+    const options = [...booking.container.querySelectorAll('#booking-service option[value]:not([value=""])')];
+    assert.ok(options.length);
+    assert.ok(options.every((option) => booking.services.find((service) => String(service.id) === option.value).categoryId === 1));
+    assert.match(booking.container.textContent, /Marta Nowak/);
+  });
+
+  it('can go back to all treatments', async () => {
+    const booking = await wizard();
+    booking.preselect({ memberId: '2' });
+    booking.container.querySelector('[data-booking-any-member]').click();
+
+    assert.equal(booking.state.memberId, null);
+    assert.equal(booking.container.querySelectorAll('#booking-service option[value]:not([value=""])').length, booking.services.length);
+  });
+
+  it('keeps the member chosen in the specialist step', async () => {
+    const booking = await wizard();
+    booking.preselect({ memberId: '2' });
+    const select = booking.container.querySelector('#booking-service');
+    select.value = select.querySelector('option[value]:not([value=""])').value;
+    booking.container.querySelector('form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.equal(booking.state.step, 'member');
+    assert.equal(booking.container.querySelector('input[name="memberId"]:checked').value, '2');
+  });
+
+  it('offers slots in the member\'s hours, not on days off', async () => {
+    const booking = await wizard();
+    booking.team[0].daysOff = ['2099-01-06'];
+    booking.preselect({ memberId: '2', serviceId: booking.services[0].id });
+
+    const days = booking.availableSlots(monday());
+    const keys = days.map((day) => day.key);
+    assert.deepEqual(keys.slice(0, 3), ['2099-01-05', '2099-01-07', '2099-01-10']);
+    assert.equal(days[0].times[0], '10:00');
+    const saturday = days[2].times;
+    assert.ok(script.toMinutes(saturday[saturday.length - 1]) + (booking.service.duration || 60) <= script.toMinutes('14:00'));
+  });
+});
+
+describe('BookingWizard bookings that overlap', () => {
+  const DAY = '2099-01-05';
+
+  /** A wizard with two specialists for category 1 and a 90-minute treatment chosen. */
+  async function wizard(memberId = null) {
+    const { CONFIG, DataService, BookingWizard } = script;
+    stubFetch({ [CONFIG.data.team]: [member(), member({ id: 3, name: 'Ola Kowal' })] });
+    const booking = new BookingWizard(new DataService(), CONFIG.data, CONFIG.selectors.bookingContainer, CONFIG.booking);
+    await booking.init();
+    const service = booking.services.find((item) => item.categoryId === 1);
+    service.duration = 90;
+    booking.preselect({ serviceId: service.id, memberId });
+    return booking;
+  }
+
+  /** Start times offered on the Monday. */
+  function times(booking) {
+    const day = booking.availableSlots(monday('08:00')).find((slot) => slot.key === DAY);
+    return day ? day.times : [];
+  }
+
+  const booked = (time, memberId, duration = 90) => ({ date: DAY, time, memberId, duration });
+
+  it('keeps a specialist busy for the whole of a longer visit', async () => {
+    const booking = await wizard(2);
+    booking.bookings = [booked('12:00', 2)];
+
+    const offered = times(booking);
+    assert.ok(!offered.includes('11:00'), 'would run into the 12:00 visit');
+    assert.ok(!offered.includes('13:00'), 'the 12:00 visit lasts until 13:30');
+    assert.ok(offered.includes('10:00') && offered.includes('14:00'));
+  });
+
+  it('counts bookings without a specialist against those still free', async () => {
+    const booking = await wizard(2);
+    booking.bookings = [booked('10:00', null)];
+    assert.ok(times(booking).includes('10:00'), 'Ola can take the unassigned visit');
+
+    booking.bookings.push(booked('10:00', 3));
+    assert.ok(!times(booking).includes('10:00'), 'Marta has to take it');
+  });
+
+  it('offers "no preference" slots only while a specialist is free', async () => {
+    const booking = await wizard();
+    booking.bookings = [booked('10:00', 2)];
+    assert.ok(times(booking).includes('10:00'));
+
+    booking.bookings.push(booked('10:00', null));
+    assert.ok(!times(booking).includes('10:00'));
+    assert.ok(times(booking).includes('12:00'));
+  });
+
+  it('saves how long the visit takes', async () => {
+    const booking = await wizard(2);
+    Object.assign(booking.state, { date: DAY, time: '10:00', details: {} });
+
+    await booking.submit({ querySelector: () => ({}) });
+
+    assert.equal(booking.bookings[booking.bookings.length - 1].duration, 90);
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n } = require('./helpers/environment');
+
+let script;
+
+// 4 PLN to the euro keeps the amounts easy to follow
+const RATES = [{ id: 'PLN', rate: 4 }];
+
+const SERVICES = [{
+  id: 1,
+  category: 'Podology',
+  items: [
+    { id: 11, name: 'Consultation', price: '100', currency: 'PLN' },
+    { id: 12, name: 'Nail brace', price: '400', currency: 'PLN' },
+  ],
+}];
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(async () => {
+  resetPage();
+  history.replaceState(null, '', '/');
+  stubFetch({ [script.CONFIG.data.rates]: RATES, [script.CONFIG.data.services]: SERVICES });
+  await script.currencyConverter.init(new script.DataService(), script.CONFIG.data.rates);
+});
+
+/** A search opened from a link with the given query. */
+async function search(query) {
+  const { CONFIG, DataService, SiteSearch } = script;
+  history.replaceState(null, '', `/${query}`);
+  const section = new SiteSearch(new DataService(), CONFIG.data, CONFIG.selectors.searchContainer, CONFIG.search);
+  await section.init();
+  return section;
+}
+
+const names = (section) => section.serviceResults().map((item) => item.name);
+
+describe('SiteSearch price filters', () => {
+  it('mean the same amounts for everyone who opens the link', async () => {
+    const { currencyConverter } = script;
+    const section = await search('?maxPrice=50&currency=EUR');
+
+    const listed = names(section);
+    currencyConverter.setCurrency('PLN');
+    const inZloty = names(section);
+
+    assert.deepEqual(listed, ['Consultation'], '100 PLN is 25 EUR, 400 PLN is 100 EUR');
+    assert.deepEqual(inZloty, listed);
+  });
+
+  it('compare with the listed prices when the link names no currency', async () => {
+    script.currencyConverter.setCurrency('EUR');
+    const section = await search('?maxPrice=200');
+
+    assert.equal(section.state.currency, null);
+    assert.deepEqual(names(section), ['Consultation']);
+  });
+
+  it('record the currency the bounds were typed in', async () => {
+    script.currencyConverter.setCurrency('EUR');
+    const section = await search('');
+    const field = section.container.querySelector('[name="maxPrice"]');
+    assert.match(field.closest('label').textContent, /EUR/);
+
+    field.value = '50';
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+
+    assert.equal(new URLSearchParams(location.search).get('currency'), 'EUR');
+    assert.deepEqual(names(section), ['Consultation']);
+  });
+
+  it('leave the currency out of the link without a price bound', async () => {
+    const { SiteSearch } = script;
+    assert.equal(SiteSearch.readQuery('?q=nail&currency=EUR').currency, null);
+    assert.equal(SiteSearch.readQuery('?minPrice=10&currency=eur').currency, null, 'malformed');
+  });
+});
@@ -0,0 +1,276 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n, readData } = require('./helpers/environment');
+
+let script;
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(() => {
+  resetPage();
+});
+
+/** Validate raw records the way DataService.load() does. */
+function validate(data, schemaName) {
+  return new script.DataValidator(script.SCHEMAS).validate(data, schemaName).records;
+}
+
+/** Make an image look like it failed before any listener was attached. */
+function markBroken(img) {
+  Object.defineProperty(img, 'complete', { value: true });
+  Object.defineProperty(img, 'naturalWidth', { value: 0 });
+}
+
+describe('ServicesSection tab switching', () => {
+  let container;
+
+  beforeEach(async () => {
+    const { CONFIG, DataService, ServicesSection } = script;
+    stubFetch();
+    const section = new ServicesSection(new DataService(), CONFIG.data.services, CONFIG.selectors.servicesContainer);
+    await section.init();
+    container = document.querySelector(CONFIG.selectors.servicesContainer);
+  });
+
+  /** Index of the visible panel, checking tabs and panels agree. */
+  function activeIndex() {
+    const tabs = [...container.querySelectorAll('.services__tab')];
+    const panels = [...container.querySelectorAll('.services__panel')];
+    const active = panels.findIndex((panel) => !panel.hidden);
+
+    assert.equal(panels.filter((panel) => !panel.hidden).length, 1, 'exactly one panel is visible');
+    tabs.forEach((tab, i) => {
+      assert.equal(tab.getAttribute('aria-selected'), String(i === active));
+      assert.equal(tab.classList.contains('services__tab--active'), i === active);
+    });
+    return active;
+  }
+
+  it('shows the first category at first', () => {
+    assert.equal(container.querySelectorAll('.services__tab').length, readData('services').length);
+    assert.equal(activeIndex(), 0);
+  });
+
+  it('titles every panel with its category, for when the tabs do not work without JavaScript', () => {
+    const { i18n } = script;
+    const titles = [...container.querySelectorAll('.services__panel-title')].map((title) => title.textContent);
+    assert.deepEqual(titles, readData('services').map((category) => i18n.text(category.category)));
+  });
+
+  it('switches panels when a tab is clicked', () => {
+    container.querySelectorAll('.services__tab')[2].click();
+    assert.equal(activeIndex(), 2);
+    assert.equal(container.querySelector('.services__select').value, '2');
+  });
+
+  it('switches panels when the mobile select changes', () => {
+    const select = container.querySelector('.services__select');
+    select.value = '1';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    assert.equal(activeIndex(), 1);
+  });
+});
+
+describe('ServicesSection keyboard (WAI-ARIA tabs)', () => {
+  let container;
+  let tabs;
+
+  /** Render the section with the given activation mode. */
+  async function render(activation) {
+    const { CONFIG, DataService, ServicesSection } = script;
+    stubFetch();
+    const section = new ServicesSection(new DataService(), CONFIG.data.services, CONFIG.selectors.servicesContainer, { activation });
+    await section.init();
+    container = section.container;
+    tabs = [...container.querySelectorAll('.services__tab')];
+    return section;
+  }
+
+  /** Press a key on a tab. */
+  function press(tab, key) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    tab.dispatchEvent(event);
+    return event;
+  }
+
+  const visiblePanel = () => [...container.querySelectorAll('.services__panel')].findIndex((panel) => !panel.hidden);
+
+  it('keeps only the selected tab in the tab order', async () => {
+    await render('automatic');
+    assert.deepEqual(tabs.map((tab) => tab.tabIndex), tabs.map((_, i) => (i === 0 ? 0 : -1)));
+  });
+
+  it('moves focus and the panel with the arrow keys, wrapping around', async () => {
+    await render('automatic');
+    assert.equal(press(tabs[0], 'ArrowRight').defaultPrevented, true);
+    assert.equal(document.activeElement, tabs[1]);
+    assert.equal(visiblePanel(), 1);
+    assert.equal(tabs[1].tabIndex, 0);
+    assert.equal(tabs[0].tabIndex, -1);
+
+    press(tabs[1], 'ArrowLeft');
+    press(tabs[0], 'ArrowLeft');
+    assert.equal(document.activeElement, tabs[tabs.length - 1]);
+    assert.equal(visiblePanel(), tabs.length - 1);
+  });
+
+  it('jumps to the first and last tab with Home and End', async () => {
+    await render('automatic');
+    press(tabs[0], 'End');
+    assert.equal(visiblePanel(), tabs.length - 1);
+    press(tabs[tabs.length - 1], 'Home');
+    assert.equal(visiblePanel(), 0);
+    assert.equal(document.activeElement, tabs[0]);
+  });
+
+  it('only moves focus in manual mode until the tab is activated', async () => {
+    await render('manual');
+    press(tabs[0], 'ArrowRight');
+    assert.equal(document.activeElement, tabs[1]);
+    assert.equal(tabs[1].tabIndex, 0);
+    assert.equal(visiblePanel(), 0);
+
+    tabs[1].click(); // what Enter and Space do on a button
+    assert.equal(visiblePanel(), 1);
+  });
+
+  it('ignores other keys', async () => {
+    await render('automatic');
+    assert.equal(press(tabs[0], 'ArrowDown').defaultPrevented, false);
+    assert.equal(visiblePanel(), 0);
+  });
+
+  it('keeps the select and the tab bar in sync both ways', async () => {
+    await render('automatic');
+    press(tabs[0], 'End');
+    const select = container.querySelector('.services__select');
+    assert.equal(select.value, String(tabs.length - 1));
+
+    select.value = '1';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    assert.equal(tabs[1].getAttribute('aria-selected'), 'true');
+    assert.equal(tabs[1].tabIndex, 0);
+  });
+
+  it('announces the category shown', async () => {
+    const section = await render('automatic');
+    const status = container.querySelector('[data-services-status]');
+    assert.equal(status.getAttribute('aria-live'), 'polite');
+    assert.equal(status.textContent, '');
+
+    press(tabs[0], 'ArrowRight');
+    const category = section.data[1];
+    assert.equal(status.textContent, script.i18n.t('services.shown', {
+      category: script.i18n.text(category.category),
+      count: category.items.length,
+    }));
+  });
+});
+
+describe('TrainingsSection.availabilityText', () => {
+  let section;
+
+  before(() => {
+    const { CONFIG, TrainingsSection } = script;
+    section = new TrainingsSection(null, CONFIG.data.trainings, CONFIG.selectors.trainingsContainer);
+  });
+
+  /** Availability markup for a training with the given sessions. */
+  function availability(sessions) {
+    const [training] = validate([{ id: 1, title: 'Course', level: 'Beginner', price: 100, currency: 'PLN', sessions }], 'trainings');
+    const html = section.availabilityText(script.TrainingsSection.withSessionEnds(training));
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    return div.firstElementChild;
+  }
+
+  it('announces dates are coming when there are no sessions', () => {
+    const el = availability([]);
+    assert.ok(el.classList.contains('trainings__availability--tba'));
+    assert.equal(el.textContent, script.i18n.t('trainings.datesTba'));
+  });
+
+  it('treats sessions with a null or missing date as not scheduled', () => {
+    const el = availability([{ id: 1, startDate: null, spotsAvailable: 4 }, { id: 2, spotsAvailable: 4 }]);
+    assert.ok(el.classList.contains('trainings__availability--tba'));
+  });
+
+  it('shows only the dates when the spot count is null', () => {
+    const el = availability([{ id: 1, startDate: '2099-04-15', endDate: '2099-04-17', spotsAvailable: null }]);
+    assert.ok(el.classList.contains('trainings__availability--soon'));
+    assert.equal(el.textContent, script.i18n.formatDateRange('2099-04-15', '2099-04-17'));
+  });
+
+  it('counts the spots left', () => {
+    const el = availability([{ id: 1, startDate: '2099-04-15', spotsAvailable: 3 }]);
+    assert.match(el.textContent, /3 spots left/);
+  });
+
+  it('marks the next session full when no spots are left', () => {
+    const el = availability([{ id: 1, startDate: '2099-04-15', spotsAvailable: 0 }]);
+    assert.ok(el.classList.contains('trainings__availability--full'));
+    assert.match(el.textContent, new RegExp(script.i18n.t('trainings.full')));
+  });
+
+  it('skips past and cancelled sessions', () => {
+    const el = availability([
+      { id: 1, startDate: '2000-01-10', spotsAvailable: 5 },
+      { id: 2, startDate: '2099-02-10', spotsAvailable: 5, status: 'cancelled' },
+      { id: 3, startDate: '2099-06-10', spotsAvailable: 2 },
+    ]);
+    assert.equal(el.textContent, `${script.i18n.formatDateRange('2099-06-10', '2099-06-10')} · 2 spots left`);
+  });
+});
+
+describe('image fallbacks', () => {
+  async function renderTeam() {
+    const { CONFIG, DataService, TeamSection } = script;
+    stubFetch({ [CONFIG.data.team]: [{ id: 1, name: 'Anna Nowak', role: 'Podologist', photo: 'images/missing.jpg' }] });
+    const section = new TeamSection(new DataService(), CONFIG.data.team, CONFIG.selectors.teamContainer);
+    await section.init();
+    return section;
+  }
+
+  it('replaces a team photo with initials when it fails to load', async () => {
+    const section = await renderTeam();
+    section.container.querySelector('.team__photo').dispatchEvent(new Event('error'));
+
+    assert.equal(section.container.querySelector('.team__photo'), null);
+    assert.equal(section.container.querySelector('.team__photo-placeholder').textContent, 'AN');
+  });
+
+  it('replaces a team photo that failed before the listener was attached', async () => {
+    const section = await renderTeam();
+    markBroken(section.container.querySelector('.team__photo'));
+    section.attachImageFallbacks();
+
+    assert.equal(section.container.querySelector('.team__photo-placeholder').textContent, 'AN');
+  });
+
+  it('keeps photos that are still loading', async () => {
+    const section = await renderTeam();
+    assert.ok(section.container.querySelector('.team__photo'));
+    assert.equal(section.container.querySelector('.team__photo-placeholder'), null);
+  });
+
+  it('replaces a training image with a placeholder', async () => {
+    const { CONFIG, DataService, TrainingsSection, createAdapter } = script;
+    stubFetch();
+    const section = new TrainingsSection(new DataService(), CONFIG.data.trainings, CONFIG.selectors.trainingsContainer, createAdapter(CONFIG.enrollment));
+    await section.init();
+
+    const [first, second] = section.container.querySelectorAll('.trainings__image');
+    first.dispatchEvent(new Event('error'));
+    markBroken(second);
+    section.attachImageFallbacks();
+
+    const placeholders = section.container.querySelectorAll('.trainings__image-placeholder');
+    assert.equal(placeholders.length, 2);
+    assert.equal(placeholders[0].textContent, script.i18n.t('trainings.imagePlaceholder'));
+  });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, stubFetch, initI18n, fragment } = require('./helpers/environment');
+
+const XSS = `<img src=x onerror="alert(1)">"'`;
+const XSS_URL = 'images/x.jpg" onerror="alert(1)';
+
+let script;
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(() => {
+  resetPage();
+});
+
+/**
+ * Fail when markup contains anything that could run script, or inline
+ * styles that a strict Content-Security-Policy would block.
+ * @param {Element} root
+ */
+function assertInert(root) {
+  assert.equal(root.querySelectorAll('script').length, 0, 'no <script> elements');
+  root.querySelectorAll('*').forEach((el) => {
+    [...el.attributes].forEach(({ name, value }) => {
+      assert.ok(!name.startsWith('on'), `<${el.localName}> has no ${name} handler`);
+      assert.notEqual(name, 'style', `<${el.localName}> has no inline style`);
+      if (name === 'href' || name === 'src') {
+        assert.ok(!/^\s*javascript:/i.test(value), `<${el.localName} ${name}> is not a javascript: URL`);
+      }
+    });
+  });
+  assert.ok(root.textContent.includes(XSS), 'the payload is shown as text');
+}
+
+/** A data service whose only data is `routes` (other files 404). */
+function serviceWith(routes) {
+  stubFetch(routes);
+  return new script.DataService();
+}
+
+describe('TeamSection escapes every templated field', () => {
+  const member = {
+    id: XSS,
+    name: XSS,
+    role: { en: XSS, pl: XSS },
+    bio: XSS,
+    photo: XSS_URL,
+    specialties: [XSS],
+    experience: XSS,
+    socials: { linkedin: XSS_URL, instagram: 'javascript:alert(1)' },
+    serviceCategories: [1],
+    certifications: [XSS],
+  };
+  const services = [
+    { id: 1, category: XSS, items: [{ id: 2, name: XSS, price: 100, currency: 'PLN' }] },
+    { id: 3, category: 'Massage', items: [{ id: 4, name: 'Foot massage', price: 80, currency: 'PLN' }] },
+  ];
+
+  it('in the card', async () => {
+    const { CONFIG, TeamSection, Dialog } = script;
+    const dataService = serviceWith({ [CONFIG.data.team]: [member] });
+    const section = new TeamSection(dataService, CONFIG.data.team, CONFIG.selectors.teamContainer, {
+      dialog: new Dialog(CONFIG.selectors.dialog),
+    });
+    await section.init();
+
+    const container = document.querySelector(CONFIG.selectors.teamContainer);
+    assert.equal(container.querySelectorAll('.team__card').length, 1);
+    assert.equal(container.querySelector('.team__photo').getAttribute('src'), XSS_URL);
+    assert.equal(container.querySelectorAll('.team__social-link').length, 1, 'the javascript: link is dropped');
+    assertInert(container);
+  });
+
+  it('in the detail dialog', async () => {
+    const { CONFIG, TeamSection, DataValidator, SCHEMAS } = script;
+    const section = new TeamSection(null, CONFIG.data.team, CONFIG.selectors.teamContainer);
+    const validator = new DataValidator(SCHEMAS);
+    const [record] = validator.validate([member], 'team').records;
+
+    assertInert(fragment(section.detailTemplate(record, validator.validate(services, 'services').records)));
+  });
+
+  it('in the detail dialog links to the services the member performs', () => {
+    const { CONFIG, TeamSection, DataValidator, SCHEMAS } = script;
+    const section = new TeamSection(null, CONFIG.data.team, CONFIG.selectors.teamContainer);
+    const validator = new DataValidator(SCHEMAS);
+    const [record] = validator.validate([member], 'team').records;
+
+    const links = fragment(section.detailTemplate(record, validator.validate(services, 'services').records))
+      .querySelectorAll('a[href^="#services/"]');
+    assert.deepEqual([...links].map((link) => [link.getAttribute('href'), link.textContent]), [['#services/1/2', XSS]]);
+  });
+});
+
+describe('ServicesSection escapes every templated field', () => {
+  it('in tabs, panels and items', async () => {
+    const { CONFIG, ServicesSection } = script;
+    const dataService = serviceWith({
+      [CONFIG.data.services]: [{
+        id: XSS,
+        category: XSS,
+        description: XSS,
+        items: [{ id: XSS, name: XSS, description: XSS, duration: 45, price: 100, currency: 'PLN', isPopular: true }],
+      }],
+    });
+    const section = new ServicesSection(dataService, CONFIG.data.services, CONFIG.selectors.servicesContainer);
+    await section.init();
+
+    const container = document.querySelector(CONFIG.selectors.servicesContainer);
+    assert.equal(container.querySelectorAll('.services__item').length, 1);
+    assert.equal(container.querySelector('.services__item-name').textContent, XSS);
+    assert.equal(container.querySelector('.services__tab').textContent, XSS);
+    assertInert(container);
+  });
+});
+
+describe('TrainingsSection escapes every templated field', () => {
+  const training = {
+    id: XSS,
+    title: XSS,
+    description: XSS,
+    duration: XSS,
+    level: XSS,
+    price: 1200,
+    currency: 'PLN',
+    includes: [XSS],
+    syllabus: [XSS],
+    prerequisites: [XSS],
+    instructorId: 1,
+    sessions: [
+      { id: XSS, startDate: '2099-03-10', endDate: '2099-03-12', spotsAvailable: 5 },
+      { id: 2, startDate: '2099-05-10', endDate: '2099-05-12', spotsAvailable: 0 },
+    ],
+    image: XSS_URL,
+  };
+
+  it('in the card and enrollment form', async () => {
+    const { CONFIG, TrainingsSection, Dialog, createAdapter } = script;
+    const dataService = serviceWith({ [CONFIG.data.trainings]: [training] });
+    const section = new TrainingsSection(
+      dataService, CONFIG.data.trainings, CONFIG.selectors.trainingsContainer,
+      createAdapter(CONFIG.enrollment), { dialog: new Dialog(CONFIG.selectors.dialog) }
+    );
+    await section.init();
+
+    const container = document.querySelector(CONFIG.selectors.trainingsContainer);
+    assert.equal(container.querySelectorAll('.trainings__card').length, 1);
+    container.querySelector('[data-enroll-toggle]').click();
+    assert.ok(container.querySelector('form'), 'the enrollment form is open');
+    assert.equal(container.querySelector('.trainings__image').getAttribute('src'), XSS_URL);
+    assertInert(container);
+  });
+
+  it('in the detail dialog', () => {
+    const { CONFIG, TrainingsSection, DataValidator, SCHEMAS } = script;
+    const section = new TrainingsSection(null, CONFIG.data.trainings, CONFIG.selectors.trainingsContainer);
+    const validator = new DataValidator(SCHEMAS);
+    const [record] = validator.validate([training], 'trainings').records;
+    const [instructor] = validator.validate([{ id: XSS, name: XSS, role: XSS }], 'team').records;
+
+    assertInert(fragment(section.detailTemplate(record, instructor)));
+  });
+});
+
+describe('SiteSearch highlights matches in escaped text', () => {
+  it('marks each match and escapes the rest', () => {
+    const div = fragment(script.SiteSearch.highlight(`${XSS} img ${XSS}`, 'img'));
+
+    assert.equal(div.querySelectorAll('mark').length, 3);
+    assertInert(div);
+  });
+});
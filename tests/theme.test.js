@@ -0,0 +1,199 @@
+'use strict';
+
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, resetPage, initI18n } = require('./helpers/environment');
+
+let script;
+
+before(async () => {
+  script = await loadScript();
+  await initI18n(script);
+});
+
+beforeEach(() => {
+  resetPage();
+  delete document.documentElement.dataset.theme;
+});
+
+afterEach(() => {
+  delete window.matchMedia;
+});
+
+/**
+ * Stand in for window.matchMedia: `matches` says which queries match;
+ * change(query, value) flips one and tells its listeners.
+ */
+function stubMatchMedia(matches = {}) {
+  const lists = new Map();
+  window.matchMedia = (query) => {
+    if (!lists.has(query)) {
+      const listeners = new Set();
+      lists.set(query, {
+        get matches() { return Boolean(matches[query]); },
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        listeners,
+      });
+    }
+    return lists.get(query);
+  };
+  return {
+    change(query, value) {
+      matches[query] = value;
+      lists.get(query).listeners.forEach((listener) => listener());
+    },
+  };
+}
+
+const DARK = '(prefers-color-scheme: dark)';
+const REDUCED = '(prefers-reduced-motion: reduce)';
+
+/** A Theme on a fresh instance, so the shared one is left alone. */
+function createTheme(t) {
+  const theme = new script.Theme(script.CONFIG.theme);
+  t.after(() => theme.destroy());
+  return theme;
+}
+
+describe('Theme', () => {
+  it('follows the system until a theme is chosen', (t) => {
+    const media = stubMatchMedia({ [DARK]: true });
+    const theme = createTheme(t);
+    const seen = [];
+    theme.subscribe((scheme) => seen.push(scheme));
+    theme.init();
+
+    assert.equal(theme.mode, 'system');
+    assert.equal(theme.scheme, 'dark');
+    assert.equal(document.documentElement.dataset.theme, undefined, 'styles.css follows prefers-color-scheme itself');
+
+    media.change(DARK, false);
+    assert.equal(theme.scheme, 'light');
+    assert.deepEqual(seen, ['light']);
+  });
+
+  it('saves a chosen theme and ignores the system then', (t) => {
+    const media = stubMatchMedia({ [DARK]: false });
+    const { CONFIG } = script;
+    const theme = createTheme(t);
+    theme.init();
+    const seen = [];
+    theme.subscribe((scheme) => seen.push(scheme));
+
+    theme.setMode('dark');
+    media.change(DARK, true);
+    media.change(DARK, false);
+
+    assert.equal(document.documentElement.dataset.theme, 'dark');
+    assert.equal(localStorage.getItem(CONFIG.theme.storageKey), 'dark');
+    assert.deepEqual(seen, ['dark']);
+
+    theme.setMode('system');
+    assert.equal(document.documentElement.dataset.theme, undefined);
+    assert.equal(localStorage.getItem(CONFIG.theme.storageKey), null);
+  });
+
+  it('restores the saved theme and drops an unknown one', (t) => {
+    const { CONFIG } = script;
+    localStorage.setItem(CONFIG.theme.storageKey, 'light');
+    const theme = createTheme(t);
+    theme.init();
+    assert.equal(document.documentElement.dataset.theme, 'light');
+
+    localStorage.setItem(CONFIG.theme.storageKey, 'sepia');
+    const other = createTheme(t);
+    other.init();
+    assert.equal(other.mode, 'system');
+    assert.equal(other.scheme, 'light', 'light without matchMedia');
+  });
+
+  it('reads colors from the CSS custom properties and hands the background to theme-color', (t) => {
+    const style = document.createElement('style');
+    style.textContent = ':root { --color-bg: #fafaf9; } :root[data-theme="dark"] { --color-bg: #171816; }';
+    document.head.appendChild(style);
+    t.after(() => style.remove());
+    const theme = createTheme(t);
+    theme.init();
+
+    theme.setMode('dark');
+
+    assert.equal(theme.token('color-bg'), '#171816');
+    assert.equal(theme.token('no-such-token'), '');
+    assert.equal(document.querySelector(script.CONFIG.selectors.themeColor).getAttribute('content'), '#171816');
+  });
+});
+
+describe('ThemeSwitcher', () => {
+  it('offers the modes and applies the one selected', (t) => {
+    const { CONFIG, ThemeSwitcher, i18n } = script;
+    const theme = createTheme(t);
+    theme.init();
+    const switcher = new ThemeSwitcher(CONFIG.selectors.themeSwitch, theme);
+    switcher.init();
+    t.after(() => switcher.destroy());
+
+    const select = document.querySelector('[data-theme-select]');
+    assert.deepEqual([...select.options].map((option) => option.value), CONFIG.theme.modes);
+    assert.equal(select.getAttribute('aria-label'), i18n.t('theme.label'));
+    assert.equal(select.value, 'system');
+
+    select.value = 'dark';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    assert.equal(theme.mode, 'dark');
+  });
+});
+
+describe('reduced motion', () => {
+  it('shows the fade-ins at once instead of animating them', () => {
+    stubMatchMedia({ [REDUCED]: true });
+    const { CONFIG, ScrollAnimator } = script;
+    const animator = new ScrollAnimator(CONFIG.classes.fadeIn, CONFIG.classes.fadeInVisible, CONFIG.observerThreshold);
+    animator.init();
+    let observed = 0;
+    animator.observer.observe = () => { observed += 1; };
+
+    document.body.insertAdjacentHTML('beforeend', '<div class="fade-in" id="late"></div>');
+    animator.refresh();
+
+    assert.ok(document.getElementById('late').classList.contains(CONFIG.classes.fadeInVisible));
+    assert.equal(observed, 0);
+    animator.destroy();
+  });
+
+  it('jumps instead of smooth scrolling', (t) => {
+    const { SmoothScroll } = script;
+    const calls = [];
+    t.mock.method(window, 'scrollTo', (options) => calls.push(options.behavior));
+
+    SmoothScroll.scrollToElement(document.body, 0);
+    stubMatchMedia({ [REDUCED]: true });
+    SmoothScroll.scrollToElement(document.body, 0);
+
+    assert.deepEqual(calls, ['smooth', 'auto']);
+  });
+});
+
+describe('training image placeholders', () => {
+  it('get the same gradient for the same training', () => {
+    const { TrainingsSection } = script;
+    const variants = ['1', '2', '3', 'abc', 'podology-basics'].map((id) => TrainingsSection.placeholderVariant(id));
+
+    variants.forEach((variant) => assert.ok(variant >= 1 && variant <= 4, String(variant)));
+    assert.equal(TrainingsSection.placeholderVariant('abc'), variants[3]);
+    assert.equal(TrainingsSection.placeholderVariant(7), TrainingsSection.placeholderVariant('7'));
+  });
+
+  it('use that gradient when an image fails', () => {
+    const { CONFIG, TrainingsSection } = script;
+    const container = document.querySelector(CONFIG.selectors.trainingsContainer);
+    container.innerHTML = '<article data-training-id="42"><img class="trainings__image" src="x.jpg" alt=""></article>';
+    const section = new TrainingsSection(null, CONFIG.data.trainings, CONFIG.selectors.trainingsContainer);
+
+    section.attachImageFallbacks();
+    container.querySelector('img').dispatchEvent(new Event('error'));
+
+    const placeholder = container.querySelector('.trainings__image-placeholder');
+    assert.ok(placeholder.classList.contains(`trainings__image-placeholder--${TrainingsSection.placeholderVariant('42')}`));
+  });
+});